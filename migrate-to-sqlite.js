@@ -0,0 +1,54 @@
+// Copy an existing data/tasks.json into an SQLite database for DUMBKAN_STORAGE=sqlite.
+// Usage: node migrate-to-sqlite.js [--force] [json file] [sqlite file]
+require('dotenv').config();
+const path = require('path');
+const { createJsonStorage, createSqliteStorage } = require('./storage');
+
+function countTasks(data) {
+    return Object.values(data.boards || {}).reduce((total, board) => {
+        return total + Object.values(board.columns || {}).reduce((sum, column) => sum + (column.tasks || []).length, 0);
+    }, 0);
+}
+
+async function migrate() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const [
+        jsonFile = path.join('data', 'tasks.json'),
+        sqliteFile = process.env.DUMBKAN_SQLITE_FILE || path.join('data', 'dumbkan.db')
+    ] = args.filter(arg => arg !== '--force');
+
+    const source = createJsonStorage(jsonFile);
+    const target = createSqliteStorage(sqliteFile);
+
+    try {
+        const data = await source.load();
+        if (!data) {
+            throw new Error('No board data found in ' + jsonFile);
+        }
+
+        if (await target.load() && !force) {
+            throw new Error(sqliteFile + ' already contains board data, use --force to overwrite it');
+        }
+
+        await target.write(data);
+
+        // Read the copy back to make sure nothing was lost on the way
+        const copied = await target.read();
+        const boards = Object.keys(copied.boards).length;
+        const tasks = countTasks(copied);
+        if (boards !== Object.keys(data.boards || {}).length || tasks !== countTasks(data)) {
+            throw new Error('The copy in ' + sqliteFile + ' does not match ' + jsonFile);
+        }
+
+        console.log('Copied ' + boards + ' boards and ' + tasks + ' tasks from ' + jsonFile + ' to ' + sqliteFile);
+        console.log('Start the server with DUMBKAN_STORAGE=sqlite to use it');
+    } finally {
+        await target.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
@@ -2,7 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
+const { createStorage, writeFileAtomic, readJsonFile } = require('./storage');
 const app = express();
 
 // Brute force protection setup
@@ -47,2642 +49,8414 @@ setInterval(() => {
     }
 }, LOCKOUT_TIME);
 
-app.use(express.json());
+// Board exports from other tools and uploaded backups can be much larger than regular API requests
+const IMPORT_SIZE_LIMIT = process.env.DUMBKAN_IMPORT_LIMIT || '20mb';
+const importBody = express.json({ limit: IMPORT_SIZE_LIMIT });
+
+// Attachments are uploaded as the raw file contents, with a limit of their own
+const ATTACHMENT_SIZE_LIMIT = process.env.DUMBKAN_ATTACHMENT_LIMIT || '10mb';
+
+// Routes with bodies of their own read them after the PIN check, so they are left alone here
+const OWN_BODY_PATHS = [/^\/api\/import\//, /^\/api\/backups\/upload$/, /^\/api\/tasks\/[^/]+\/attachments$/];
+const jsonBody = express.json();
+app.use((req, res, next) => {
+    if (OWN_BODY_PATHS.some(pattern => pattern.test(req.path))) return next();
+    jsonBody(req, res, next);
+});
 app.use(cookieParser());
 
-// Ensure data directory and tasks.json exist
+// Generate a unique id for boards, columns and tasks
+function generateId(prefix) {
+    return prefix + '-' + Date.now().toString(36) + '-' + crypto.randomBytes(4).toString('hex');
+}
+
+// Convert legacy string tasks into task records. Returns true if anything changed.
+function migrateTasks(data) {
+    let changed = false;
+    Object.values(data.boards || {}).forEach(board => {
+        Object.values(board.columns || {}).forEach(column => {
+            if (!Array.isArray(column.tasks)) {
+                column.tasks = [];
+                changed = true;
+                return;
+            }
+            column.tasks = column.tasks.map(task => {
+                if (task && typeof task === 'object' && task.id) return task;
+                changed = true;
+                const now = new Date().toISOString();
+                const record = typeof task === 'string' ? { title: task } : { ...task };
+                return {
+                    id: generateId('task'),
+                    title: String(record.title || '').trim(),
+                    description: record.description || '',
+                    createdAt: record.createdAt || now,
+                    updatedAt: record.updatedAt || now
+                };
+            }).filter(task => task.title);
+        });
+    });
+    return changed;
+}
+
+// Give every column an id that is unique across all boards, so columns can be
+// addressed directly (e.g. DELETE /api/columns/:columnId). Returns true if anything changed.
+function migrateColumnIds(data) {
+    let changed = false;
+    const seen = new Set();
+    Object.values(data.boards || {}).forEach(board => {
+        const columns = {};
+        Object.entries(board.columns || {}).forEach(([columnId, column]) => {
+            let id = columnId;
+            if (seen.has(id)) {
+                id = generateId('column');
+                changed = true;
+            }
+            seen.add(id);
+            columns[id] = column;
+        });
+        board.columns = columns;
+    });
+    return changed;
+}
+
+function migrateData(data) {
+    const tasksChanged = migrateTasks(data);
+    const columnsChanged = migrateColumnIds(data);
+    return tasksChanged || columnsChanged;
+}
+
+function createDefaultColumns() {
+    return {
+        [generateId('column')]: { name: 'To Do', tasks: [] },
+        [generateId('column')]: { name: 'Doing', tasks: [] },
+        [generateId('column')]: { name: 'Done', tasks: [] }
+    };
+}
+
+const DATA_DIR = 'data';
+const storage = createStorage(DATA_DIR);
+
+function createDefaultData() {
+    return {
+        boards: {
+            work: {
+                name: 'Work',
+                columns: createDefaultColumns()
+            },
+            personal: {
+                name: 'Personal',
+                columns: createDefaultColumns()
+            }
+        },
+        activeBoard: 'work'
+    };
+}
+
+// Ensure the storage backend is ready and holds a document in the current format
 async function initializeStorage() {
     try {
-        await fs.mkdir('data').catch(() => {});
-        try {
-            await fs.access('data/tasks.json');
-        } catch {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        console.log('Using ' + storage.name);
+
+        const data = await storage.load();
+        if (!data) {
             // Initialize with default structure
-            const defaultData = {
-                boards: {
-                    work: {
-                        name: 'Work',
-                        columns: {
-                            todo: { name: 'To Do', tasks: [] },
-                            doing: { name: 'Doing', tasks: [] },
-                            done: { name: 'Done', tasks: [] }
-                        }
-                    },
-                    personal: {
-                        name: 'Personal',
-                        columns: {
-                            todo: { name: 'To Do', tasks: [] },
-                            doing: { name: 'Doing', tasks: [] },
-                            done: { name: 'Done', tasks: [] }
-                        }
-                    }
-                },
-                activeBoard: 'work'
-            };
-            await fs.writeFile('data/tasks.json', JSON.stringify(defaultData, null, 2));
+            await writeData(createDefaultData());
+            return;
+        }
+
+        // Upgrade files from older versions (string tasks, per-board column ids)
+        if (migrateData(data)) {
+            await writeData(data);
+            console.log('Migrated board data to the current format');
         }
     } catch (error) {
         console.error('Error initializing storage:', error);
     }
 }
 
-// Initialize storage before starting server
-initializeStorage();
+function readData() {
+    return storage.read();
+}
 
-// HTML Template
-const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>DumbKan - Simple Kanban Board</title>
-    <style>
-        :root {
-            /* Colors */
-            --primary: #2196F3;
-            --primary-hover: #1976D2;
-            
-            /* Light theme (default) */
-            --background: #f5f5f5;
-            --container: white;
-            --text: #333;
-            --border: #e0e0e0;
-            --shadow: 0 2px 4px rgba(0,0,0,0.1);
-            
-            /* Layout */
-            --border-radius: 12px;
-            --transition: 0.2s ease;
+function writeData(data) {
+    return storage.write(data);
+}
+
+// Writes run one after another so concurrent requests cannot interleave
+let writeQueue = Promise.resolve();
+
+function queueWrite(operation) {
+    const result = writeQueue.then(operation);
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+// Backups: timestamped snapshots of the whole document in data/backups. Snapshots taken right
+// before a restore are named "pre-restore-..." and rotate on their own, so restoring a few times
+// does not push the regular backups out.
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BACKUP_INTERVAL_HOURS = Number(process.env.DUMBKAN_BACKUP_INTERVAL_HOURS || 24);
+const BACKUP_RETENTION = Math.max(1, parseInt(process.env.DUMBKAN_BACKUP_RETENTION || '7', 10) || 7);
+const BACKUP_ID_PATTERN = /^(tasks|pre-restore)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+
+function backupFile(backupId) {
+    return path.join(BACKUP_DIR, backupId + '.json');
+}
+
+async function listBackups() {
+    let files;
+    try {
+        files = await fs.readdir(BACKUP_DIR);
+    } catch {
+        return [];
+    }
+
+    const backups = [];
+    for (const file of files) {
+        const id = path.basename(file, '.json');
+        const match = id.match(BACKUP_ID_PATTERN);
+        if (!match) continue;
+        const stats = await fs.stat(backupFile(id));
+        // The id encodes the creation time with ':' and '.' replaced for file system safety
+        const createdAt = match[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+        backups.push({ id, createdAt, size: stats.size, beforeRestore: match[1] === 'pre-restore' });
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function createBackup({ beforeRestore = false } = {}) {
+    const data = await readData();
+    const id = (beforeRestore ? 'pre-restore-' : 'tasks-') + new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    await writeFileAtomic(backupFile(id), JSON.stringify(data, null, 2));
+
+    // Drop the oldest snapshots of the same kind beyond the retention count
+    const backups = await listBackups();
+    const sameKind = backups.filter(backup => backup.beforeRestore === beforeRestore);
+    for (const backup of sameKind.slice(BACKUP_RETENTION)) {
+        await fs.rm(backupFile(backup.id), { force: true });
+    }
+    return backups.find(backup => backup.id === id);
+}
+
+// Timers cannot wait longer than 2^31-1 ms (about 24.8 days); Node runs them after 1 ms instead
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function scheduleBackups() {
+    if (!(BACKUP_INTERVAL_HOURS > 0)) return;
+    const interval = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+
+    const runBackup = () => createBackup().catch(error => console.error('Error creating backup:', error));
+
+    // Longer intervals (e.g. 720 hours for monthly backups) are waited out in steps
+    const runAfter = delay => setTimeout(() => {
+        if (delay > MAX_TIMER_MS) return runAfter(delay - MAX_TIMER_MS);
+        runBackup().then(() => runAfter(interval));
+    }, Math.min(delay, MAX_TIMER_MS));
+
+    // Take a snapshot right away if the newest regular one is older than the interval
+    listBackups().then(all => {
+        const backups = all.filter(backup => !backup.beforeRestore);
+        if (!backups.length || Date.now() - new Date(backups[0].createdAt).getTime() >= interval) {
+            runBackup();
         }
+    }).catch(error => console.error('Error reading backups:', error));
+    runAfter(interval);
+}
 
-        /* Dark theme class */
-        body.dark-theme {
-            --background: #121212;
-            --container: #1e1e1e;
-            --text: #ffffff;
-            --border: #2d2d2d;
-            --shadow: 0 2px 4px rgba(0,0,0,0.3);
+// Attachments: files in data/attachments named after their id. Tasks describe them
+// as { id, name, type, size, createdAt }.
+const ATTACHMENT_DIR = path.join(DATA_DIR, 'attachments');
+
+// The file types that can be attached, by extension. Files are always served with the type
+// listed here rather than one a client sent, and nothing a browser would run (HTML, SVG) is allowed.
+const ATTACHMENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    log: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    zip: 'application/zip'
+};
+const ATTACHMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function attachmentFile(attachmentId) {
+    return path.join(ATTACHMENT_DIR, attachmentId);
+}
+
+// The file name without any directory, and the type its extension stands for
+function parseAttachmentName(value) {
+    const name = String(value || '').replace(/^.*[\\/]/, '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (!name) throw httpError(400, 'File name is required');
+    if (name.length > 255) throw httpError(400, 'File name must be at most 255 characters');
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (!ATTACHMENT_TYPES[extension]) {
+        throw httpError(415, 'Only these files can be attached: ' + Object.keys(ATTACHMENT_TYPES).join(', '));
+    }
+    return { name, type: ATTACHMENT_TYPES[extension] };
+}
+
+// Attachments a client sends along with a task (e.g. to recreate one it undid). Only those whose
+// file is still there and that no other task has are kept.
+async function parseAttachments(value, data) {
+    if (value === null || value === undefined) return null;
+    if (!Array.isArray(value)) throw httpError(400, 'Attachments must be a list');
+    const taken = attachmentIds(data);
+    const attachments = [];
+    for (const item of value) {
+        if (!item || typeof item !== 'object' || typeof item.id !== 'string' || !ATTACHMENT_ID_PATTERN.test(item.id) || taken.has(item.id)) continue;
+        let stats;
+        try {
+            stats = await fs.stat(attachmentFile(item.id));
+        } catch {
+            continue;
         }
+        const createdAt = typeof item.createdAt === 'string' && !Number.isNaN(Date.parse(item.createdAt)) ? item.createdAt : new Date().toISOString();
+        attachments.push({ id: item.id, ...parseAttachmentName(item.name), size: stats.size, createdAt });
+        taken.add(item.id);
+    }
+    return attachments.length ? attachments : null;
+}
 
-        /* Base styles */
-        body {
-            font-family: -apple-system, system-ui, sans-serif;
-            background: var(--background);
-            color: var(--text);
-            line-height: 1.6;
-            transition: background-color var(--transition),
-                      color var(--transition);
+// Ids of the attachments the document refers to: on tasks, archived tasks and in the trash
+function attachmentIds(data) {
+    const ids = new Set();
+    const addTasks = tasks => (tasks || []).forEach(task => {
+        (task.attachments || []).forEach(attachment => ids.add(attachment.id));
+    });
+    const addBoard = board => {
+        Object.values(board.columns || {}).forEach(column => addTasks(column.tasks));
+        addTasks(board.archived);
+    };
+    Object.values(data.boards || {}).forEach(addBoard);
+    (data.trash || []).forEach(item => {
+        if (item.type === 'board' && item.board) addBoard(item.board);
+        if (item.type === 'column' && item.column) addTasks(item.column.tasks);
+    });
+    return ids;
+}
+
+// Delete the files nothing refers to any more. Backup snapshots count as references, so restoring
+// one brings its attachments back; files are removed once the last snapshot with them rotates out.
+// Runs inside the write queue, so an upload cannot be half done.
+async function removeOrphanedAttachments(data) {
+    let files;
+    try {
+        files = await fs.readdir(ATTACHMENT_DIR);
+    } catch {
+        return;
+    }
+    const referenced = attachmentIds(data);
+    for (const backup of await listBackups()) {
+        try {
+            attachmentIds(await readJsonFile(backupFile(backup.id))).forEach(id => referenced.add(id));
+        } catch {}
+    }
+    for (const file of files) {
+        if (!referenced.has(file)) await fs.rm(attachmentFile(file), { force: true });
+    }
+}
+
+// How many of the document's attachments have no file in this data directory
+async function countMissingAttachments(data) {
+    let missing = 0;
+    for (const attachmentId of attachmentIds(data)) {
+        try {
+            await fs.access(attachmentFile(attachmentId));
+        } catch {
+            missing++;
         }
+    }
+    return missing;
+}
 
-        .column,
-        .task,
-        .modal-content,
-        .toast,
-        .pin-input input,
-        .task-form textarea,
-        .cancel-button {
-            background: var(--container);
-            color: var(--text);
-            border-color: var(--border);
-            transition: all var(--transition);
+// Workspace bundles: the whole workspace as one file to download, and to restore by uploading it
+// again. Attachment files are not included: together they can be far larger than an upload may be,
+// so they are copied with the attachments folder of the data directory instead.
+const BUNDLE_FORMAT = 'dumbkan-workspace';
+const BUNDLE_VERSION = 1;
+
+function createBundle(data) {
+    return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+// Accepts a bundle or a plain tasks.json document and returns the migrated, validated document
+function readBundle(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw httpError(400, 'Not a DumbKan backup');
+    }
+    let document = body;
+    if (body.format !== undefined) {
+        if (body.format !== BUNDLE_FORMAT) throw httpError(400, 'Not a DumbKan backup');
+        if (body.version !== BUNDLE_VERSION) throw httpError(400, 'Unsupported backup version ' + body.version);
+        document = body.data;
+    }
+    if (!document || typeof document !== 'object' || !document.boards || typeof document.boards !== 'object') {
+        throw httpError(400, 'The backup contains no boards');
+    }
+
+    document = structuredClone(document);
+    migrateData(document);
+    const violations = validateData(document);
+    if (violations.length) {
+        const error = httpError(400, 'Invalid backup');
+        error.violations = violations;
+        throw error;
+    }
+    return document;
+}
+
+function describeBundle(document, data) {
+    const boards = Object.entries(document.boards).map(([boardId, board]) => ({
+        id: boardId,
+        name: board.name,
+        columns: Object.keys(board.columns).length,
+        tasks: Object.values(board.columns).reduce((sum, column) => sum + column.tasks.length, 0),
+        archived: (board.archived || []).length,
+        exists: Object.hasOwn(data.boards, boardId)
+    }));
+    return { boards, tasks: boards.reduce((sum, board) => sum + board.tasks, 0) };
+}
+
+// Add the boards, columns and tasks of a backup that are not in the workspace yet. Boards and
+// columns are matched by id; nothing that is already in the workspace is changed or removed.
+function mergeWorkspace(data, document) {
+    const summary = { boardsAdded: 0, columnsAdded: 0, tasksAdded: 0, tasksSkipped: 0 };
+    const { columns, tasks, archived } = indexBoardData(data);
+    const reserved = trashedIds(data);
+    const taskTaken = taskId => tasks.has(taskId) || archived.has(taskId) || reserved.has(taskId);
+
+    Object.entries(document.boards).forEach(([incomingBoardId, incomingBoard]) => {
+        let boardId = incomingBoardId;
+        let board = Object.hasOwn(data.boards, boardId) ? data.boards[boardId] : null;
+        if (!board) {
+            if (reserved.has(boardId)) boardId = createBoardId(data, incomingBoard.name);
+            board = { name: incomingBoard.name, columns: {} };
+            data.boards[boardId] = board;
+            summary.boardsAdded++;
+        }
+
+        // Labels are matched by id, then by name; merged tasks get the ids of the matching labels
+        const labelIds = new Map();
+        (incomingBoard.labels || []).forEach(incomingLabel => {
+            board.labels = board.labels || [];
+            let label = board.labels.find(existing => existing.id === incomingLabel.id) ||
+                board.labels.find(existing => existing.name.toLowerCase() === incomingLabel.name.toLowerCase());
+            if (!label) {
+                const idInUse = Object.values(data.boards).some(other => (other.labels || []).some(existing => existing.id === incomingLabel.id));
+                label = { ...incomingLabel, id: idInUse ? generateId('label') : incomingLabel.id };
+                board.labels.push(label);
+            }
+            labelIds.set(incomingLabel.id, label.id);
+        });
+        const withBoardLabels = task => {
+            const labels = (task.labels || []).map(labelId => labelIds.get(labelId)).filter(labelId => labelId);
+            return assignTaskFields({ ...task }, { labels: labels.length ? labels : null });
+        };
+
+        Object.entries(incomingBoard.columns).forEach(([incomingColumnId, incomingColumn]) => {
+            let column = Object.hasOwn(board.columns, incomingColumnId) ? board.columns[incomingColumnId] : null;
+            if (!column) {
+                const columnId = columns.has(incomingColumnId) || reserved.has(incomingColumnId)
+                    ? generateId('column')
+                    : incomingColumnId;
+                column = { ...incomingColumn, tasks: [] };
+                board.columns[columnId] = column;
+                columns.set(columnId, { boardId, column });
+                summary.columnsAdded++;
+            }
+
+            incomingColumn.tasks.forEach(task => {
+                if (taskTaken(task.id)) {
+                    summary.tasksSkipped++;
+                    return;
+                }
+                column.tasks.push(withBoardLabels(task));
+                tasks.set(task.id, { boardId, task });
+                summary.tasksAdded++;
+            });
+        });
+
+        (incomingBoard.archived || []).forEach(task => {
+            if (taskTaken(task.id)) return;
+            board.archived = board.archived || [];
+            board.archived.push(withBoardLabels(task));
+            archived.set(task.id, { boardId, task });
+        });
+    });
+    return summary;
+}
+
+// Live updates: connected clients get a Server-Sent Event after every write
+const eventClients = new Set();
+const EVENT_HEARTBEAT_MS = 30 * 1000;
+
+// clientId identifies the tab that made the change (X-Client-Id header), so it can skip its own events
+function broadcastChange(revision, clientId = null) {
+    const message = 'event: change\ndata: ' + JSON.stringify({ revision, clientId }) + '\n\n';
+    eventClients.forEach(client => client.write(message));
+}
+
+// Comments keep idle connections from being closed by proxies
+setInterval(() => {
+    eventClients.forEach(client => client.write(': heartbeat\n\n'));
+}, EVENT_HEARTBEAT_MS).unref();
+
+// Trash: deleted boards and columns are kept in data.trash until they are restored or expire
+const TRASH_RETENTION_DAYS = Number(process.env.DUMBKAN_TRASH_RETENTION_DAYS || 30);
+
+function trashExpiryTime(item) {
+    return new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function trashExpiry(item) {
+    if (!(TRASH_RETENTION_DAYS > 0)) return null;
+    const expiry = new Date(trashExpiryTime(item));
+    // A retention so long that the day cannot be represented (past the year 275760) means never
+    return Number.isNaN(expiry.getTime()) ? null : expiry.toISOString();
+}
+
+// Ids of the boards, columns and tasks in the trash, which stay reserved so they can be restored
+function trashedIds(data) {
+    const ids = new Set();
+    const addColumn = (columnId, column) => {
+        ids.add(columnId);
+        (column.tasks || []).forEach(task => ids.add(task.id));
+    };
+    (data.trash || []).forEach(item => {
+        if (item.type === 'board') {
+            ids.add(item.boardId);
+            Object.entries(item.board.columns || {}).forEach(([columnId, column]) => addColumn(columnId, column));
+            (item.board.archived || []).forEach(task => ids.add(task.id));
+        } else {
+            addColumn(item.columnId, item.column);
         }
+    });
+    return ids;
+}
 
-        .task:hover {
-            transform: translateY(-2px);
-            box-shadow: var(--shadow);
+function moveToTrash(data, item) {
+    const trashItem = { id: generateId('trash'), deletedAt: new Date().toISOString(), ...item };
+    data.trash = data.trash || [];
+    data.trash.push(trashItem);
+    return trashItem;
+}
+
+// Drop trash items older than the retention period. Returns true if anything was removed.
+function purgeTrash(data) {
+    if (!data.trash || !(TRASH_RETENTION_DAYS > 0)) return false;
+    // Compared as numbers: ISO strings of years past 9999 start with "+" and sort before any other
+    const now = Date.now();
+    const kept = data.trash.filter(item => trashExpiryTime(item) > now);
+    if (kept.length === data.trash.length) return false;
+    data.trash = kept;
+    return true;
+}
+
+function schedulePurge() {
+    if (!(TRASH_RETENTION_DAYS > 0)) return;
+
+    // Also catches attachment files whose last backup snapshot has rotated out
+    const runPurge = () => queueWrite(async () => {
+        const data = await readData();
+        if (purgeTrash(data)) {
+            data.revision = (data.revision || 0) + 1;
+            await writeData(data);
+            broadcastChange(data.revision);
+            console.log('Purged expired items from the trash');
         }
+        await removeOrphanedAttachments(data);
+    }).catch(error => console.error('Error purging trash:', error));
 
-        .app { min-height: 100vh; padding: 2rem; }
-        header {
-            max-width: 1200px;
-            margin: 0 auto 2rem;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            padding: 0 1rem;
-            position: relative;
+    runPurge();
+    setInterval(runPurge, 60 * 60 * 1000);
+}
+
+// Activity log: one JSON event per line in data/activity.jsonl, only ever appended to. Once it passes
+// ACTIVITY_MAX_BYTES it is renamed to data/activity.1.jsonl, replacing the older events, and a new file starts.
+const ACTIVITY_FILE = path.join(DATA_DIR, 'activity.jsonl');
+const ACTIVITY_ROTATED_FILE = path.join(DATA_DIR, 'activity.1.jsonl');
+const ACTIVITY_MAX_BYTES = 5 * 1024 * 1024;
+const ACTIVITY_READ_CHUNK = 64 * 1024;
+
+// Tasks that changed position relative to the other tasks that stayed in the same column
+function findReorderedTaskIds(beforeIds, afterIds) {
+    const indices = afterIds.map(id => beforeIds.indexOf(id));
+    const lengths = [];
+    const links = [];
+    let best = -1;
+    indices.forEach((value, i) => {
+        lengths[i] = 1;
+        links[i] = -1;
+        for (let j = 0; j < i; j++) {
+            if (indices[j] < value && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                links[i] = j;
+            }
         }
-        h1 {
-            font-size: 2rem;
-            color: var(--primary);
-            position: absolute;
-            left: 50%;
-            transform: translateX(-50%);
-            transition: color var(--transition);
+        if (best === -1 || lengths[i] > lengths[best]) best = i;
+    });
+
+    const stable = new Set();
+    for (let i = best; i !== -1; i = links[i]) {
+        stable.add(afterIds[i]);
+    }
+    return afterIds.filter(id => !stable.has(id));
+}
+
+function indexBoardData(data) {
+    const columns = new Map();
+    const tasks = new Map();
+    const archived = new Map();
+    Object.entries(data.boards || {}).forEach(([boardId, board]) => {
+        Object.entries(board.columns || {}).forEach(([columnId, column]) => {
+            columns.set(columnId, { boardId, column });
+            (column.tasks || []).forEach((task, index) => {
+                tasks.set(task.id, { boardId, columnId, columnName: column.name, index, task });
+            });
+        });
+        (board.archived || []).forEach((task, index) => {
+            archived.set(task.id, { boardId, index, task });
+        });
+    });
+    return { columns, tasks, archived };
+}
+
+function taskSnapshot(location) {
+    const { updatedAt, ...fields } = location.task;
+    return { ...fields, columnId: location.columnId, columnName: location.columnName };
+}
+
+// Compare two versions of the document and describe what changed as activity events
+function diffBoardData(before, after) {
+    const events = [];
+    const add = (type, boardId, entity, summary, beforeValue, afterValue) => {
+        events.push({ type, boardId, entity, summary, before: beforeValue, after: afterValue });
+    };
+
+    const beforeBoards = before.boards || {};
+    const afterBoards = after.boards || {};
+    const beforeTrash = trashedIds(before);
+    const afterTrash = trashedIds(after);
+    Object.entries(afterBoards).forEach(([boardId, board]) => {
+        const previous = Object.hasOwn(beforeBoards, boardId) ? beforeBoards[boardId] : null;
+        if (!previous && beforeTrash.has(boardId)) {
+            add('board.restored', boardId, { type: 'board', id: boardId }, 'Restored board "' + board.name + '" from the trash', null, { name: board.name });
+        } else if (!previous) {
+            add('board.added', boardId, { type: 'board', id: boardId }, 'Added board "' + board.name + '"', null, { name: board.name });
+        } else if (previous.name !== board.name) {
+            add('board.renamed', boardId, { type: 'board', id: boardId }, 'Renamed board "' + previous.name + '" to "' + board.name + '"', { name: previous.name }, { name: board.name });
         }
-        /* Dark theme color override for logo */
-        body.dark-theme h1 {
-            color: white;
+    });
+    Object.entries(beforeBoards).forEach(([boardId, board]) => {
+        if (!Object.hasOwn(afterBoards, boardId)) {
+            const summary = afterTrash.has(boardId) ? 'Moved board "' + board.name + '" to the trash' : 'Deleted board "' + board.name + '"';
+            add('board.deleted', boardId, { type: 'board', id: boardId }, summary, { name: board.name, columns: Object.keys(board.columns || {}).length }, null);
         }
-        #theme-toggle {
-            background: none;
-            border: none;
-            font-size: 1.5rem;
-            cursor: pointer;
-            padding: 0.5rem;
-            border-radius: var(--border-radius);
-            transition: transform var(--transition);
-            margin-left: auto;
-            color: var(--text);
+    });
+
+    // Columns and tasks of boards that were added or deleted as a whole are covered by the board event
+    const survives = boardId => Object.hasOwn(beforeBoards, boardId) && Object.hasOwn(afterBoards, boardId);
+    const beforeIndex = indexBoardData(before);
+    const afterIndex = indexBoardData(after);
+
+    afterIndex.columns.forEach(({ boardId, column }, columnId) => {
+        if (!survives(boardId)) return;
+        const previous = beforeIndex.columns.get(columnId);
+        const entity = { type: 'column', id: columnId };
+        if (!previous && beforeTrash.has(columnId)) {
+            add('column.restored', boardId, entity, 'Restored column "' + column.name + '" from the trash', null, { name: column.name, tasks: column.tasks.map(task => task.title) });
+        } else if (!previous) {
+            add('column.added', boardId, entity, 'Added column "' + column.name + '"', null, { name: column.name });
+        } else if (previous.column.name !== column.name) {
+            add('column.renamed', boardId, entity, 'Renamed column "' + previous.column.name + '" to "' + column.name + '"', { name: previous.column.name }, { name: column.name });
         }
-        #theme-toggle:hover {
-            transform: scale(1.1);
+    });
+    beforeIndex.columns.forEach(({ boardId, column }, columnId) => {
+        if (!survives(boardId) || afterIndex.columns.has(columnId)) return;
+        const summary = afterTrash.has(columnId) ? 'Moved column "' + column.name + '" to the trash' : 'Removed column "' + column.name + '"';
+        add('column.removed', boardId, { type: 'column', id: columnId }, summary, { name: column.name, tasks: (column.tasks || []).map(task => task.title) }, null);
+    });
+
+    afterIndex.tasks.forEach((location, taskId) => {
+        if (!survives(location.boardId)) return;
+        const previous = beforeIndex.tasks.get(taskId);
+        const entity = { type: 'task', id: taskId };
+        // Tasks of a column restored from the trash are covered by the column event
+        if (!previous && beforeTrash.has(taskId)) return;
+        if (!previous) {
+            if (beforeIndex.archived.has(taskId)) {
+                add('task.restored', location.boardId, entity, 'Restored task "' + location.task.title + '" to "' + location.columnName + '"', null, taskSnapshot(location));
+            } else {
+                add('task.created', location.boardId, entity, 'Created task "' + location.task.title + '" in "' + location.columnName + '"', null, taskSnapshot(location));
+            }
+            return;
         }
-        #theme-toggle svg {
-            width: 20px;
-            height: 20px;
+
+        // New comments are events of their own rather than an edit of the whole task
+        const { updatedAt: previousUpdatedAt, comments: previousComments, ...previousFields } = previous.task;
+        const { updatedAt, comments, ...fields } = location.task;
+        if (JSON.stringify(previousFields) !== JSON.stringify(fields)) {
+            add('task.edited', location.boardId, entity, 'Edited task "' + location.task.title + '"', taskSnapshot(previous), taskSnapshot(location));
         }
-        .board {
-            display: grid;
-            grid-template-columns: repeat(3, minmax(300px, 1fr));
-            gap: 4rem;
-            max-width: 1500px;
-            margin: 0 auto;
-            padding: 3rem;
+        const previousCommentIds = new Set((previousComments || []).map(comment => comment.id));
+        (comments || []).filter(comment => !previousCommentIds.has(comment.id)).forEach(comment => {
+            add('task.commented', location.boardId, entity, comment.author + ' commented on task "' + location.task.title + '"', null, { ...comment });
+        });
+        if (previous.columnId !== location.columnId) {
+            add('task.moved', location.boardId, entity, 'Moved task "' + location.task.title + '" from "' + previous.columnName + '" to "' + location.columnName + '"', { columnId: previous.columnId, columnName: previous.columnName, position: previous.index }, { columnId: location.columnId, columnName: location.columnName, position: location.index });
         }
-        .column {
-            background: var(--container);
-            padding: 1.5rem;
-            border-radius: var(--border-radius);
-            box-shadow: var(--shadow);
-            border: 1px solid var(--border);
-            width: 100%;
-            min-width: 0;
-            display: flex;
-            flex-direction: column;
-            min-height: 300px;
-        }
-        .column h2 {
-            margin-bottom: 1rem;
-            font-size: 1.25rem;
-        }
-        .tasks {
-            min-height: 200px;
-            flex: 1;
-            margin-bottom: 1rem;
-        }
-        .task {
-            background: var(--container);
-            padding: 1rem;
-            margin-bottom: 0.5rem;
-            border-radius: var(--border-radius);
-            border: 1px solid var(--border);
-            cursor: grab;
-            transition: transform var(--transition), box-shadow var(--transition);
-            position: relative;
-            display: flex;
-            align-items: flex-start;
-            gap: 0.75rem;
-            width: 100%;
-            box-sizing: border-box;
-        }
-        .task-text {
-            flex: 1;
-            min-width: 0;
-            word-wrap: break-word;
-            overflow-wrap: break-word;
-            white-space: pre-wrap;
-            margin: 0;
-            line-height: 1.4;
-            max-width: 100%;
-        }
-        .move-indicator {
-            flex-shrink: 0;
-            opacity: 0.5;
-            font-size: 1.2rem;
-            cursor: grab;
-        }
-        .task:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-        }
-        .task.dragging {
-            opacity: 0.5;
-            cursor: grabbing;
-        }
-        .add-task {
-            width: 100%;
-            padding: 0.75rem;
-            background: var(--primary);
-            color: white;
-            border: none;
-            border-radius: var(--border-radius);
-            cursor: pointer;
-            transition: background-color var(--transition);
-            margin-top: auto;
-        }
-        .add-task:hover {
-            background: var(--primary-hover);
-        }
-        .toast {
-            position: fixed;
-            bottom: 2rem;
-            right: 2rem;
-            padding: 1rem 2rem;
-            background: var(--container);
-            border-radius: var(--border-radius);
-            box-shadow: var(--shadow);
-            animation: slideIn 0.3s ease;
-        }
-        @keyframes slideIn {
-            from { transform: translateY(100%); opacity: 0; }
-            to { transform: translateY(0); opacity: 1; }
+    });
+    beforeIndex.tasks.forEach((location, taskId) => {
+        if (!survives(location.boardId) || afterIndex.tasks.has(taskId) || !afterIndex.columns.has(location.columnId)) return;
+        if (afterIndex.archived.has(taskId)) {
+            add('task.archived', location.boardId, { type: 'task', id: taskId }, 'Archived task "' + location.task.title + '" from "' + location.columnName + '"', taskSnapshot(location), null);
+        } else {
+            add('task.deleted', location.boardId, { type: 'task', id: taskId }, 'Deleted task "' + location.task.title + '" from "' + location.columnName + '"', taskSnapshot(location), null);
         }
-        .modal {
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            backdrop-filter: blur(5px);
-            z-index: 9999;
+    });
+    beforeIndex.archived.forEach(({ boardId, task }, taskId) => {
+        if (!survives(boardId) || afterIndex.archived.has(taskId) || afterIndex.tasks.has(taskId)) return;
+        add('task.deleted', boardId, { type: 'task', id: taskId }, 'Permanently deleted archived task "' + task.title + '"', { ...task }, null);
+    });
+
+    // Reordering within a column
+    afterIndex.columns.forEach(({ boardId, column }, columnId) => {
+        const previous = beforeIndex.columns.get(columnId);
+        if (!survives(boardId) || !previous) return;
+        const afterIds = column.tasks.map(task => task.id).filter(id => {
+            const location = beforeIndex.tasks.get(id);
+            return location && location.columnId === columnId;
+        });
+        const beforeIds = previous.column.tasks.map(task => task.id).filter(id => afterIds.includes(id));
+        findReorderedTaskIds(beforeIds, afterIds).forEach(taskId => {
+            const from = beforeIndex.tasks.get(taskId);
+            const to = afterIndex.tasks.get(taskId);
+            add('task.moved', boardId, { type: 'task', id: taskId }, 'Moved task "' + to.task.title + '" within "' + column.name + '"', { columnId, columnName: from.columnName, position: from.index }, { columnId, columnName: column.name, position: to.index });
+        });
+    });
+
+    return events;
+}
+
+async function recordActivity(req, events) {
+    if (!events.length) return;
+    const timestamp = new Date().toISOString();
+    const actor = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+    const lines = events.map(event => JSON.stringify({ id: generateId('activity'), timestamp, actor, ...event }) + '\n');
+    try {
+        await fs.appendFile(ACTIVITY_FILE, lines.join(''));
+        const { size } = await fs.stat(ACTIVITY_FILE);
+        if (size > ACTIVITY_MAX_BYTES) await fs.rename(ACTIVITY_FILE, ACTIVITY_ROTATED_FILE);
+    } catch (error) {
+        console.error('Error recording activity:', error);
+    }
+}
+
+// The lines of a file from last to first. The file is read in chunks from the end, so only as
+// much of it is read as the caller asks for.
+async function* readLinesBackwards(file) {
+    let handle;
+    try {
+        handle = await fs.open(file, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    try {
+        let position = (await handle.stat()).size;
+        let rest = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(ACTIVITY_READ_CHUNK, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+            rest = Buffer.concat([chunk, rest]);
+            // A line break byte never occurs inside a multi-byte UTF-8 character
+            let end = rest.length;
+            for (let i = rest.length - 1; i >= 0; i--) {
+                if (rest[i] !== 0x0a) continue;
+                yield rest.toString('utf8', i + 1, end);
+                end = i;
+            }
+            rest = rest.subarray(0, end);
         }
-        .modal-content {
-            background: var(--container);
-            padding: 2rem;
-            border-radius: var(--border-radius);
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
-            width: 90%;
-            max-width: 500px;
-            text-align: center;
-            position: relative;
-            z-index: 10000;
-            box-sizing: border-box;
+        yield rest.toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+// Newest events first, optionally limited to one board
+async function readActivity({ boardId, limit }) {
+    const events = [];
+    for (const file of [ACTIVITY_FILE, ACTIVITY_ROTATED_FILE]) {
+        for await (const line of readLinesBackwards(file)) {
+            if (events.length >= limit) return events;
+            if (!line.trim()) continue;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch {
+                continue; // Skip a line cut short by a crash
+            }
+            if (!boardId || event.boardId === boardId) events.push(event);
         }
-        .modal h2 { margin-bottom: 2rem; color: var(--text); }
-        .pin-input {
-            margin-bottom: 2rem;
-            width: 100%;
+    }
+    return events;
+}
+
+// Fields shared by tasks on the board and tasks in a board's archive
+const TASK_PROPERTIES = {
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1, maxLength: 500 },
+    description: { type: 'string' },
+    dueDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}', format: 'date-time' },
+    labels: { type: 'array', items: { type: 'string', minLength: 1 } },
+    priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+    checklist: { type: 'array', items: { $ref: '#/definitions/checklistItem' } },
+    comments: { type: 'array', items: { $ref: '#/definitions/comment' } },
+    attachments: { type: 'array', items: { $ref: '#/definitions/attachment' } },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+};
+
+// JSON Schema for data/tasks.json, enforced on every write and served at /api/schema
+const DATA_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'DumbKan data',
+    type: 'object',
+    required: ['boards', 'activeBoard'],
+    properties: {
+        boards: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: { $ref: '#/definitions/board' }
+        },
+        activeBoard: { type: 'string' },
+        revision: { type: 'integer', minimum: 0 },
+        trash: {
+            type: 'array',
+            items: { $ref: '#/definitions/trashItem' }
+        }
+    },
+    definitions: {
+        board: {
+            type: 'object',
+            required: ['name', 'columns'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                columns: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/column' }
+                },
+                archived: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/archivedTask' }
+                },
+                labels: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/label' }
+                }
+            }
+        },
+        // Labels belong to a board; its tasks refer to them by id
+        label: {
+            type: 'object',
+            required: ['id', 'name', 'color'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1, maxLength: 50 },
+                color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+            }
+        },
+        // One step of a task's checklist, kept in order on the task
+        checklistItem: {
+            type: 'object',
+            required: ['id', 'text', 'done'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                text: { type: 'string', minLength: 1, maxLength: 500 },
+                done: { type: 'boolean' }
+            }
+        },
+        // A comment on a task, oldest first; the body is Markdown
+        comment: {
+            type: 'object',
+            required: ['id', 'author', 'body', 'createdAt'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                author: { type: 'string', minLength: 1, maxLength: 100 },
+                body: { type: 'string', minLength: 1, maxLength: 10000 },
+                createdAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        // A file in data/attachments, named after the id
+        attachment: {
+            type: 'object',
+            required: ['id', 'name', 'type', 'size', 'createdAt'],
+            properties: {
+                id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,100}$' },
+                name: { type: 'string', minLength: 1, maxLength: 255 },
+                type: { type: 'string', minLength: 1 },
+                size: { type: 'integer', minimum: 0 },
+                createdAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        column: {
+            type: 'object',
+            required: ['name', 'tasks'],
+            properties: {
+                name: { type: 'string', maxLength: 100 },
+                tasks: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/task' }
+                }
+            }
+        },
+        task: {
+            type: 'object',
+            required: ['id', 'title', 'createdAt', 'updatedAt'],
+            properties: TASK_PROPERTIES
+        },
+        // A deleted board or column with everything needed to put it back where it was
+        trashItem: {
+            type: 'object',
+            required: ['id', 'type', 'deletedAt', 'boardId', 'position'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                type: { type: 'string', enum: ['board', 'column'] },
+                deletedAt: { type: 'string', format: 'date-time' },
+                boardId: { type: 'string', minLength: 1 },
+                position: { type: 'integer', minimum: 0 },
+                board: { $ref: '#/definitions/board' },
+                columnId: { type: 'string', minLength: 1 },
+                column: { $ref: '#/definitions/column' }
+            }
+        },
+        // An archived task remembers the column it was archived from
+        archivedTask: {
+            type: 'object',
+            required: ['id', 'title', 'createdAt', 'updatedAt', 'columnId', 'archivedAt'],
+            properties: {
+                ...TASK_PROPERTIES,
+                columnId: { type: 'string', minLength: 1 },
+                archivedAt: { type: 'string', format: 'date-time' }
+            }
         }
-        .pin-input input {
-            width: 100%;
-            height: 3rem;
-            text-align: center;
-            font-size: 1.5rem;
-            border: 2px solid var(--border);
-            border-radius: var(--border-radius);
-            background: var(--container);
-            color: var(--text);
-            transition: border-color var(--transition);
-            padding: 0.5rem;
+    }
+};
+
+function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Validate a value against the subset of JSON Schema used by DATA_SCHEMA,
+// collecting every violation as "path: message"
+function validateSchema(value, schema, location = '', errors = []) {
+    const at = location || '(root)';
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/definitions/', '');
+        return validateSchema(value, DATA_SCHEMA.definitions[name], location, errors);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = schemaType(value);
+        const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+        if (!matches) {
+            errors.push(at + ': must be ' + types.join(' or ') + ', got ' + actual);
+            return errors;
         }
-        .pin-input input:focus {
-            outline: none;
-            border-color: var(--primary);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(at + ': must be one of ' + schema.enum.join(', '));
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(at + ': must not be empty');
         }
-        .pin-input input.has-value {
-            background: var(--primary);
-            border-color: var(--primary);
-            color: white;
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(at + ': must be at most ' + schema.maxLength + ' characters');
         }
-        .pin-submit {
-            background: var(--primary);
-            color: white;
-            border: none;
-            padding: 0.75rem 2rem;
-            font-size: 1rem;
-            border-radius: var(--border-radius);
-            cursor: pointer;
-            transition: background-color var(--transition);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(at + ': must match ' + schema.pattern);
         }
-        .pin-submit:hover {
-            background: var(--primary-hover);
+        // Date.parse also accepts text like "1" and rolls over days that do not exist
+        if (schema.format === 'date-time' && (Number.isNaN(Date.parse(value)) || !isCalendarDay(value.slice(0, 10)))) {
+            errors.push(at + ': must be an ISO 8601 date-time');
         }
-        @media (max-width: 768px) {
-            .app {
-                padding: 1rem;
-            }
-            
-            .board {
-                grid-template-columns: 1fr;
-                gap: 1.5rem;
-                padding: 0.5rem;
-                margin: 0 auto;
-                max-width: 600px;
-            }
+    }
 
-            .column {
-                padding: 1rem;
-                margin: 0 auto;
-                width: 95%;
-            }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(at + ': must be at least ' + schema.minimum);
+    }
 
-            header {
-                flex-direction: column;
-                gap: 1rem;
-                align-items: center;
-                padding: 1rem;
-            }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateSchema(item, schema.items, location + '[' + index + ']', errors));
+    }
 
-            .header-left {
-                flex-direction: column;
-                gap: 1rem;
-                width: 100%;
-                align-items: center;
+    if (schemaType(value) === 'object') {
+        const keys = Object.keys(value);
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(at + ': missing required property "' + key + '"');
+        });
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(at + ': must have at least ' + schema.minProperties + ' entries');
+        }
+        keys.forEach(key => {
+            const childLocation = location ? location + '.' + key : key;
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                validateSchema(value[key], propertySchema, childLocation, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(at + ': unexpected property "' + key + '"');
+            } else if (schema.additionalProperties) {
+                validateSchema(value[key], schema.additionalProperties, childLocation, errors);
             }
+        });
+    }
+    return errors;
+}
 
-            h1 {
-                position: static;
-                transform: none;
-                margin-bottom: 0.5rem;
-            }
+// Schema validation plus the cross references JSON Schema cannot express
+function validateData(data) {
+    const errors = validateSchema(data, DATA_SCHEMA);
+    if (errors.length) return errors;
 
-            .board-selector {
-                margin-left: 0;
-                width: 100%;
-                max-width: 300px;
+    if (!Object.hasOwn(data.boards, data.activeBoard)) {
+        errors.push('activeBoard: "' + data.activeBoard + '" is not a board');
+    }
+    const columnIds = new Set();
+    const taskIds = new Set();
+    Object.entries(data.boards).forEach(([boardId, board]) => {
+        const labelIds = new Set();
+        (board.labels || []).forEach((label, index) => {
+            if (labelIds.has(label.id)) {
+                errors.push('boards.' + boardId + '.labels[' + index + '].id: duplicate label id "' + label.id + '"');
             }
+            labelIds.add(label.id);
+        });
+        const checkLabels = (task, at) => (task.labels || []).forEach(labelId => {
+            if (!labelIds.has(labelId)) errors.push(at + '.labels: "' + labelId + '" is not a label of the board');
+        });
 
-            .board-button {
-                width: 100%;
-                justify-content: center;
+        Object.entries(board.columns).forEach(([columnId, column]) => {
+            if (columnIds.has(columnId)) {
+                errors.push('boards.' + boardId + '.columns.' + columnId + ': column id is used on more than one board');
             }
-
-            .board-menu {
-                width: 100%;
+            columnIds.add(columnId);
+            column.tasks.forEach((task, index) => {
+                if (taskIds.has(task.id)) {
+                    errors.push('boards.' + boardId + '.columns.' + columnId + '.tasks[' + index + '].id: duplicate task id "' + task.id + '"');
+                }
+                taskIds.add(task.id);
+                checkLabels(task, 'boards.' + boardId + '.columns.' + columnId + '.tasks[' + index + ']');
+            });
+        });
+        (board.archived || []).forEach((task, index) => {
+            if (taskIds.has(task.id)) {
+                errors.push('boards.' + boardId + '.archived[' + index + '].id: duplicate task id "' + task.id + '"');
             }
+            taskIds.add(task.id);
+            checkLabels(task, 'boards.' + boardId + '.archived[' + index + ']');
+        });
+    });
+    (data.trash || []).forEach((item, index) => {
+        const content = item.type === 'board' ? item.board : item.column;
+        if (!content || (item.type === 'column' && !item.columnId)) {
+            errors.push('trash[' + index + ']: a ' + item.type + ' item needs its ' + (item.type === 'board' ? 'board' : 'columnId and column'));
+        }
+    });
+    const reserved = trashedIds(data);
+    [...Object.keys(data.boards), ...columnIds, ...taskIds].forEach(id => {
+        if (reserved.has(id)) errors.push('trash: id "' + id + '" is also in use outside the trash');
+    });
+    return errors;
+}
 
-            #theme-toggle {
-                position: absolute;
-                top: 1rem;
-                right: 1rem;
-            }
+function formatRevision(revision) {
+    return '"' + (revision || 0) + '"';
+}
 
-            .task {
-                padding: 0.75rem;
-                margin-bottom: 0.75rem;
-                width: 100%;
-            }
+// Reject writes based on a stale copy of the document. Clients send the revision they
+// last saw in If-Match; writes without the header are accepted, except whole-document saves.
+function checkRevision(req, data) {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch || ifMatch.trim() === '*') return;
+
+    const expected = ifMatch.replace(/^W\//, '').trim();
+    if (expected !== formatRevision(data.revision)) {
+        const error = httpError(409, 'The board was changed by someone else');
+        error.revision = data.revision || 0;
+        throw error;
+    }
+}
 
-            .add-task {
-                padding: 0.75rem;
-                width: 100%;
-            }
+// Read, modify and write the document in one step. The mutate callback changes the
+// data in place and returns the value to send back to the client.
+function updateData(req, res, mutate) {
+    return queueWrite(async () => {
+        const data = await readData();
+        checkRevision(req, data);
+        const before = structuredClone(data);
+        const revision = (data.revision || 0) + 1;
+        purgeTrash(data);
+        const result = await mutate(data);
+        data.revision = revision;
+
+        const violations = validateData(data);
+        if (violations.length) {
+            const error = httpError(400, 'Invalid board data');
+            error.violations = violations;
+            throw error;
+        }
+
+        await writeData(data);
+        await recordActivity(req, diffBoardData(before, data));
+        broadcastChange(revision, req.get('X-Client-Id') || null);
+        res.set('ETag', formatRevision(revision));
+
+        // Files of attachments that left the document, e.g. with a deleted task or an emptied trash
+        const remaining = attachmentIds(data);
+        if ([...attachmentIds(before)].some(attachmentId => !remaining.has(attachmentId))) {
+            await removeOrphanedAttachments(data).catch(error => console.error('Error removing attachment files:', error));
+        }
+        return result;
+    });
+}
 
-            .board-selector {
-                margin-left: 0;
-            }
+// Create an error that the API routes turn into a response with the given status
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
 
-            .board-button {
-                padding: 0.5rem 0.75rem;
-                min-width: 100px;
-                font-size: 0.9rem;
-            }
+function sendError(res, error, fallbackMessage) {
+    if (error.status === 409) {
+        return res.status(409).json({ error: error.message, revision: error.revision });
+    }
+    if (error.violations) {
+        return res.status(error.status).json({ error: error.message, violations: error.violations });
+    }
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(fallbackMessage + ':', error);
+    res.status(500).json({ error: fallbackMessage });
+}
 
-            .board-menu {
-                min-width: 180px;
-            }
+// Ids are looked up as own properties only, so names like "constructor" are not boards or columns
+function findBoard(data, boardId) {
+    if (!Object.hasOwn(data.boards, boardId)) throw httpError(404, 'Board not found');
+    return data.boards[boardId];
+}
 
-            .board-menu button {
-                padding: 0.75rem;
-                font-size: 0.9rem;
-            }
+function findColumn(data, columnId) {
+    for (const [boardId, board] of Object.entries(data.boards)) {
+        if (Object.hasOwn(board.columns, columnId)) {
+            return { boardId, board, column: board.columns[columnId] };
+        }
+    }
+    throw httpError(404, 'Column not found');
+}
 
-            .task-text {
-                font-size: 0.95rem;
+function findTask(data, taskId) {
+    for (const [boardId, board] of Object.entries(data.boards)) {
+        for (const [columnId, column] of Object.entries(board.columns)) {
+            const index = column.tasks.findIndex(task => task.id === taskId);
+            if (index !== -1) {
+                return { boardId, columnId, column, index, task: column.tasks[index] };
             }
+        }
+    }
+    throw httpError(404, 'Task not found');
+}
 
-            .modal-content {
-                padding: 1.5rem;
-                width: 95%;
-                max-width: 350px;
-            }
+function findArchivedTask(data, taskId) {
+    for (const [boardId, board] of Object.entries(data.boards)) {
+        const index = (board.archived || []).findIndex(task => task.id === taskId);
+        if (index !== -1) {
+            return { boardId, board, index, task: board.archived[index] };
+        }
+    }
+    throw httpError(404, 'Archived task not found');
+}
 
-            .task-form textarea {
-                padding: 0.75rem;
-                min-height: 100px;
-                font-size: 0.95rem;
-            }
+function findLabel(data, labelId) {
+    for (const [boardId, board] of Object.entries(data.boards)) {
+        const index = (board.labels || []).findIndex(label => label.id === labelId);
+        if (index !== -1) {
+            return { boardId, board, index, label: board.labels[index] };
         }
+    }
+    throw httpError(404, 'Label not found');
+}
 
-        @media (max-width: 480px) {
-            .app {
-                padding: 1rem;
+// Attachments of tasks on a board or in its archive
+function findAttachment(data, attachmentId) {
+    for (const [boardId, board] of Object.entries(data.boards)) {
+        const tasks = [...Object.values(board.columns).flatMap(column => column.tasks), ...(board.archived || [])];
+        for (const task of tasks) {
+            const index = (task.attachments || []).findIndex(attachment => attachment.id === attachmentId);
+            if (index !== -1) {
+                return { boardId, task, index, attachment: task.attachments[index] };
             }
+        }
+    }
+    throw httpError(404, 'Attachment not found');
+}
 
-            .board {
-                padding: 0.5rem;
-            }
+// Use the id a client asked for (e.g. to recreate something it undid), or generate one
+function claimId(data, requestedId, prefix) {
+    if (requestedId === undefined) return generateId(prefix);
+    if (typeof requestedId !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(requestedId)) {
+        throw httpError(400, 'Invalid id');
+    }
+    const { columns, tasks, archived } = indexBoardData(data);
+    if (data.boards[requestedId] || columns.has(requestedId) || tasks.has(requestedId) || archived.has(requestedId) || trashedIds(data).has(requestedId)) {
+        throw httpError(400, 'Id "' + requestedId + '" is already in use');
+    }
+    return requestedId;
+}
 
-            h1 {
-                font-size: 1.5rem;
-            }
+function requireText(value, field, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw httpError(400, field + ' is required');
+    }
+    if (value.trim().length > maxLength) {
+        throw httpError(400, field + ' must be at most ' + maxLength + ' characters');
+    }
+    return value.trim();
+}
 
-            .board-selector {
-                margin-left: 0.75rem;
-            }
+// Due dates are a day ("2024-05-31", due by the end of it) or a moment, stored as an ISO 8601 date-time
+const DUE_DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-            .board-button {
-                min-width: 90px;
-                font-size: 0.85rem;
-            }
+// Date.parse rolls days that do not exist over (2024-02-31 becomes 2024-03-02), so the
+// year, month and day must come back unchanged
+function isCalendarDay(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
 
-            .column-name {
-                font-size: 1.1rem;
-            }
+function parseDueDate(value) {
+    if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) return null;
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!Number.isNaN(Date.parse(text)) && isCalendarDay(text.slice(0, 10))) {
+        if (DUE_DAY_PATTERN.test(text)) return text;
+        if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(text)) return new Date(text).toISOString();
+    }
+    throw httpError(400, 'Due date must be a day (YYYY-MM-DD) or an ISO 8601 date-time');
+}
 
-            .task {
-                font-size: 0.9rem;
-            }
+// Descriptions and comments are Markdown text; line endings are normalised and control characters dropped
+const DESCRIPTION_MAX_LENGTH = 20000;
+const COMMENT_MAX_LENGTH = 10000;
+
+function cleanMarkdown(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '');
+}
+
+function parseDescription(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'string') throw httpError(400, 'Task description must be a string');
+    if (value.length > DESCRIPTION_MAX_LENGTH) {
+        throw httpError(400, 'Task description must be at most ' + DESCRIPTION_MAX_LENGTH + ' characters');
+    }
+    return cleanMarkdown(value);
+}
+
+// A new comment for a task. A client may pick the id and time (e.g. for a comment written offline).
+function parseComment(value, comments) {
+    if (!value || typeof value !== 'object') throw httpError(400, 'Comment must be an object');
+    const author = requireText(value.author, 'Comment author', 100);
+    const body = cleanMarkdown(requireText(value.body, 'Comment', COMMENT_MAX_LENGTH));
+    if (value.id !== undefined && (typeof value.id !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(value.id))) {
+        throw httpError(400, 'Invalid id');
+    }
+    if (value.id !== undefined && comments.some(comment => comment.id === value.id)) {
+        throw httpError(400, 'Id "' + value.id + '" is already in use');
+    }
+    const createdAt = typeof value.createdAt === 'string' && !Number.isNaN(Date.parse(value.createdAt))
+        ? new Date(value.createdAt).toISOString()
+        : new Date().toISOString();
+    return { id: value.id || generateId('comment'), author, body, createdAt };
+}
+
+// All comments of a task, e.g. when a deleted task is created again; an empty list removes them
+function parseComments(value) {
+    if (value === null || value === undefined) return null;
+    if (!Array.isArray(value)) throw httpError(400, 'Comments must be a list');
+    const comments = value.reduce((list, comment) => [...list, parseComment(comment, list)], []);
+    return comments.length ? comments : null;
+}
+
+// Priority levels from lowest to highest; tasks without a priority have none
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+function parsePriority(value) {
+    if (value === null || value === undefined || value === '' || value === 'none') return null;
+    const priority = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (!TASK_PRIORITIES.includes(priority)) {
+        throw httpError(400, 'Priority must be one of none, ' + TASK_PRIORITIES.join(', '));
+    }
+    return priority;
+}
+
+// A task checklist is an ordered list of { id, text, done } items; an empty list removes it
+function parseChecklist(value) {
+    if (value === null || value === undefined) return null;
+    if (!Array.isArray(value)) throw httpError(400, 'Checklist must be a list of items');
+    const ids = new Set();
+    const checklist = value.map(item => {
+        if (!item || typeof item !== 'object') throw httpError(400, 'Checklist items must be objects');
+        const text = requireText(item.text, 'Checklist item text', 500);
+        const id = typeof item.id === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(item.id) && !ids.has(item.id) ? item.id : generateId('item');
+        ids.add(id);
+        return { id, text, done: item.done === true };
+    });
+    return checklist.length ? checklist : null;
+}
+
+function findChecklistItem(task, itemId) {
+    const index = (task.checklist || []).findIndex(item => item.id === itemId);
+    if (index === -1) throw httpError(404, 'Checklist item not found');
+    return { index, item: task.checklist[index] };
+}
+
+// Colors for new labels, used in turn
+const LABEL_COLORS = ['#e53935', '#fb8c00', '#fdd835', '#43a047', '#00acc1', '#1e88e5', '#8e24aa', '#757575'];
+
+function nextLabelColor(board) {
+    return LABEL_COLORS[(board.labels || []).length % LABEL_COLORS.length];
+}
+
+function parseLabelColor(value) {
+    if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+        throw httpError(400, 'Label color must be a hex color like #1e88e5');
+    }
+    return value.toLowerCase();
+}
+
+// Task labels are ids of labels on the task's board; an empty list removes them
+function parseTaskLabels(value, board) {
+    if (value === null || value === undefined) return null;
+    if (!Array.isArray(value)) throw httpError(400, 'Task labels must be a list of label ids');
+    const known = new Set((board.labels || []).map(label => label.id));
+    value.forEach(labelId => {
+        if (!known.has(labelId)) throw httpError(400, 'Label "' + labelId + '" is not a label of the board');
+    });
+    const labels = [...new Set(value)];
+    return labels.length ? labels : null;
+}
+
+// The board's label with this name, created if there is none yet (used by imports)
+function labelByName(board, name) {
+    const trimmed = name.trim().slice(0, 50);
+    board.labels = board.labels || [];
+    let label = board.labels.find(existing => existing.name.toLowerCase() === trimmed.toLowerCase());
+    if (!label) {
+        label = { id: generateId('label'), name: trimmed, color: nextLabelColor(board) };
+        board.labels.push(label);
+    }
+    return label;
+}
+
+// Remove label ids the board does not have, e.g. from a task that moved to another board
+function dropUnknownLabels(board, tasks) {
+    const known = new Set((board.labels || []).map(label => label.id));
+    tasks.forEach(task => {
+        if (!task.labels) return;
+        task.labels = task.labels.filter(labelId => known.has(labelId));
+        if (!task.labels.length) delete task.labels;
+    });
+}
+
+// Set task fields, removing optional ones that are cleared with null
+function assignTaskFields(task, values) {
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === null) {
+            delete task[key];
+        } else {
+            task[key] = value;
         }
-        .pin-overlay {
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: var(--background);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            flex-direction: column;
-            gap: 2rem;
-            z-index: 1000;
+    });
+    return task;
+}
+
+// Insert an item into an array at an optional position, appending by default
+function insertAt(array, item, position) {
+    const index = Number.isInteger(position) ? Math.max(0, Math.min(position, array.length)) : array.length;
+    array.splice(index, 0, item);
+    return index;
+}
+
+// Derive a board id from its name, adding a suffix if it is already taken
+function createBoardId(data, name) {
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+    const trashed = trashedIds(data);
+    let boardId = baseId;
+    for (let i = 2; Object.hasOwn(data.boards, boardId) || trashed.has(boardId); i++) {
+        boardId = baseId + '-' + i;
+    }
+    return boardId;
+}
+
+function boardResponse(boardId, board) {
+    return { id: boardId, ...board };
+}
+
+function columnResponse(boardId, columnId, column) {
+    return { id: columnId, boardId, ...column };
+}
+
+function taskResponse(boardId, columnId, task) {
+    return { ...task, boardId, columnId };
+}
+
+// Trello import: turns a board export (Board menu > Print, export and share > Export as JSON)
+// into a new board. Lists become columns and cards become tasks, both in their Trello order.
+function isTrelloExport(trello) {
+    return Boolean(trello) && typeof trello.name === 'string' && Array.isArray(trello.lists) && Array.isArray(trello.cards);
+}
+
+// Trello ids start with the creation time in seconds, as 8 hex digits
+function trelloCreatedAt(trelloId) {
+    const seconds = parseInt(String(trelloId).slice(0, 8), 16);
+    return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function validDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+// Trello's label colors (each also comes in a _dark and _light shade)
+const TRELLO_COLORS = {
+    green: '#61bd4f',
+    yellow: '#f2d600',
+    orange: '#ff9f1a',
+    red: '#eb5a46',
+    purple: '#c377e0',
+    blue: '#0079bf',
+    sky: '#00c2e0',
+    lime: '#51e898',
+    pink: '#ff78cb',
+    black: '#344563'
+};
+
+function importTrelloBoard(data, trello, { includeClosed = false } = {}) {
+    const byPosition = (a, b) => (Number(a.pos) || 0) - (Number(b.pos) || 0);
+    // Entries that are not objects (e.g. null in a hand-edited export) are left out
+    const records = value => (Array.isArray(value) ? value : []).filter(entry => entry && typeof entry === 'object');
+    const name = (trello.name.trim() || 'Trello board').slice(0, 100);
+    const boardId = createBoardId(data, name);
+    const now = new Date().toISOString();
+    const summary = { columns: 0, tasks: 0, skippedLists: 0, skippedCards: 0 };
+
+    const columns = {};
+    const columnIds = new Map();
+    const labels = [];
+    const labelIds = new Map();
+    records(trello.labels).forEach(trelloLabel => {
+        const color = String(trelloLabel.color || '').replace(/_(dark|light)$/, '');
+        // Trello labels can be just a color; name those after it
+        const name = String(trelloLabel.name || color.charAt(0).toUpperCase() + color.slice(1)).trim().slice(0, 50);
+        if (!name) return;
+        let label = labels.find(existing => existing.name.toLowerCase() === name.toLowerCase());
+        if (!label) {
+            label = { id: generateId('label'), name, color: TRELLO_COLORS[color] || '#757575' };
+            labels.push(label);
+        }
+        labelIds.set(trelloLabel.id, label.id);
+    });
+    const lists = records(trello.lists);
+    summary.skippedLists += trello.lists.length - lists.length;
+    lists.sort(byPosition).forEach(list => {
+        if (list.closed && !includeClosed) {
+            summary.skippedLists++;
+            return;
+        }
+        const columnId = generateId('column');
+        columnIds.set(list.id, columnId);
+        columns[columnId] = { name: String(list.name || 'Untitled').trim().slice(0, 100), tasks: [] };
+        summary.columns++;
+    });
+
+    // A card can have several checklists; their items are joined into the task's one checklist
+    const checklistItems = new Map();
+    records(trello.checklists).sort(byPosition).forEach(checklist => {
+        const items = checklistItems.get(checklist.idCard) || [];
+        records(checklist.checkItems).sort(byPosition).forEach(checkItem => {
+            const text = String(checkItem.name || '').trim().slice(0, 500);
+            if (text) items.push({ id: generateId('item'), text, done: checkItem.state === 'complete' });
+        });
+        checklistItems.set(checklist.idCard, items);
+    });
+
+    // Comments are actions in the export, newest first
+    const cardComments = new Map();
+    records(trello.actions).filter(action => action.type === 'commentCard').reverse().forEach(action => {
+        const cardId = action.data && action.data.card && action.data.card.id;
+        const body = action.data && typeof action.data.text === 'string' ? action.data.text.trim().slice(0, 10000) : '';
+        if (!cardId || !body) return;
+        const member = action.memberCreator || {};
+        const comments = cardComments.get(cardId) || [];
+        comments.push({
+            id: generateId('comment'),
+            author: String(member.fullName || member.username || 'Trello').trim().slice(0, 100) || 'Trello',
+            body: cleanMarkdown(body),
+            createdAt: validDate(action.date) || now
+        });
+        cardComments.set(cardId, comments);
+    });
+
+    const cards = records(trello.cards);
+    summary.skippedCards += trello.cards.length - cards.length;
+    cards.sort(byPosition).forEach(card => {
+        const columnId = columnIds.get(card.idList);
+        const title = String(card.name || '').trim().slice(0, 500);
+        if (!columnId || (card.closed && !includeClosed) || !title) {
+            summary.skippedCards++;
+            return;
+        }
+        const cardLabels = [...new Set((Array.isArray(card.idLabels) ? card.idLabels : []).map(id => labelIds.get(id)).filter(id => id))];
+        const checklist = checklistItems.get(card.id) || [];
+        // A due date that is not a real day is dropped, as in the Markdown import
+        let dueDate = null;
+        try {
+            dueDate = parseDueDate(card.due);
+        } catch {}
+        columns[columnId].tasks.push(assignTaskFields({
+            id: generateId('task'),
+            title,
+            description: typeof card.desc === 'string' ? cleanMarkdown(card.desc).slice(0, DESCRIPTION_MAX_LENGTH) : '',
+            createdAt: trelloCreatedAt(card.id) || now,
+            updatedAt: validDate(card.dateLastActivity) || now
+        }, {
+            dueDate,
+            labels: cardLabels.length ? cardLabels : null,
+            checklist: checklist.length ? checklist : null,
+            comments: cardComments.get(card.id) || null
+        }));
+        summary.tasks++;
+    });
+
+    data.boards[boardId] = { name, columns };
+    if (labels.length) data.boards[boardId].labels = labels;
+    return { boardId, board: data.boards[boardId], summary };
+}
+
+// CSV import and export: one row per task, in board order
+// Spreadsheet apps run cells starting with =, +, -, @, a tab or a carriage return as formulas, so
+// the export puts a ' in front of those and the import takes it off again
+const CSV_FORMULA_PATTERN = /^'?[=+\-@\t\r]/;
+
+function toCsv(rows) {
+    const cell = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (CSV_FORMULA_PATTERN.test(text)) text = "'" + text;
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may contain commas, line breaks and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && !field) {
+            // Only a quote at the start opens a quoted field; elsewhere (5" screen) it is kept as text
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
-        .pin-header {
-            position: absolute;
-            top: 15%;
-            left: 50%;
-            transform: translateX(-50%);
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Task fields in CSV files after the id and column. Fields with a parse function can be changed by an import.
+// Both get the task's board as a second argument.
+const CSV_TASK_FIELDS = [
+    {
+        name: 'title',
+        get: task => task.title,
+        parse: value => {
+            const title = value.trim();
+            if (!title) throw new Error('Title is required');
+            if (title.length > 500) throw new Error('Title must be at most 500 characters');
+            return title;
+        }
+    },
+    { name: 'description', get: task => task.description || '', parse: value => parseDescription(value) },
+    { name: 'dueDate', get: task => task.dueDate || '', parse: parseDueDate },
+    { name: 'priority', get: task => task.priority || '', parse: parsePriority },
+    {
+        // Label names separated by commas; unknown names become new labels
+        name: 'labels',
+        get: (task, board) => (task.labels || [])
+            .map(labelId => (board.labels || []).find(label => label.id === labelId))
+            .filter(label => label)
+            .map(label => label.name)
+            .join(', '),
+        parse: (value, board) => {
+            const names = value.split(',').map(name => name.trim()).filter(name => name);
+            return names.length ? [...new Set(names.map(name => labelByName(board, name).id))] : null;
+        }
+    },
+    { name: 'createdAt', get: task => task.createdAt },
+    { name: 'updatedAt', get: task => task.updatedAt }
+];
+
+function boardToCsv(board) {
+    const rows = [['id', 'column', ...CSV_TASK_FIELDS.map(field => field.name)]];
+    Object.values(board.columns).forEach(column => {
+        column.tasks.forEach(task => {
+            rows.push([task.id, column.name, ...CSV_TASK_FIELDS.map(field => field.get(task, board))]);
+        });
+    });
+    return toCsv(rows);
+}
+
+// Apply CSV rows to a board: rows with the id of a task on the board update it (and move it if the
+// column changed), other rows create tasks. Columns are matched by name and created when missing.
+// Changes data in place and returns a report of every row.
+function importCsvRows(data, boardId, csvRows) {
+    const board = findBoard(data, boardId);
+    if (!csvRows.length) throw httpError(400, 'The CSV file is empty');
+
+    const header = csvRows[0].map(name => name.trim().toLowerCase());
+    const columnIndex = header.indexOf('column');
+    const idIndex = header.indexOf('id');
+    const fields = CSV_TASK_FIELDS
+        .filter(field => field.parse && header.includes(field.name.toLowerCase()))
+        .map(field => ({ ...field, index: header.indexOf(field.name.toLowerCase()) }));
+    if (columnIndex === -1 || !fields.some(field => field.name === 'title')) {
+        throw httpError(400, 'The CSV file needs a header row with at least "column" and "title"');
+    }
+
+    const report = { columnsCreated: [], labelsCreated: [], created: 0, updated: 0, unchanged: 0, skipped: 0, rows: [] };
+    const labelCount = (board.labels || []).length;
+    const { tasks } = indexBoardData(data);
+    const columnsByName = new Map(Object.entries(board.columns).map(([columnId, column]) => [column.name.trim().toLowerCase(), columnId]));
+    const now = new Date().toISOString();
+
+    csvRows.slice(1).forEach((cells, index) => {
+        const row = index + 2;
+        const cell = position => {
+            const value = position === -1 ? '' : cells[position] || '';
+            // Undo exactly the quote toCsv adds, so a title like '=x (exported as ''=x) keeps its own quote
+            return value.startsWith("'") && CSV_FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value;
+        };
+        const columnName = cell(columnIndex).trim().slice(0, 100);
+        const values = {};
+        try {
+            if (!columnName) throw new Error('Column is required');
+            fields.forEach(field => {
+                values[field.name] = field.parse(cell(field.index), board);
+            });
+        } catch (error) {
+            report.skipped++;
+            report.rows.push({ row, action: 'skip', error: error.message });
+            return;
+        }
+
+        let columnId = columnsByName.get(columnName.toLowerCase());
+        if (!columnId) {
+            columnId = generateId('column');
+            board.columns[columnId] = { name: columnName, tasks: [] };
+            columnsByName.set(columnName.toLowerCase(), columnId);
+            report.columnsCreated.push(columnName);
+        }
+
+        const existing = tasks.get(cell(idIndex).trim());
+        if (!existing || existing.boardId !== boardId) {
+            const task = assignTaskFields({ id: generateId('task'), title: values.title, description: '', createdAt: now, updatedAt: now }, values);
+            board.columns[columnId].tasks.push(task);
+            report.created++;
+            report.rows.push({ row, action: 'create', title: task.title, column: columnName });
+            return;
+        }
+
+        const task = existing.task;
+        const updated = assignTaskFields({ ...task }, values);
+        const changes = fields.filter(field => field.get(task, board) !== field.get(updated, board)).map(field => field.name);
+        assignTaskFields(task, values);
+        const currentColumn = Object.keys(board.columns).find(id => board.columns[id].tasks.includes(task));
+        if (currentColumn !== columnId) {
+            const source = board.columns[currentColumn].tasks;
+            source.splice(source.indexOf(task), 1);
+            board.columns[columnId].tasks.push(task);
+            changes.push('column');
+        }
+
+        if (changes.length) {
+            task.updatedAt = now;
+            report.updated++;
+            report.rows.push({ row, action: 'update', title: task.title, column: columnName, changes });
+        } else {
+            report.unchanged++;
+            report.rows.push({ row, action: 'unchanged', title: task.title, column: columnName });
         }
-        .pin-header h1 {
-            margin: 0;
-            color: var(--text);
+    });
+    report.labelsCreated = (board.labels || []).slice(labelCount).map(label => label.name);
+    return report;
+}
+
+// Task descriptions are rendered from Markdown to HTML with every piece of text escaped, so the
+// only markup is the tags generated here. Links must be http(s), mailto or relative.
+// The page renders with the same code: these constants and functions are copied into its script.
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|[^:]*$)/i;
+const MARKDOWN_INLINE_PATTERN = /(`+)([\s\S]+?)\1|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*(?!\s)(.+?)(?<!\s)\*|\b_(.+?)_\b|(https?:\/\/[^\s<]*[^\s<.,;:!?)'"])/;
+const MARKDOWN_LIST_PATTERN = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+function renderMarkdownInline(text) {
+    let html = '';
+    let rest = text;
+    let match;
+    while ((match = MARKDOWN_INLINE_PATTERN.exec(rest))) {
+        const [whole, , code, linkText, url, strong, strongAlt, deleted, em, emAlt, bareUrl] = match;
+        html += escapeHtml(rest.slice(0, match.index));
+        if (code !== undefined) {
+            html += '<code>' + escapeHtml(code.trim()) + '</code>';
+        } else if (linkText !== undefined) {
+            html += SAFE_LINK_PATTERN.test(url)
+                ? '<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener noreferrer">' + renderMarkdownInline(linkText) + '</a>'
+                : renderMarkdownInline(linkText);
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            html += '<strong>' + renderMarkdownInline(strong !== undefined ? strong : strongAlt) + '</strong>';
+        } else if (deleted !== undefined) {
+            html += '<del>' + renderMarkdownInline(deleted) + '</del>';
+        } else if (em !== undefined || emAlt !== undefined) {
+            html += '<em>' + renderMarkdownInline(em !== undefined ? em : emAlt) + '</em>';
+        } else {
+            html += '<a href="' + escapeHtml(bareUrl) + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(bareUrl) + '</a>';
         }
-        .pin-form {
-            display: flex;
-            flex-direction: column;
-            gap: 1rem;
-            align-items: center;
-            background: var(--container);
-            padding: 2rem;
-            border-radius: 16px;
-            box-shadow: var(--shadow);
+        rest = rest.slice(match.index + whole.length);
+    }
+    return html + escapeHtml(rest);
+}
+
+// Supports headings, paragraphs, lists, block quotes, fenced code blocks, rules, code spans,
+// bold, italic, strikethrough and links
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        const fence = line.match(/^\s*(`{3,}|~{3,})/);
+        const heading = line.match(/^(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+        const listItem = line.match(MARKDOWN_LIST_PATTERN);
+
+        if (!line.trim()) {
+            index++;
+        } else if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) code.push(lines[index++]);
+            index++;
+            blocks.push('<pre><code>' + escapeHtml(code.join('\n')) + '</code></pre>');
+        } else if (heading) {
+            const level = heading[1].length;
+            blocks.push('<h' + level + '>' + renderMarkdownInline(heading[2]) + '</h' + level + '>');
+            index++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push('<hr>');
+            index++;
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (index < lines.length && /^\s*>/.test(lines[index])) quoted.push(lines[index++].replace(/^\s*>\s?/, ''));
+            blocks.push('<blockquote>' + renderMarkdown(quoted.join('\n')) + '</blockquote>');
+        } else if (listItem) {
+            const ordered = listItem[2] !== undefined;
+            const items = [];
+            let item;
+            while (index < lines.length && (item = lines[index].match(MARKDOWN_LIST_PATTERN)) && (item[2] !== undefined) === ordered) {
+                items.push('<li>' + renderMarkdownInline(item[3]) + '</li>');
+                index++;
+            }
+            const start = ordered && Number(listItem[2]) !== 1 ? ' start="' + Number(listItem[2]) + '"' : '';
+            blocks.push(ordered ? '<ol' + start + '>' + items.join('') + '</ol>' : '<ul>' + items.join('') + '</ul>');
+        } else {
+            const paragraph = [];
+            while (index < lines.length && lines[index].trim() && !/^\s*(`{3,}|~{3,}|#{1,6}\s|>)/.test(lines[index]) && !MARKDOWN_LIST_PATTERN.test(lines[index])) {
+                paragraph.push(renderMarkdownInline(lines[index++].trim()));
+            }
+            blocks.push('<p>' + paragraph.join('<br>') + '</p>');
         }
-        .pin-form h2 {
-            margin: 0;
-            color: var(--text);
+    }
+    return blocks.join('\n');
+}
+
+// Markdown import and export in the format of Obsidian's Kanban plugin: a "## Column" heading per
+// column and a "- [ ] Task" checklist item per task. Description lines follow the item, indented.
+const MARKDOWN_SETTINGS = '%% kanban:settings\n```\n{"kanban-plugin":"basic"}\n```\n%%';
+
+// Obsidian writes due dates as "@{2024-05-31}", followed by "@@{14:00}" for a time of day
+function markdownDueDate(dueDate) {
+    if (!dueDate) return '';
+    if (DUE_DAY_PATTERN.test(dueDate)) return ' @{' + dueDate + '}';
+    const date = new Date(dueDate);
+    const pad = number => String(number).padStart(2, '0');
+    return ' @{' + date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + '}' +
+        ' @@{' + pad(date.getHours()) + ':' + pad(date.getMinutes()) + '}';
+}
+
+// Labels become Obsidian tags; spaces are not allowed in a tag
+function markdownTags(task, board) {
+    return (task.labels || [])
+        .map(labelId => (board.labels || []).find(label => label.id === labelId))
+        .filter(label => label)
+        .map(label => ' #' + label.name.replace(/\s+/g, '-'))
+        .join('');
+}
+
+function boardToMarkdown(board) {
+    const lines = ['---', '', 'kanban-plugin: basic', '', '---', ''];
+    Object.values(board.columns).forEach(column => {
+        lines.push('## ' + column.name, '');
+        column.tasks.forEach(task => {
+            lines.push('- [ ] ' + task.title.replace(/\s*\n\s*/g, ' ') + markdownTags(task, board) + markdownDueDate(task.dueDate));
+            // Blank lines inside the description stay blank; the import keeps them when more indented lines follow
+            const description = (task.description || '').replace(/\s+$/, '');
+            if (description) description.split('\n').forEach(line => lines.push(line.trim() ? '    ' + line : ''));
+        });
+        lines.push('');
+    });
+    lines.push('', MARKDOWN_SETTINGS, '');
+    return lines.join('\n');
+}
+
+// Returns { name, columns: [{ name, tasks: [{ title, description, dueDate, tags }] }] }; name is the first "# Heading", if any
+function parseMarkdownBoard(text) {
+    const result = { name: null, columns: [] };
+    let column = null;
+    let task = null;
+    let blankLines = 0;
+
+    const body = text
+        .replace(/^\uFEFF/, '')
+        .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+        .replace(/%%[\s\S]*?%%/g, '');
+
+    body.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading && heading[1].length === 1 && !result.name && !result.columns.length) {
+            result.name = heading[2];
+            return;
+        }
+        if (heading) {
+            column = { name: heading[2].slice(0, 100), tasks: [] };
+            result.columns.push(column);
+            task = null;
+            return;
+        }
+
+        const item = line.match(/^[-*+]\s+(?:\[[ xX]\]\s+)?(.*)$/);
+        if (item && item[1].trim()) {
+            if (!column) {
+                column = { name: 'To Do', tasks: [] };
+                result.columns.push(column);
+            }
+            let title = item[1];
+            let dueDate = null;
+            const due = title.match(/\s*@\{(\d{4}-\d{2}-\d{2})\}(?:\s*@@\{(\d{2}:\d{2})\})?/);
+            if (due) {
+                title = title.replace(due[0], '');
+                // A day or time that does not exist (e.g. @{2023-02-30}) is dropped rather than imported
+                try {
+                    dueDate = parseDueDate(due[2] ? due[1] + 'T' + due[2] : due[1]);
+                } catch {
+                    dueDate = null;
+                }
+            }
+            const tags = [];
+            title = title.replace(/(^|\s)#([^\s#]+)/g, (match, space, tag) => {
+                tags.push(tag);
+                return '';
+            });
+            task = { title: (title.trim() || item[1].trim()).slice(0, 500), description: [], dueDate, tags };
+            column.tasks.push(task);
+            blankLines = 0;
+            return;
         }
-        .pin-input-container {
-            display: flex;
-            gap: 0.75rem;
-            margin: 1rem 0;
+
+        // Indented lines continue the item above, together with any blank lines between them
+        if (task && /^(\s{2,}|\t)\S/.test(line)) {
+            for (; blankLines > 0; blankLines--) task.description.push('');
+            task.description.push(line.replace(/^(\s{4}|\t|\s{2})/, ''));
+        } else if (task && !line.trim()) {
+            blankLines++;
+        } else if (line.trim()) {
+            task = null; // e.g. Obsidian's "**Complete**" marker
         }
-        .pin-input-container input.pin-input {
-            width: 35px;
-            height: 45px;
-            text-align: center;
-            font-size: 1.25rem;
-            border: 2px solid var(--border);
-            border-radius: 8px;
-            background: var(--container);
-            color: var(--text);
-            transition: all var(--transition);
-            flex: none;
-            max-width: 30px;
-            padding: 0;
+    });
+
+    result.columns.forEach(parsed => parsed.tasks.forEach(parsedTask => {
+        parsedTask.description = parsedTask.description.join('\n');
+    }));
+    return result;
+}
+
+// Add parsed columns and tasks to a board. Columns are matched by name; a task whose title
+// is already in the column is left alone, so importing an edited export only adds what is new.
+function mergeMarkdownBoard(board, parsed) {
+    const summary = { columnsCreated: 0, tasksCreated: 0, tasksSkipped: 0 };
+    const now = new Date().toISOString();
+    const columnsByName = new Map(Object.entries(board.columns).map(([columnId, column]) => [column.name.trim().toLowerCase(), column]));
+
+    parsed.columns.forEach(parsedColumn => {
+        const key = parsedColumn.name.trim().toLowerCase();
+        let column = columnsByName.get(key);
+        if (!column) {
+            column = { name: parsedColumn.name.trim(), tasks: [] };
+            board.columns[generateId('column')] = column;
+            columnsByName.set(key, column);
+            summary.columnsCreated++;
+        }
+
+        parsedColumn.tasks.forEach(parsedTask => {
+            if (column.tasks.some(task => task.title === parsedTask.title)) {
+                summary.tasksSkipped++;
+                return;
+            }
+            column.tasks.push(assignTaskFields({
+                id: generateId('task'),
+                title: parsedTask.title,
+                description: parseDescription(parsedTask.description),
+                createdAt: now,
+                updatedAt: now
+            }, {
+                dueDate: parsedTask.dueDate,
+                labels: parsedTask.tags.length ? [...new Set(parsedTask.tags.map(tag => labelByName(board, tag).id))] : null
+            }));
+            summary.tasksCreated++;
+        });
+    });
+    return summary;
+}
+
+// HTML Template
+const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>DumbKan - Simple Kanban Board</title>
+    <style>
+        :root {
+            /* Colors */
+            --primary: #2196F3;
+            --primary-hover: #1976D2;
+            
+            /* Light theme (default) */
+            --background: #f5f5f5;
+            --container: white;
+            --text: #333;
+            --border: #e0e0e0;
+            --shadow: 0 2px 4px rgba(0,0,0,0.1);
+            
+            /* Layout */
+            --border-radius: 12px;
+            --transition: 0.2s ease;
         }
-        .pin-input-container input.pin-input.has-value {
-            background: var(--primary);
-            border-color: var(--primary);
-            color: white;
+
+        /* Dark theme class */
+        body.dark-theme {
+            --background: #121212;
+            --container: #1e1e1e;
+            --text: #ffffff;
+            --border: #2d2d2d;
+            --shadow: 0 2px 4px rgba(0,0,0,0.3);
         }
-        .pin-input-container input.pin-input:focus {
-            outline: none;
-            border-color: var(--primary);
+
+        /* Base styles */
+        body {
+            font-family: -apple-system, system-ui, sans-serif;
+            background: var(--background);
+            color: var(--text);
+            line-height: 1.6;
+            transition: background-color var(--transition),
+                      color var(--transition);
         }
-        .pin-error {
-            color: #f44336;
-            margin: 0;
-            font-size: 0.9rem;
+
+        .column,
+        .task,
+        .modal-content,
+        .toast,
+        .pin-input input,
+        .task-form textarea,
+        .cancel-button {
+            background: var(--container);
+            color: var(--text);
+            border-color: var(--border);
+            transition: all var(--transition);
         }
-        .task-form {
+
+        .task:hover {
+            transform: translateY(-2px);
+            box-shadow: var(--shadow);
+        }
+
+        .app { min-height: 100vh; padding: 2rem; }
+        header {
+            max-width: 1200px;
+            margin: 0 auto 2rem;
             display: flex;
-            flex-direction: column;
-            gap: 1.5rem;
-            width: 100%;
-            box-sizing: border-box;
+            justify-content: space-between;
+            align-items: center;
+            padding: 0 1rem;
+            position: relative;
         }
-        .task-form textarea {
-            width: 92%;
-            box-sizing: border-box;
-            padding: 1rem;
-            font-size: 1rem;
-            border: 2px solid var(--border);
+        h1 {
+            font-size: 2rem;
+            color: var(--primary);
+            position: absolute;
+            left: 50%;
+            transform: translateX(-50%);
+            transition: color var(--transition);
+        }
+        /* Dark theme color override for logo */
+        body.dark-theme h1 {
+            color: white;
+        }
+        #theme-toggle {
+            background: none;
+            border: none;
+            font-size: 1.5rem;
+            cursor: pointer;
+            padding: 0.5rem;
             border-radius: var(--border-radius);
-            background: var(--container);
+            transition: transform var(--transition);
+            margin-left: auto;
             color: var(--text);
-            resize: vertical;
-            min-height: 120px;
-            max-height: 300px;
-            font-family: inherit;
-            line-height: 1.5;
-            margin: 0;
         }
-        .task-form textarea:focus {
-            outline: none;
-            border-color: var(--primary);
+        #theme-toggle:hover {
+            transform: scale(1.1);
         }
-        .modal-buttons {
-            display: flex;
-            gap: 1rem;
-            justify-content: flex-end;
+        #theme-toggle svg {
+            width: 20px;
+            height: 20px;
         }
-        .cancel-button {
-            padding: 0.75rem 1.5rem;
-            font-size: 1rem;
+        .board {
+            display: grid;
+            grid-template-columns: repeat(3, minmax(300px, 1fr));
+            gap: 4rem;
+            max-width: 1500px;
+            margin: 0 auto;
+            padding: 3rem;
+        }
+        .column {
             background: var(--container);
-            color: var(--text);
+            padding: 1.5rem;
+            border-radius: var(--border-radius);
+            box-shadow: var(--shadow);
             border: 1px solid var(--border);
+            width: 100%;
+            min-width: 0;
+            display: flex;
+            flex-direction: column;
+            min-height: 300px;
+        }
+        .column h2 {
+            margin-bottom: 1rem;
+            font-size: 1.25rem;
+        }
+        .tasks {
+            min-height: 200px;
+            flex: 1;
+            margin-bottom: 1rem;
+        }
+        .task {
+            background: var(--container);
+            padding: 1rem;
+            margin-bottom: 0.5rem;
             border-radius: var(--border-radius);
-            cursor: pointer;
-            transition: all var(--transition);
+            border: 1px solid var(--border);
+            cursor: grab;
+            transition: transform var(--transition), box-shadow var(--transition);
+            position: relative;
+            display: flex;
+            align-items: flex-start;
+            gap: 0.75rem;
+            width: 100%;
+            box-sizing: border-box;
         }
-        .cancel-button:hover {
-            background: var(--border);
+        .task-text {
+            flex: 1;
+            min-width: 0;
+            word-wrap: break-word;
+            overflow-wrap: break-word;
+            white-space: pre-wrap;
+            margin: 0;
+            line-height: 1.4;
+            max-width: 100%;
         }
-        .submit-button {
-            padding: 0.75rem 1.5rem;
-            font-size: 1rem;
+        .move-indicator {
+            flex-shrink: 0;
+            opacity: 0.5;
+            font-size: 1.2rem;
+            cursor: grab;
+        }
+        .task:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 4px 8px rgba(0,0,0,0.1);
+        }
+        .task.dragging {
+            opacity: 0.5;
+            cursor: grabbing;
+        }
+        .add-task {
+            width: 100%;
+            padding: 0.75rem;
             background: var(--primary);
             color: white;
             border: none;
             border-radius: var(--border-radius);
             cursor: pointer;
             transition: background-color var(--transition);
+            margin-top: auto;
         }
-        .submit-button:hover {
+        .add-task:hover {
             background: var(--primary-hover);
         }
-        .task .delete-task {
-            position: absolute;
-            top: 0.5rem;
-            right: 0.5rem;
-            width: 24px;
-            height: 24px;
-            border-radius: 50%;
+        .toast {
+            position: fixed;
+            bottom: 2rem;
+            right: 2rem;
+            padding: 1rem 2rem;
             background: var(--container);
-            border: 1px solid var(--border);
-            color: #f44336;
+            border-radius: var(--border-radius);
+            box-shadow: var(--shadow);
+            animation: slideIn 0.3s ease;
+        }
+        .toast-action {
+            margin-left: 1rem;
+            background: none;
+            border: none;
+            color: var(--primary);
+            font-weight: bold;
             cursor: pointer;
-            display: none;
-            align-items: center;
-            justify-content: center;
-            font-size: 18px;
-            line-height: 1;
-            transition: all var(--transition);
+            padding: 0;
+            font-size: inherit;
         }
-        .task:hover .delete-task {
-            display: flex;
+        @keyframes slideIn {
+            from { transform: translateY(100%); opacity: 0; }
+            to { transform: translateY(0); opacity: 1; }
         }
-        .task .delete-task:hover {
-            background: #f44336;
-            color: white;
-            border-color: #f44336;
-        }
-        .header-left {
-            display: flex;
-            align-items: center;
-            gap: 1rem;
-        }
-
-        .board-selector {
-            position: relative;
-            z-index: 1;
-        }
-
-        .board-button {
-            background: var(--container);
-            border: 1px solid var(--border);
-            color: var(--text);
-            padding: 0.5rem 1rem;
-            border-radius: var(--border-radius);
-            cursor: pointer;
-            font-size: 1rem;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-            transition: all var(--transition);
-        }
-
-        .board-button:hover {
-            background: var(--primary);
-            color: white;
-            border-color: var(--primary);
-        }
-
-        .board-button::after {
-            content: "▼";
-            font-size: 0.8em;
-        }
-
-        .board-menu {
-            position: absolute;
-            top: 100%;
+        .modal {
+            position: fixed;
+            top: 0;
             left: 0;
-            margin-top: 0.5rem;
-            background: var(--container);
-            border: 1px solid var(--border);
-            border-radius: var(--border-radius);
-            box-shadow: var(--shadow);
-            min-width: 150px;
-            z-index: 100;
-        }
-
-        .board-menu button {
             width: 100%;
-            padding: 0.75rem 1rem;
-            text-align: left;
-            background: none;
-            border: none;
-            color: var(--text);
-            cursor: pointer;
-            transition: all var(--transition);
-        }
-
-        .board-menu button:hover {
-            background: var(--primary);
-            color: white;
-        }
-
-        .board-menu button:not(:last-child) {
-            border-bottom: 1px solid var(--border);
-        }
-
-        .boards-list {
-            margin: 1rem 0;
-            display: flex;
-            flex-direction: column;
-            gap: 0.75rem;
-        }
-
-        .board-item {
+            height: 100%;
+            background: rgba(0, 0, 0, 0.5);
             display: flex;
             align-items: center;
-            padding: 0.75rem 1rem;
+            justify-content: center;
+            backdrop-filter: blur(5px);
+            z-index: 9999;
+        }
+        .modal-content {
             background: var(--container);
-            border: 1px solid var(--border);
+            padding: 2rem;
             border-radius: var(--border-radius);
-            transition: all var(--transition);
-        }
-
-        .board-item:hover {
-            border-color: var(--primary);
-            transform: translateX(4px);
-        }
-
-        .board-item .board-name {
-            flex: 1;
-            margin-right: 1rem;
-        }
-
-        .board-item .delete-board {
-            opacity: 0;
-            background: none;
-            border: none;
-            color: #f44336;
-            cursor: pointer;
-            padding: 0.5rem;
-            margin: -0.5rem;
-            font-size: 1.2rem;
-            transition: all var(--transition);
-        }
-
-        .board-item:hover .delete-board {
-            opacity: 1;
-        }
-
-        .board-item .delete-board:hover {
-            transform: scale(1.1);
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
+            width: 90%;
+            max-width: 500px;
+            text-align: center;
+            position: relative;
+            z-index: 10000;
+            box-sizing: border-box;
         }
-
-        .add-board-form {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 0.75rem;
-            margin-top: 1.5rem;
-            padding-top: 1.5rem;
-            border-top: 1px solid var(--border);
+        .modal h2 { margin-bottom: 2rem; color: var(--text); }
+        .pin-input {
+            margin-bottom: 2rem;
+            width: 100%;
         }
-
-        .add-board-form input {
-            flex: 1 1 150px;
-            padding: 0.75rem 1rem;
-            font-size: 1rem;
+        .pin-input input {
+            width: 100%;
+            height: 3rem;
+            text-align: center;
+            font-size: 1.5rem;
             border: 2px solid var(--border);
             border-radius: var(--border-radius);
             background: var(--container);
             color: var(--text);
-            transition: all var(--transition);
+            transition: border-color var(--transition);
+            padding: 0.5rem;
         }
-
-        .add-board-form input:focus {
+        .pin-input input:focus {
             outline: none;
             border-color: var(--primary);
         }
-
-        .add-button {
-            flex: 0 0 auto;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-            padding: 0.75rem 1.25rem;
+        .pin-input input.has-value {
+            background: var(--primary);
+            border-color: var(--primary);
+            color: white;
+        }
+        .pin-submit {
             background: var(--primary);
             color: white;
             border: none;
+            padding: 0.75rem 2rem;
+            font-size: 1rem;
             border-radius: var(--border-radius);
             cursor: pointer;
-            font-size: 1rem;
-            transition: all var(--transition);
+            transition: background-color var(--transition);
         }
-
-        .add-button:hover {
+        .pin-submit:hover {
             background: var(--primary-hover);
         }
+        @media (max-width: 768px) {
+            .app {
+                padding: 1rem;
+            }
+            
+            .board {
+                grid-template-columns: 1fr;
+                gap: 1.5rem;
+                padding: 0.5rem;
+                margin: 0 auto;
+                max-width: 600px;
+            }
 
-        .add-button .icon {
-            font-size: 1.2em;
-            line-height: 1;
-        }
+            .column {
+                padding: 1rem;
+                margin: 0 auto;
+                width: 95%;
+            }
 
-        .manage-boards-btn {
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-            width: 100%;
-            padding: 0.75rem 1rem;
-            margin-top: 0.5rem;
-            border-top: 1px solid var(--border);
-            background: none;
-            border: none;
-            color: var(--text);
-            cursor: pointer;
-            transition: all var(--transition);
-        }
+            header {
+                flex-direction: column;
+                gap: 1rem;
+                align-items: center;
+                padding: 1rem;
+            }
 
-        .manage-boards-btn:hover {
-            color: var(--primary);
-        }
+            .header-left {
+                flex-direction: column;
+                gap: 1rem;
+                width: 100%;
+                align-items: center;
+            }
 
-        .manage-boards-btn .icon {
-            font-size: 1.1em;
-            opacity: 0.8;
-        }
+            h1 {
+                position: static;
+                transform: none;
+                margin-bottom: 0.5rem;
+            }
 
-        .modal-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 1.5rem;
-        }
+            .board-selector {
+                margin-left: 0;
+                width: 100%;
+                max-width: 300px;
+            }
 
-        .close-button {
-            background: none;
-            border: none;
-            color: var(--text);
-            font-size: 1.5rem;
-            cursor: pointer;
-            padding: 0.5rem;
-            margin: -0.5rem;
-            transition: transform var(--transition);
-        }
+            .board-button {
+                width: 100%;
+                justify-content: center;
+            }
 
-        .close-button:hover {
-            transform: scale(1.1);
+            .board-menu {
+                width: 100%;
+            }
+
+            #theme-toggle {
+                position: absolute;
+                top: 1rem;
+                right: 1rem;
+            }
+
+            .task {
+                padding: 0.75rem;
+                margin-bottom: 0.75rem;
+                width: 100%;
+            }
+
+            .add-task {
+                padding: 0.75rem;
+                width: 100%;
+            }
+
+            .board-selector {
+                margin-left: 0;
+            }
+
+            .board-button {
+                padding: 0.5rem 0.75rem;
+                min-width: 100px;
+                font-size: 0.9rem;
+            }
+
+            .board-menu {
+                min-width: 180px;
+            }
+
+            .board-menu button {
+                padding: 0.75rem;
+                font-size: 0.9rem;
+            }
+
+            .task-text {
+                font-size: 0.95rem;
+            }
+
+            .modal-content {
+                padding: 1.5rem;
+                width: 95%;
+                max-width: 350px;
+            }
+
+            .task-form textarea {
+                padding: 0.75rem;
+                min-height: 100px;
+                font-size: 0.95rem;
+            }
         }
 
-        .delete-confirmation {
-            max-width: 500px !important;
+        @media (max-width: 480px) {
+            .app {
+                padding: 1rem;
+            }
+
+            .board {
+                padding: 0.5rem;
+            }
+
+            h1 {
+                font-size: 1.5rem;
+            }
+
+            .board-selector {
+                margin-left: 0.75rem;
+            }
+
+            .board-button {
+                min-width: 90px;
+                font-size: 0.85rem;
+            }
+
+            .column-name {
+                font-size: 1.1rem;
+            }
+
+            .task {
+                font-size: 0.9rem;
+            }
         }
-        
-        .delete-warning {
-            text-align: left;
-            margin-bottom: 1.5rem;
-            color: var(--text);
+        .pin-overlay {
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: var(--background);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-direction: column;
+            gap: 2rem;
+            z-index: 1000;
         }
-        
-        .delete-warning p {
-            margin-bottom: 1rem;
-            line-height: 1.5;
+        .pin-header {
+            position: absolute;
+            top: 15%;
+            left: 50%;
+            transform: translateX(-50%);
         }
-        
-        .delete-confirmation-form {
+        .pin-header h1 {
+            margin: 0;
+            color: var(--text);
+        }
+        .pin-form {
             display: flex;
             flex-direction: column;
             gap: 1rem;
+            align-items: center;
+            background: var(--container);
+            padding: 2rem;
+            border-radius: 16px;
+            box-shadow: var(--shadow);
         }
-        
-        .delete-confirmation-input {
+        .pin-form h2 {
+            margin: 0;
+            color: var(--text);
+        }
+        .pin-input-container {
+            display: flex;
+            gap: 0.75rem;
+            margin: 1rem 0;
+        }
+        .pin-input-container input.pin-input {
+            width: 35px;
+            height: 45px;
+            text-align: center;
+            font-size: 1.25rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            transition: all var(--transition);
+            flex: none;
+            max-width: 30px;
+            padding: 0;
+        }
+        .pin-input-container input.pin-input.has-value {
+            background: var(--primary);
+            border-color: var(--primary);
+            color: white;
+        }
+        .pin-input-container input.pin-input:focus {
+            outline: none;
+            border-color: var(--primary);
+        }
+        .pin-error {
+            color: #f44336;
+            margin: 0;
+            font-size: 0.9rem;
+        }
+        .task-form {
+            display: flex;
+            flex-direction: column;
+            gap: 1.5rem;
             width: 100%;
-            padding: 0.75rem 1rem;
+            box-sizing: border-box;
+        }
+        .task-form textarea {
+            width: 92%;
+            box-sizing: border-box;
+            padding: 1rem;
             font-size: 1rem;
             border: 2px solid var(--border);
             border-radius: var(--border-radius);
             background: var(--container);
             color: var(--text);
-            box-sizing: border-box;
+            resize: vertical;
+            min-height: 120px;
+            max-height: 300px;
+            font-family: inherit;
+            line-height: 1.5;
+            margin: 0;
         }
-        
-        .delete-confirmation-input:focus {
+        .task-form textarea:focus {
             outline: none;
             border-color: var(--primary);
         }
-        
-        .delete-button {
+        .modal-buttons {
+            display: flex;
+            gap: 1rem;
+            justify-content: flex-end;
+        }
+        .cancel-button {
             padding: 0.75rem 1.5rem;
             font-size: 1rem;
-            background: #dc3545;
+            background: var(--container);
+            color: var(--text);
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            cursor: pointer;
+            transition: all var(--transition);
+        }
+        .cancel-button:hover {
+            background: var(--border);
+        }
+        .submit-button {
+            padding: 0.75rem 1.5rem;
+            font-size: 1rem;
+            background: var(--primary);
             color: white;
             border: none;
             border-radius: var(--border-radius);
             cursor: pointer;
             transition: background-color var(--transition);
         }
-        
-        .delete-button:hover {
-            background: #c82333;
+        .submit-button:hover {
+            background: var(--primary-hover);
         }
-        
-        .delete-button:disabled {
-            background: #e9ecef;
-            cursor: not-allowed;
+        .task .delete-task {
+            position: absolute;
+            top: 0.5rem;
+            right: 0.5rem;
+            width: 24px;
+            height: 24px;
+            border-radius: 50%;
+            background: var(--container);
+            border: 1px solid var(--border);
+            color: #f44336;
+            cursor: pointer;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            font-size: 18px;
+            line-height: 1;
+            transition: all var(--transition);
         }
-
-        .task {
-            touch-action: none;
-            user-select: none;
-            -webkit-user-select: none;
+        .task:hover .delete-task {
+            display: flex;
         }
-        
-        .task.dragging {
-            opacity: 0.5;
-            position: relative;
-            z-index: 1000;
-            cursor: grabbing;
-            transform: scale(1.02);
-            transition: transform 0.2s ease;
+        .task .delete-task:hover {
+            background: #f44336;
+            color: white;
+            border-color: #f44336;
         }
-        
-        @media (hover: none) and (pointer: coarse) {
-            .task:active {
-                cursor: grabbing;
-            }
+        .header-left {
+            display: flex;
+            align-items: center;
+            gap: 1rem;
         }
 
-        .task {
+        .board-selector {
             position: relative;
+            z-index: 1;
+        }
+
+        .board-button {
+            background: var(--container);
+            border: 1px solid var(--border);
+            color: var(--text);
+            padding: 0.5rem 1rem;
+            border-radius: var(--border-radius);
+            cursor: pointer;
+            font-size: 1rem;
             display: flex;
             align-items: center;
             gap: 0.5rem;
-            padding: 1rem;
-            padding-right: 2.5rem;
-            touch-action: manipulation;
-            user-select: none;
-            -webkit-user-select: none;
-            transition: transform 0.2s ease, box-shadow 0.2s ease;
-        }
-        
-        .move-indicator {
-            color: var(--border);
-            font-size: 1.2em;
-            line-height: 1;
-            cursor: move;
-            padding: 0.25rem;
-            margin: -0.25rem;
-            display: none;
-            opacity: 0.6;
-        }
-        
-        @media (hover: none) and (pointer: coarse) {
-            .move-indicator {
-                display: block;
-            }
-            
-            .task {
-                padding-left: 2.5rem;
-            }
-        }
-        
-        .task-content {
-            flex: 1;
-            min-width: 0;
-        }
-        
-        .task-text {
-            display: block;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            white-space: nowrap;
-        }
-        
-        .task.dragging {
-            opacity: 0.8;
-            transform: scale(1.02);
-            box-shadow: 0 4px 8px rgba(0,0,0,0.2);
-            z-index: 1000;
+            transition: all var(--transition);
         }
-        
-        .tasks.drag-over {
+
+        .board-button:hover {
             background: var(--primary);
-            opacity: 0.1;
-            transition: all 0.2s ease;
+            color: white;
+            border-color: var(--primary);
         }
-        
-        .delete-task {
-            position: absolute;
-            top: 50%;
-            right: 0.5rem;
-            transform: translateY(-50%);
+
+        .board-button::after {
+            content: "▼";
+            font-size: 0.8em;
         }
 
-        /* Add Column Button */
-        .add-column {
-            min-width: 300px;
-            height: 200px;
+        .board-menu {
+            position: absolute;
+            top: 100%;
+            left: 0;
+            margin-top: 0.5rem;
             background: var(--container);
-            border: 2px dashed var(--border);
+            border: 1px solid var(--border);
             border-radius: var(--border-radius);
+            box-shadow: var(--shadow);
+            min-width: 150px;
+            z-index: 100;
+        }
+
+        .board-menu button {
+            width: 100%;
+            padding: 0.75rem 1rem;
+            text-align: left;
+            background: none;
+            border: none;
             color: var(--text);
             cursor: pointer;
-            font-size: 1.1rem;
             transition: all var(--transition);
-            opacity: 0.7;
-            margin-top: 43px;
-            height: fit-content;
-            align-self: start;
         }
 
-        .add-column:hover {
-            opacity: 1;
-            border-color: var(--primary);
-            color: var(--primary);
+        .board-menu button:hover {
+            background: var(--primary);
+            color: white;
         }
 
-        /* Mobile Touch Styles */
-        .task {
-            position: relative;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-            padding: 1rem;
-            padding-right: 2.5rem;
-            touch-action: manipulation;
-            user-select: none;
-            -webkit-user-select: none;
-            transition: transform 0.2s ease, box-shadow 0.2s ease;
+        .board-menu button:not(:last-child) {
+            border-bottom: 1px solid var(--border);
         }
-        
-        @media (hover: none) and (pointer: coarse) {
-            .task {
-                cursor: pointer;
-            }
-            
-            .task::after {
-                content: '✎';
-                position: absolute;
-                right: 2.5rem;
-                opacity: 0.4;
-                font-size: 0.9em;
-            }
+
+        .boards-list {
+            margin: 1rem 0;
+            display: flex;
+            flex-direction: column;
+            gap: 0.75rem;
         }
 
-        /* Update column header styles */
-        .column-header {
+        .board-item {
             display: flex;
             align-items: center;
-            justify-content: space-between;
-            margin-bottom: 1rem;
+            padding: 0.75rem 1rem;
+            background: var(--container);
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            transition: all var(--transition);
         }
 
-        .column-name {
-            margin: 0;
-            font-size: 1.25rem;
-            padding: 0.25rem;
+        .board-item:hover {
+            border-color: var(--primary);
+            transform: translateX(4px);
+        }
+
+        .board-item .board-name {
             flex: 1;
-            min-width: 0;
-            word-wrap: break-word;
-            overflow-wrap: break-word;
+            margin-right: 1rem;
         }
 
-        .remove-column {
+        .board-item .delete-board {
+            opacity: 0;
             background: none;
             border: none;
             color: #f44336;
             cursor: pointer;
             padding: 0.5rem;
+            margin: -0.5rem;
             font-size: 1.2rem;
-            line-height: 1;
-            transition: transform var(--transition);
+            transition: all var(--transition);
         }
 
-        .remove-column:hover {
+        .board-item:hover .delete-board {
+            opacity: 1;
+        }
+
+        .board-item .delete-board:hover {
             transform: scale(1.1);
         }
 
-        /* Tablet/medium screens */
-        @media (min-width: 769px) and (max-width: 1200px) {
-            .board {
-                grid-template-columns: repeat(2, minmax(300px, 1fr));
-                gap: 2.5rem;
-                padding: 2rem;
-            }
+        .add-board-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.75rem;
+            margin-top: 1.5rem;
+            padding-top: 1.5rem;
+            border-top: 1px solid var(--border);
         }
-    </style>
-</head>
-<body>
-    <div id="pin-overlay" class="pin-overlay" style="display: none;">
-        <div class="pin-header">
-            <h1>DumbKan</h1>
-        </div>
-        <form id="pin-form" class="pin-form">
-            <h2>Enter PIN</h2>
-            <div class="pin-input-container">
-                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
-                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
-                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
-                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
-            </div>
-            <p id="pin-error" class="pin-error" style="display: none;">Invalid PIN. Please try again.</p>
-        </form>
-    </div>
 
-    <div id="task-modal" class="modal" style="display: none">
-        <div class="modal-content">
-            <h2 id="task-modal-title">Add Task</h2>
-            <form id="task-form" class="task-form">
-                <textarea 
-                    id="task-input" 
-                    placeholder="What needs to be done?" 
-                    rows="3" 
-                    maxlength="500"
-                    required
-                ></textarea>
-                <div class="modal-buttons">
-                    <button type="button" class="cancel-button" onclick="closeTaskModal()">Cancel</button>
-                    <button type="button" id="delete-task-btn" class="delete-button" style="display: none;">Delete Task</button>
-                    <button type="submit" class="submit-button">Save</button>
-                </div>
-            </form>
-        </div>
-    </div>
+        .add-board-form input {
+            flex: 1 1 150px;
+            padding: 0.75rem 1rem;
+            font-size: 1rem;
+            border: 2px solid var(--border);
+            border-radius: var(--border-radius);
+            background: var(--container);
+            color: var(--text);
+            transition: all var(--transition);
+        }
 
-    <div id="manage-boards-modal" class="modal" style="display: none">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h2>Manage Boards</h2>
-                <button class="close-button" onclick="closeManageBoardsModal()">×</button>
-            </div>
-            <div id="boards-list" class="boards-list"></div>
-            <form id="add-board-form" class="add-board-form">
-                <input type="text" id="new-board-name" 
-                    placeholder="Enter board name" 
-                    pattern="[A-Za-z0-9 -]+" 
-                    title="Letters, numbers, spaces and hyphens only"
-                    required>
-                <button type="submit" class="add-button">
-                    <span class="icon">+</span>
-                    Add Board
-                </button>
-            </form>
-        </div>
-    </div>
+        .add-board-form input:focus {
+            outline: none;
+            border-color: var(--primary);
+        }
 
-    <div id="delete-board-modal" class="modal" style="display: none">
-        <div class="modal-content delete-confirmation">
-            <div class="modal-header">
-                <h2>Delete Board</h2>
-                <button class="close-button" onclick="closeDeleteBoardModal()">×</button>
-            </div>
-            <div class="delete-warning">
-                <p>This action cannot be undone. This will permanently delete the <strong id="delete-board-name"></strong> board and all of its tasks.</p>
-                <p>Please type <strong id="delete-board-confirm-text"></strong> to confirm.</p>
-            </div>
-            <form id="delete-board-form" class="delete-confirmation-form">
-                <input type="text" id="delete-board-input" 
-                    placeholder="Type board name to confirm"
-                    class="delete-confirmation-input"
-                    required>
-                <div class="modal-buttons">
-                    <button type="button" class="cancel-button" onclick="closeDeleteBoardModal()">Cancel</button>
-                    <button type="submit" class="delete-button">Delete this board</button>
-                </div>
-            </form>
-        </div>
-    </div>
+        .add-button {
+            flex: 0 0 auto;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 0.75rem 1.25rem;
+            background: var(--primary);
+            color: white;
+            border: none;
+            border-radius: var(--border-radius);
+            cursor: pointer;
+            font-size: 1rem;
+            transition: all var(--transition);
+        }
 
-    <div id="delete-column-modal" class="modal" style="display: none">
-        <div class="modal-content delete-confirmation">
-            <div class="modal-header">
-                <h2>Delete Column</h2>
-                <button class="close-button" onclick="closeDeleteColumnModal()">×</button>
-            </div>
-            <div class="delete-warning">
-                <p>Are you sure you want to remove this column and all its tasks?</p>
-                <p>This action cannot be undone.</p>
-            </div>
-            <div class="modal-buttons">
-                <button class="cancel-button" onclick="closeDeleteColumnModal()">Cancel</button>
-                <button class="delete-button" onclick="confirmDeleteColumn()">Delete Column</button>
-            </div>
-        </div>
-    </div>
+        .add-button:hover {
+            background: var(--primary-hover);
+        }
 
-    <div class="app">
-        <header>
-            <div class="header-left">
-                <h1>DumbKan</h1>
-                <div class="board-selector">
-                    <button id="current-board" class="board-button">Work</button>
-                    <div id="board-menu" class="board-menu" hidden>
-                        <div id="boards-list-menu"></div>
-                        <button class="manage-boards-btn" onclick="openManageBoardsModal()">
-                            <span class="icon">⚙️</span> Manage Boards
-                        </button>
-                    </div>
-                </div>
-            </div>
-            <button id="theme-toggle" aria-label="Toggle dark mode">🌙</button>
-        </header>
-        <main>
-            <div class="board">
-                <div class="column" data-column="todo">
-                    <h2 contenteditable="true" class="column-name">To Do</h2>
-                    <div class="tasks" id="todo"></div>
-                    <button class="add-task" data-column="todo">+ Add Task</button>
-                </div>
-                <div class="column" data-column="doing">
-                    <h2 contenteditable="true" class="column-name">Doing</h2>
-                    <div class="tasks" id="doing"></div>
-                    <button class="add-task" data-column="doing">+ Add Task</button>
-                </div>
-                <div class="column" data-column="done">
-                    <h2 contenteditable="true" class="column-name">Done</h2>
-                    <div class="tasks" id="done"></div>
-                    <button class="add-task" data-column="done">+ Add Task</button>
-                </div>
-                <button id="add-column" class="add-column">+ Add Column</button>
-            </div>
-        </main>
-        <div id="toast" class="toast" hidden></div>
-    </div>
+        .add-button .icon {
+            font-size: 1.2em;
+            line-height: 1;
+        }
 
-    <script>
-        // DOM Elements
-        const board = document.querySelector('.board');
-        const columns = document.querySelectorAll('.column');
-        const columnNames = document.querySelectorAll('.column-name');
-        const addButtons = document.querySelectorAll('.add-task');
-        const themeToggle = document.getElementById('theme-toggle');
-        const toast = document.getElementById('toast');
-        const pinOverlay = document.getElementById('pin-overlay');
-        const pinForm = document.getElementById('pin-form');
-        const pinInput = document.getElementById('pin-input');
+        .manage-boards-btn {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            width: 100%;
+            padding: 0.75rem 1rem;
+            margin-top: 0.5rem;
+            border-top: 1px solid var(--border);
+            background: none;
+            border: none;
+            color: var(--text);
+            cursor: pointer;
+            transition: all var(--transition);
+        }
 
-        // State
-        let boardData = {
-            boards: {
-                work: {
-                    name: 'Work',
-                    columns: {
-                        todo: { name: 'To Do', tasks: [] },
-                        doing: { name: 'Doing', tasks: [] },
-                        done: { name: 'Done', tasks: [] }
-                    }
-                }
-            },
-            activeBoard: 'work'
-        };
-        let currentBoard = 'work';
-        let verifiedPin = null;
+        .manage-boards-btn:hover {
+            color: var(--primary);
+        }
 
-        // Board selector
-        const currentBoardBtn = document.getElementById('current-board');
-        const boardMenu = document.getElementById('board-menu');
-        const boardsListMenu = document.getElementById('boards-list-menu');
+        .manage-boards-btn .icon {
+            font-size: 1.1em;
+            opacity: 0.8;
+        }
 
-        // Show/hide boards list on current board button click
-        currentBoardBtn.addEventListener('click', () => {
-            boardMenu.hidden = !boardMenu.hidden;
-        });
+        .modal-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 1.5rem;
+        }
 
-        // Handle board selection
-        boardsListMenu.addEventListener('click', async (e) => {
-            const button = e.target;
-            if (!button.dataset.board) return;
+        .modal-section {
+            margin-top: 1.5rem;
+            padding-top: 1.5rem;
+            border-top: 1px solid var(--border);
+            text-align: left;
+        }
 
-            const boardId = button.dataset.board;
-            if (boardId === currentBoard) return;
+        .modal-section-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 0.75rem;
+        }
 
-            try {
-                // Update current board
-                currentBoard = boardId;
-                
-                // Update UI
-                currentBoardBtn.textContent = boardData.boards[boardId].name;
-                boardMenu.hidden = true;
-                
-                // Save active board
-                const headers = {
-                    'Content-Type': 'application/json',
-                    ...(verifiedPin && { 'X-Pin': verifiedPin })
-                };
-                
-                const response = await fetch('/data/tasks.json', { headers });
-                const data = await response.json();
-                data.activeBoard = boardId;
-                
-                await fetch('/data/tasks.json', {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify(data, null, 2)
-                });
-                
-                // Load tasks for the new board
-                await loadTasks();
-                showToast('Switched to ' + button.textContent + ' board');
-            } catch (error) {
-                console.error('Error switching board:', error);
-                showToast('Error switching board');
-            }
-        });
+        .modal-section-header h3 {
+            margin: 0;
+            font-size: 1rem;
+        }
 
-        // Close board menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!currentBoardBtn.contains(e.target) && !boardMenu.contains(e.target)) {
-                boardMenu.hidden = true;
-            }
-        });
+        .text-button {
+            background: none;
+            border: none;
+            color: var(--primary);
+            cursor: pointer;
+            font-size: 0.9rem;
+            padding: 0.25rem 0.5rem;
+            border-radius: var(--border-radius);
+            transition: all var(--transition);
+        }
 
-        // Function to update board selector
-        async function updateBoardSelector() {
-            const headers = {
-                'Content-Type': 'application/json',
-                ...(verifiedPin && { 'X-Pin': verifiedPin })
-            };
+        .text-button:hover {
+            background: var(--primary);
+            color: white;
+        }
 
-            try {
-                const response = await fetch('/data/tasks.json', { headers });
-                const data = await response.json();
-                
-                // Update current board button
-                const currentBoardData = data.boards[currentBoard];
-                if (currentBoardData) {
-                    currentBoardBtn.textContent = currentBoardData.name;
-                }
-                
-                // Populate dropdown menu
-                boardsListMenu.innerHTML = '';
-                Object.entries(data.boards).forEach(([id, board]) => {
-                    const button = document.createElement('button');
-                    button.dataset.board = id;
-                    button.textContent = board.name;
-                    if (id === currentBoard) {
-                        button.classList.add('active');
-                    }
-                    boardsListMenu.appendChild(button);
-                });
-
-                // Update boardData
-                boardData = data;
-            } catch (error) {
-                console.error('Error updating board selector:', error);
-            }
+        .backups-list {
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            max-height: 200px;
+            overflow-y: auto;
         }
 
-        // Initial board selector update
-        document.addEventListener('DOMContentLoaded', () => {
-            updateBoardSelector();
-        });
+        .backup-item {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            padding: 0.5rem 0.75rem;
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            font-size: 0.9rem;
+        }
 
-        // Load tasks from JSON file
-        async function loadTasks() {
-            try {
-                const headers = verifiedPin ? { 'X-Pin': verifiedPin } : {};
-                const response = await fetch('/data/tasks.json', { headers });
-                
-                if (response.status === 401) {
-                    localStorage.removeItem('DUMBKAN_PIN');
-                    location.reload();
-                    return;
-                }
-                
-                if (!response.ok) throw new Error('Failed to load tasks');
-                const data = await response.json();
-                
-                // Only initialize default structure if data is empty
-                if (!data || !Object.keys(data).length) {
-                    data.boards = {
-                        work: {
-                            name: 'Work',
-                            columns: {
-                                todo: { name: 'To Do', tasks: [] },
-                                doing: { name: 'Doing', tasks: [] },
-                                done: { name: 'Done', tasks: [] }
-                            }
-                        }
-                    };
-                    data.activeBoard = 'work';
-                }
-                
-                // Update the global boardData
-                boardData = data;
-                currentBoard = data.activeBoard || Object.keys(data.boards)[0];
-                
-                // Update UI
-                currentBoardBtn.textContent = data.boards[currentBoard].name;
-                renderTasks();
-                updateBoardSelector();
-            } catch (error) {
-                console.error('Error loading tasks:', error);
-                showToast('Error loading tasks');
-            }
+        .backup-item .backup-date {
+            flex: 1;
         }
 
-        // Column name editing
-        columnNames.forEach(nameEl => {
-            nameEl.addEventListener('blur', () => {
-                const column = nameEl.closest('.column').dataset.column;
-                boardData.boards[currentBoard].columns[column].name = nameEl.textContent;
-                saveTasks();
-            });
+        .backup-item .backup-size {
+            opacity: 0.6;
+        }
 
-            nameEl.addEventListener('keydown', e => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    nameEl.blur();
-                }
-            });
-        });
+        .import-form {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 0.5rem;
+            font-size: 0.9rem;
+            text-align: left;
+        }
 
-        // Wrap fetch to include PIN header
-        const fetchWithPin = async (url, options = {}) => {
-            if (verifiedPin) {
-                options.headers = {
-                    ...options.headers,
-                    'X-Pin': verifiedPin
-                };
-            }
-            return fetch(url, options);
-        };
+        .import-form input[type="file"] {
+            max-width: 100%;
+            color: var(--text);
+        }
 
-        // Check if PIN is required and get length
-        async function checkPinRequired() {
-            const response = await fetch('/api/pin-required');
-            const { required, length } = await response.json();
-            if (required && !verifiedPin) {
-                const container = document.querySelector('.pin-input-container');
-                container.innerHTML = ''; // Clear existing inputs
-                
-                // Create inputs based on PIN length
-                for (let i = 0; i < length; i++) {
-                    const input = document.createElement('input');
-                    input.type = 'password';
-                    input.className = 'pin-input';
-                    input.maxLength = 1;
-                    input.pattern = '[0-9]';
-                    input.inputMode = 'numeric';
-                    input.required = true;
-                    container.appendChild(input);
-                }
-                
-                setupPinInputs();
-                document.querySelector('.pin-input').focus();
-            }
+        .import-form + .import-form {
+            margin-top: 1rem;
+            padding-top: 1rem;
+            border-top: 1px dashed var(--border);
         }
 
-        // Separate function to set up PIN input event listeners
-        function setupPinInputs() {
-            document.querySelectorAll('.pin-input').forEach((input, index, inputs) => {
-                input.addEventListener('input', (e) => {
-                    if (e.target.value) {
-                        e.target.classList.add('has-value');
-                        if (index < inputs.length - 1) {
-                            inputs[index + 1].focus();
-                        } else {
-                            document.getElementById('pin-form').requestSubmit();
-                        }
-                    } else {
-                        e.target.classList.remove('has-value');
-                    }
-                });
+        .import-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+        }
 
-                input.addEventListener('keydown', (e) => {
-                    if (e.key === 'Backspace' && !e.target.value && index > 0) {
-                        const prevInput = inputs[index - 1];
-                        prevInput.value = '';
-                        prevInput.classList.remove('has-value');
-                        prevInput.focus();
-                    }
-                });
-            });
+        .import-actions a {
+            text-decoration: none;
         }
 
-        // Handle PIN form submission
-        document.getElementById('pin-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const inputs = [...document.querySelectorAll('.pin-input')];
-            const pin = inputs.map(input => input.value).join('');
-            
-            try {
-                const response = await fetch('/api/verify-pin', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ pin })
-                });
-                
-                const data = await response.json();
-                
-                if (response.ok) {
-                    window.location.href = '/';
-                } else {
-                    const errorElement = document.getElementById('pin-error');
-                    if (response.status === 429) {
-                        errorElement.textContent = data.error;
-                    } else {
-                        const msg = 'Invalid PIN. ' + data.attemptsLeft + ' attempts remaining';
-                        errorElement.textContent = msg;
-                    }
-                    errorElement.style.display = 'block';
-                    
-                    // Reset all PIN input boxes
-                    const pinInputs = document.querySelectorAll('.pin-input');
-                    pinInputs.forEach(input => {
-                        input.value = '';
-                        input.classList.remove('has-value');
-                    });
-                    // Focus the first input box
-                    pinInputs[0].focus();
-                }
-            } catch (error) {
-                console.error('Error verifying PIN:', error);
-                document.getElementById('pin-error').style.display = 'block';
-            }
-        });
+        .csv-preview {
+            margin-top: 1rem;
+            padding: 0.75rem;
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            font-size: 0.9rem;
+            text-align: left;
+        }
 
-        // Initialize PIN check
-        checkPinRequired();
+        .csv-preview[hidden] {
+            display: none;
+        }
 
-        // Task Modal
-        const taskModal = document.getElementById('task-modal');
-        const taskForm = document.getElementById('task-form');
-        const taskInput = document.getElementById('task-input');
-        const taskModalTitle = document.getElementById('task-modal-title');
-        let currentTaskAction = { type: 'add', column: null, task: null };
+        .csv-preview ul {
+            max-height: 150px;
+            overflow-y: auto;
+            margin: 0.5rem 0;
+            padding-left: 1.25rem;
+        }
 
-        // Handle Enter key in task input
-        taskInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                taskForm.requestSubmit();
-            }
-        });
+        .csv-preview .csv-error {
+            color: #f44336;
+        }
 
-        function openTaskModal(type, column, task = null) {
-            currentTaskAction = { type, column, task };
-            taskModalTitle.textContent = type === 'add' ? 'Add Task' : 'Edit Task';
-            taskInput.value = task ? task.querySelector('.task-text').textContent : '';
-            
-            const deleteBtn = document.getElementById('delete-task-btn');
-            if (type === 'edit') {
-                deleteBtn.style.display = 'block';
-                deleteBtn.onclick = () => {
-                    if (confirm('Are you sure you want to delete this task?')) {
-                        const columnId = task.parentElement.id;
-                        const index = Array.from(task.parentElement.children).indexOf(task);
-                        boardData.boards[currentBoard].columns[columnId].tasks.splice(index, 1);
-                        task.remove();
-                        saveTasks();
-                        showToast('Task deleted');
-                        closeTaskModal();
-                    }
-                };
-            } else {
-                deleteBtn.style.display = 'none';
-            }
-            
-            taskModal.style.display = 'flex';
-            taskInput.focus();
+        .checkbox-label {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            cursor: pointer;
         }
 
-        function closeTaskModal() {
-            taskModal.style.display = 'none';
-            taskInput.value = '';
+        .text-button.danger {
+            color: #f44336;
         }
 
-        taskForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const text = taskInput.value.trim();
-            if (!text) return;
+        .text-button.danger:hover {
+            background: #f44336;
+            color: white;
+        }
 
-            if (currentTaskAction.type === 'add') {
-                // Add task to data structure
-                boardData.boards[currentBoard].columns[currentTaskAction.column].tasks.push(text);
-                
-                // Create and append the task element
-                const task = createTask(currentTaskAction.column, text);
-                if (task) {
-                    document.getElementById(currentTaskAction.column).appendChild(task);
-                }
-            } else {
-                // Update existing task
-                const task = currentTaskAction.task;
-                const columnId = task.closest('.column').dataset.column;
-                const tasksContainer = task.parentElement;
-                const index = Array.from(tasksContainer.children).indexOf(task);
-                
-                // Update data structure
-                boardData.boards[currentBoard].columns[columnId].tasks[index] = text;
+        /* Archived tasks */
+        .archived-search {
+            width: 100%;
+            padding: 0.75rem;
+            margin-bottom: 1rem;
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            background: var(--background);
+            color: var(--text);
+            font-size: 1rem;
+            box-sizing: border-box;
+        }
+
+        .archived-search:focus {
+            outline: none;
+            border-color: var(--primary);
+        }
+
+        .archived-list {
+            max-height: 50vh;
+            text-align: left;
+        }
+
+        .archived-item .archived-text {
+            flex: 1;
+            min-width: 0;
+            overflow-wrap: anywhere;
+        }
+
+        .archived-item .archived-meta {
+            display: block;
+            margin-top: 0.25rem;
+            font-size: 0.8rem;
+            opacity: 0.6;
+        }
+
+        .empty-list {
+            margin: 0;
+            opacity: 0.6;
+            font-size: 0.9rem;
+        }
+
+        .close-button {
+            background: none;
+            border: none;
+            color: var(--text);
+            font-size: 1.5rem;
+            cursor: pointer;
+            padding: 0.5rem;
+            margin: -0.5rem;
+            transition: transform var(--transition);
+        }
+
+        .close-button:hover {
+            transform: scale(1.1);
+        }
+
+        .delete-confirmation {
+            max-width: 500px !important;
+        }
+        
+        .delete-warning {
+            text-align: left;
+            margin-bottom: 1.5rem;
+            color: var(--text);
+        }
+        
+        .delete-warning p {
+            margin-bottom: 1rem;
+            line-height: 1.5;
+        }
+        
+        .delete-confirmation-form {
+            display: flex;
+            flex-direction: column;
+            gap: 1rem;
+        }
+        
+        .delete-confirmation-input {
+            width: 100%;
+            padding: 0.75rem 1rem;
+            font-size: 1rem;
+            border: 2px solid var(--border);
+            border-radius: var(--border-radius);
+            background: var(--container);
+            color: var(--text);
+            box-sizing: border-box;
+        }
+        
+        .delete-confirmation-input:focus {
+            outline: none;
+            border-color: var(--primary);
+        }
+        
+        .delete-button {
+            padding: 0.75rem 1.5rem;
+            font-size: 1rem;
+            background: #dc3545;
+            color: white;
+            border: none;
+            border-radius: var(--border-radius);
+            cursor: pointer;
+            transition: background-color var(--transition);
+        }
+        
+        .delete-button:hover {
+            background: #c82333;
+        }
+        
+        .delete-button:disabled {
+            background: #e9ecef;
+            cursor: not-allowed;
+        }
+
+        .task {
+            touch-action: none;
+            user-select: none;
+            -webkit-user-select: none;
+        }
+        
+        .task.dragging {
+            opacity: 0.5;
+            position: relative;
+            z-index: 1000;
+            cursor: grabbing;
+            transform: scale(1.02);
+            transition: transform 0.2s ease;
+        }
+        
+        @media (hover: none) and (pointer: coarse) {
+            .task:active {
+                cursor: grabbing;
+            }
+        }
+
+        .task {
+            position: relative;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 1rem;
+            padding-right: 2.5rem;
+            touch-action: manipulation;
+            user-select: none;
+            -webkit-user-select: none;
+            transition: transform 0.2s ease, box-shadow 0.2s ease;
+        }
+        
+        .move-indicator {
+            color: var(--border);
+            font-size: 1.2em;
+            line-height: 1;
+            cursor: move;
+            padding: 0.25rem;
+            margin: -0.25rem;
+            display: none;
+            opacity: 0.6;
+        }
+        
+        @media (hover: none) and (pointer: coarse) {
+            .move-indicator {
+                display: block;
+            }
+            
+            .task {
+                padding-left: 2.5rem;
+            }
+        }
+        
+        .task-content {
+            flex: 1;
+            min-width: 0;
+        }
+        
+        .task-text {
+            display: block;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .task.dragging {
+            opacity: 0.8;
+            transform: scale(1.02);
+            box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+            z-index: 1000;
+        }
+        
+        .tasks.drag-over {
+            background: var(--primary);
+            opacity: 0.1;
+            transition: all 0.2s ease;
+        }
+        
+        .delete-task {
+            position: absolute;
+            top: 50%;
+            right: 0.5rem;
+            transform: translateY(-50%);
+        }
+
+        .header-button {
+            background: var(--container);
+            border: 1px solid var(--border);
+            color: var(--text);
+            padding: 0.5rem 1rem;
+            border-radius: var(--border-radius);
+            cursor: pointer;
+            font-size: 1rem;
+            transition: all var(--transition);
+        }
+
+        .header-button:hover,
+        .header-button.active {
+            background: var(--primary);
+            color: white;
+            border-color: var(--primary);
+        }
+
+        .sync-status {
+            padding: 0.35rem 0.75rem;
+            border-radius: var(--border-radius);
+            background: var(--primary);
+            color: white;
+            font-size: 0.85rem;
+            white-space: nowrap;
+        }
+
+        .sync-status.offline {
+            background: #f57c00;
+        }
+
+        .sync-status[hidden] {
+            display: none;
+        }
+
+        /* Side panel */
+        .side-panel {
+            position: fixed;
+            top: 0;
+            right: 0;
+            width: 360px;
+            max-width: 100%;
+            height: 100%;
+            background: var(--container);
+            color: var(--text);
+            border-left: 1px solid var(--border);
+            box-shadow: var(--shadow);
+            padding: 1.5rem;
+            box-sizing: border-box;
+            display: flex;
+            flex-direction: column;
+            z-index: 500;
+        }
+
+        .side-panel[hidden] {
+            display: none;
+        }
+
+        .side-panel-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 1rem;
+        }
+
+        .side-panel-header h2 {
+            margin: 0;
+            font-size: 1.25rem;
+        }
+
+        .activity-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+            overflow-y: auto;
+            flex: 1;
+        }
+
+        .activity-item {
+            padding: 0.75rem 0;
+            border-bottom: 1px solid var(--border);
+            font-size: 0.9rem;
+        }
+
+        .activity-item .activity-meta {
+            display: block;
+            margin-top: 0.25rem;
+            font-size: 0.8rem;
+            opacity: 0.6;
+        }
+
+        /* Add Column Button */
+        .add-column {
+            min-width: 300px;
+            height: 200px;
+            background: var(--container);
+            border: 2px dashed var(--border);
+            border-radius: var(--border-radius);
+            color: var(--text);
+            cursor: pointer;
+            font-size: 1.1rem;
+            transition: all var(--transition);
+            opacity: 0.7;
+            margin-top: 43px;
+            height: fit-content;
+            align-self: start;
+        }
+
+        .add-column:hover {
+            opacity: 1;
+            border-color: var(--primary);
+            color: var(--primary);
+        }
+
+        /* Mobile Touch Styles */
+        .task {
+            position: relative;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 1rem;
+            padding-right: 2.5rem;
+            touch-action: manipulation;
+            user-select: none;
+            -webkit-user-select: none;
+            transition: transform 0.2s ease, box-shadow 0.2s ease;
+        }
+        
+        @media (hover: none) and (pointer: coarse) {
+            .task {
+                cursor: pointer;
+            }
+            
+            .task::after {
+                content: '✎';
+                position: absolute;
+                right: 2.5rem;
+                opacity: 0.4;
+                font-size: 0.9em;
+            }
+        }
+
+        /* Update column header styles */
+        .column-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            margin-bottom: 1rem;
+        }
+
+        .column-name {
+            margin: 0;
+            font-size: 1.25rem;
+            padding: 0.25rem;
+            flex: 1;
+            min-width: 0;
+            word-wrap: break-word;
+            overflow-wrap: break-word;
+        }
+
+        .remove-column {
+            background: none;
+            border: none;
+            color: #f44336;
+            cursor: pointer;
+            padding: 0.5rem;
+            font-size: 1.2rem;
+            line-height: 1;
+            transition: transform var(--transition);
+        }
+
+        .remove-column:hover {
+            transform: scale(1.1);
+        }
+
+        .column-count {
+            padding: 0.05rem 0.5rem;
+            border-radius: 999px;
+            background: var(--primary);
+            color: white;
+            font-size: 0.8rem;
+            white-space: nowrap;
+        }
+
+        .column-count[hidden],
+        .task[hidden] {
+            display: none;
+        }
+
+        .filter-bar {
+            max-width: 1200px;
+            margin: -1rem auto 1.5rem;
+            padding: 0 1rem;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+        }
+
+        .filter-bar input,
+        .filter-bar select {
+            padding: 0.5rem 0.75rem;
+            border: 1px solid var(--border);
+            border-radius: var(--border-radius);
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+            font-size: 0.9rem;
+        }
+
+        .filter-bar input {
+            flex: 1;
+            min-width: 12rem;
+        }
+
+        .task-text mark {
+            background: #ffeb3b;
+            color: #000;
+            border-radius: 2px;
+        }
+
+        .column-sort {
+            background: none;
+            border: none;
+            cursor: pointer;
+            padding: 0.5rem;
+            font-size: 1rem;
+            line-height: 1;
+            opacity: 0.4;
+            transition: opacity var(--transition);
+        }
+
+        .column-sort:hover,
+        .column-sort.active {
+            opacity: 1;
+        }
+
+        /* Badges below the task title (due date, ...) */
+        .task-meta {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.35rem;
+            margin-top: 0.35rem;
+        }
+
+        .task-due,
+        .task-description-indicator,
+        .task-checklist-progress,
+        .task-comment-count,
+        .task-attachment-count {
+            padding: 0.05rem 0.5rem;
+            border: 1px solid var(--border);
+            border-radius: 999px;
+            font-size: 0.75rem;
+            white-space: nowrap;
+        }
+
+        /* Priority: a colored stripe on the left edge of the card and a badge */
+        .task[data-priority="low"] {
+            --priority-color: #4caf50;
+        }
+
+        .task[data-priority="medium"] {
+            --priority-color: #ffc107;
+        }
+
+        .task[data-priority="high"] {
+            --priority-color: #ff9800;
+        }
+
+        .task[data-priority="urgent"] {
+            --priority-color: #f44336;
+        }
+
+        .task[data-priority] {
+            box-shadow: inset 4px 0 0 var(--priority-color);
+        }
+
+        .task[data-priority]:hover {
+            box-shadow: inset 4px 0 0 var(--priority-color), var(--shadow);
+        }
+
+        .task-priority {
+            padding: 0.05rem 0.5rem;
+            border: 1px solid var(--priority-color);
+            border-radius: 999px;
+            color: var(--priority-color);
+            font-size: 0.75rem;
+            font-weight: 600;
+            white-space: nowrap;
+        }
+
+        .task.due-soon {
+            border-color: #ff9800;
+        }
+
+        .task.due-soon .task-due {
+            background: #ff9800;
+            border-color: #ff9800;
+            color: white;
+        }
+
+        .task.due-overdue {
+            border-color: #f44336;
+        }
+
+        .task.due-overdue .task-due {
+            background: #f44336;
+            border-color: #f44336;
+            color: white;
+        }
+
+        .label-chip {
+            padding: 0.05rem 0.5rem;
+            border-radius: 999px;
+            font-size: 0.75rem;
+            white-space: nowrap;
+        }
+
+        .task-labels-field {
+            display: flex;
+            align-items: flex-start;
+            gap: 0.5rem;
+            font-size: 0.9rem;
+        }
+
+        .label-picker {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.35rem;
+        }
+
+        .label-picker .label-chip {
+            border: 2px solid var(--chip-color);
+            background: none;
+            color: var(--text);
+            cursor: pointer;
+            font-family: inherit;
+        }
+
+        .label-picker .label-chip.selected {
+            background: var(--chip-color);
+            color: var(--chip-text);
+        }
+
+        .label-picker .empty-list {
+            margin: 0;
+            opacity: 0.7;
+        }
+
+        .labels-list {
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .label-item,
+        .add-label-form {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+        }
+
+        .label-item input[type="text"],
+        .add-label-form input[type="text"] {
+            flex: 1;
+            min-width: 0;
+            padding: 0.4rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+        }
+
+        .label-item input[type="color"],
+        .add-label-form input[type="color"] {
+            width: 2rem;
+            height: 2rem;
+            padding: 0;
+            border: none;
+            background: none;
+            cursor: pointer;
+        }
+
+        .task-field-row {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            font-size: 0.9rem;
+        }
+
+        .task-field-row input,
+        .task-field-row select {
+            padding: 0.4rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+        }
+
+        .task-description-field {
+            display: flex;
+            flex-direction: column;
+            gap: 0.35rem;
+            font-size: 0.9rem;
+            text-align: left;
+        }
+
+        .task-description-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+        }
+
+        #task-description {
+            padding: 0.5rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+            font-size: 0.9rem;
+            resize: vertical;
+        }
+
+        .markdown-body {
+            min-height: 2rem;
+            padding: 0.5rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            cursor: text;
+            overflow-wrap: anywhere;
+        }
+
+        .markdown-body > :first-child {
+            margin-top: 0;
+        }
+
+        .markdown-body > :last-child {
+            margin-bottom: 0;
+        }
+
+        .markdown-body h1,
+        .markdown-body h2,
+        .markdown-body h3,
+        .markdown-body h4,
+        .markdown-body h5,
+        .markdown-body h6 {
+            margin: 0.75rem 0 0.35rem;
+            font-size: 1rem;
+        }
+
+        .markdown-body h1 {
+            font-size: 1.3rem;
+        }
+
+        .markdown-body h2 {
+            font-size: 1.15rem;
+        }
+
+        .markdown-body p,
+        .markdown-body ul,
+        .markdown-body ol,
+        .markdown-body pre,
+        .markdown-body blockquote {
+            margin: 0.5rem 0;
+        }
+
+        .markdown-body ul,
+        .markdown-body ol {
+            padding-left: 1.5rem;
+        }
+
+        .markdown-body code {
+            padding: 0.1rem 0.3rem;
+            border-radius: 4px;
+            background: var(--border);
+            font-size: 0.85em;
+        }
+
+        .markdown-body pre {
+            padding: 0.5rem;
+            border-radius: 8px;
+            background: var(--border);
+            overflow-x: auto;
+        }
+
+        .markdown-body pre code {
+            padding: 0;
+            background: none;
+        }
+
+        .markdown-body blockquote {
+            padding-left: 0.75rem;
+            border-left: 3px solid var(--border);
+            opacity: 0.85;
+        }
+
+        .markdown-body a {
+            color: var(--primary);
+        }
+
+        .markdown-body .empty-list {
+            margin: 0;
+            opacity: 0.7;
+        }
+
+        .attachments-list {
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            margin: 0;
+            padding: 0;
+            list-style: none;
+            font-size: 0.9rem;
+        }
+
+        .attachments-list .empty-list {
+            opacity: 0.7;
+        }
+
+        .attachment-item {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+        }
+
+        .attachment-thumbnail {
+            flex-shrink: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 48px;
+            height: 48px;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            overflow: hidden;
+            font-size: 1.5rem;
+        }
+
+        .attachment-thumbnail img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .attachment-name {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            color: var(--primary);
+        }
+
+        .attachment-size {
+            font-size: 0.75rem;
+            opacity: 0.7;
+            white-space: nowrap;
+        }
+
+        .comments-list {
+            display: flex;
+            flex-direction: column;
+            gap: 0.75rem;
+            margin: 0 0 0.75rem;
+            padding: 0;
+            list-style: none;
+            font-size: 0.9rem;
+        }
+
+        .comments-list .empty-list {
+            opacity: 0.7;
+        }
+
+        .comment-header {
+            display: flex;
+            align-items: baseline;
+            gap: 0.5rem;
+            margin-bottom: 0.25rem;
+        }
+
+        .comment-header time {
+            font-size: 0.75rem;
+            opacity: 0.7;
+        }
+
+        .comment-form {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 0.5rem;
+        }
+
+        .comment-form input,
+        .comment-form textarea {
+            box-sizing: border-box;
+            width: 100%;
+            padding: 0.5rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+            font-size: 0.9rem;
+        }
+
+        .comment-form textarea {
+            resize: vertical;
+        }
+
+        /* Long checklists scroll inside the task dialog */
+        #task-modal .modal-content {
+            max-height: 90vh;
+            overflow-y: auto;
+        }
+
+        .task-checklist-field {
+            display: flex;
+            flex-direction: column;
+            gap: 0.35rem;
+            font-size: 0.9rem;
+            text-align: left;
+        }
+
+        .checklist-editor {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            margin: 0;
+            padding: 0;
+            list-style: none;
+        }
+
+        .checklist-item {
+            display: flex;
+            align-items: center;
+            gap: 0.35rem;
+        }
+
+        .checklist-item input[type="text"] {
+            flex: 1;
+            min-width: 0;
+        }
+
+        .checklist-item.done input[type="text"] {
+            text-decoration: line-through;
+            opacity: 0.6;
+        }
+
+        .checklist-item .text-button {
+            padding: 0.25rem 0.4rem;
+        }
+
+        .checklist-item input[type="text"],
+        #new-checklist-item {
+            padding: 0.4rem;
+            border: 2px solid var(--border);
+            border-radius: 8px;
+            background: var(--container);
+            color: var(--text);
+            font-family: inherit;
+        }
+
+        .task-checklist-progress.complete {
+            background: #4caf50;
+            border-color: #4caf50;
+            color: white;
+        }
+
+        /* Tablet/medium screens */
+        @media (min-width: 769px) and (max-width: 1200px) {
+            .board {
+                grid-template-columns: repeat(2, minmax(300px, 1fr));
+                gap: 2.5rem;
+                padding: 2rem;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div id="pin-overlay" class="pin-overlay" style="display: none;">
+        <div class="pin-header">
+            <h1>DumbKan</h1>
+        </div>
+        <form id="pin-form" class="pin-form">
+            <h2>Enter PIN</h2>
+            <div class="pin-input-container">
+                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
+                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
+                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
+                <input type="password" class="pin-input" maxlength="1" pattern="[0-9]" inputmode="numeric">
+            </div>
+            <p id="pin-error" class="pin-error" style="display: none;">Invalid PIN. Please try again.</p>
+        </form>
+    </div>
+
+    <div id="task-modal" class="modal" style="display: none">
+        <div class="modal-content">
+            <h2 id="task-modal-title">Add Task</h2>
+            <form id="task-form" class="task-form">
+                <textarea 
+                    id="task-input" 
+                    placeholder="What needs to be done?" 
+                    rows="3" 
+                    maxlength="500"
+                    required
+                ></textarea>
+                <div class="task-description-field">
+                    <div class="task-description-header">
+                        <label for="task-description">Description</label>
+                        <button type="button" id="task-description-toggle" class="text-button">Preview</button>
+                    </div>
+                    <textarea
+                        id="task-description"
+                        placeholder="Details in Markdown: # headings, - lists, [links](https://example.com), code blocks"
+                        rows="6"
+                        maxlength="20000"
+                    ></textarea>
+                    <div id="task-description-view" class="markdown-body" title="Click to edit" hidden></div>
+                </div>
+                <div class="task-field-row">
+                    <label for="task-priority">Priority</label>
+                    <select id="task-priority">
+                        <option value="">None</option>
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                        <option value="urgent">Urgent</option>
+                    </select>
+                </div>
+                <div class="task-field-row">
+                    <label for="task-due-date">Due</label>
+                    <input type="date" id="task-due-date">
+                    <input type="time" id="task-due-time" title="Optional time of day">
+                    <button type="button" class="text-button" onclick="setDueInputs(null)">Clear</button>
+                </div>
+                <div class="task-labels-field">
+                    <span>Labels</span>
+                    <div id="task-label-picker" class="label-picker"></div>
+                </div>
+                <div class="task-checklist-field">
+                    <span>Checklist</span>
+                    <ul id="task-checklist" class="checklist-editor"></ul>
+                    <input type="text" id="new-checklist-item" placeholder="Add an item and press Enter" maxlength="500">
+                </div>
+                <div class="modal-buttons">
+                    <button type="button" class="cancel-button" onclick="closeTaskModal()">Cancel</button>
+                    <button type="button" id="archive-task-btn" class="cancel-button" style="display: none;">Archive</button>
+                    <button type="button" id="delete-task-btn" class="delete-button" style="display: none;">Delete Task</button>
+                    <button type="submit" class="submit-button">Save</button>
+                </div>
+            </form>
+            <div id="task-attachments" class="modal-section" hidden>
+                <div class="modal-section-header">
+                    <h3 id="task-attachments-heading">Attachments</h3>
+                    <button type="button" class="text-button" onclick="document.getElementById('attachment-file').click()">Attach files</button>
+                </div>
+                <ul id="attachments-list" class="attachments-list"></ul>
+                <input type="file" id="attachment-file" multiple hidden>
+            </div>
+            <div id="task-comments" class="modal-section" hidden>
+                <div class="modal-section-header">
+                    <h3 id="task-comments-heading">Comments</h3>
+                </div>
+                <ul id="comments-list" class="comments-list"></ul>
+                <form id="comment-form" class="comment-form">
+                    <input type="text" id="comment-author" placeholder="Your name" maxlength="100" required>
+                    <textarea id="comment-body" placeholder="Write a comment in Markdown" rows="3" maxlength="10000" required></textarea>
+                    <button type="submit" class="text-button">Add comment</button>
+                </form>
+            </div>
+        </div>
+    </div>
+
+    <div id="manage-boards-modal" class="modal" style="display: none">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Manage Boards</h2>
+                <button class="close-button" onclick="closeManageBoardsModal()">×</button>
+            </div>
+            <div id="boards-list" class="boards-list"></div>
+            <form id="add-board-form" class="add-board-form">
+                <input type="text" id="new-board-name" 
+                    placeholder="Enter board name" 
+                    pattern="[A-Za-z0-9 -]+" 
+                    title="Letters, numbers, spaces and hyphens only"
+                    required>
+                <button type="submit" class="add-button">
+                    <span class="icon">+</span>
+                    Add Board
+                </button>
+            </form>
+            <div class="modal-section">
+                <div class="modal-section-header">
+                    <h3 id="labels-heading">Labels</h3>
+                </div>
+                <div id="labels-list" class="labels-list"></div>
+                <form id="add-label-form" class="add-label-form">
+                    <input type="color" id="new-label-color" value="#1e88e5" title="Label color">
+                    <input type="text" id="new-label-name" placeholder="New label" maxlength="50" required>
+                    <button type="submit" class="text-button">Add label</button>
+                </form>
+            </div>
+            <div class="modal-section">
+                <div class="modal-section-header">
+                    <h3>Import</h3>
+                </div>
+                <form id="import-trello-form" class="import-form">
+                    <label for="import-trello-file">Trello board export (JSON)</label>
+                    <input type="file" id="import-trello-file" accept=".json,application/json" required>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="import-trello-closed">
+                        Include closed lists and cards
+                    </label>
+                    <button type="submit" class="text-button">Import from Trello</button>
+                </form>
+                <form id="import-csv-form" class="import-form">
+                    <label for="import-csv-file">CSV file for the current board (columns: id, column, title, description)</label>
+                    <input type="file" id="import-csv-file" accept=".csv,text/csv" required>
+                    <div class="import-actions">
+                        <button type="submit" class="text-button">Preview CSV import</button>
+                        <a id="export-csv-link" class="text-button" href="#" download>Export current board as CSV</a>
+                    </div>
+                </form>
+                <div id="csv-preview" class="csv-preview" hidden></div>
+            </div>
+            <div class="modal-section">
+                <div class="modal-section-header">
+                    <h3>Backups</h3>
+                    <button type="button" class="text-button" onclick="createBackupNow()">Back up now</button>
+                </div>
+                <div id="backups-list" class="backups-list"></div>
+                <form id="restore-bundle-form" class="import-form">
+                    <label for="restore-bundle-file">Backup file (all boards and settings)</label>
+                    <input type="file" id="restore-bundle-file" accept=".json,application/json" required>
+                    <div class="import-actions">
+                        <button type="submit" class="text-button">Restore from backup</button>
+                        <a class="text-button" href="/api/backups/download" download>Download backup</a>
+                    </div>
+                </form>
+                <div id="bundle-preview" class="csv-preview" hidden></div>
+            </div>
+            <div class="modal-section">
+                <div class="modal-section-header">
+                    <h3>Trash</h3>
+                </div>
+                <div id="trash-list" class="backups-list"></div>
+            </div>
+        </div>
+    </div>
+
+    <div id="archived-modal" class="modal" style="display: none">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Archived Tasks</h2>
+                <button class="close-button" onclick="closeArchivedModal()">×</button>
+            </div>
+            <input type="search" id="archived-search" class="archived-search" placeholder="Search archived tasks">
+            <div id="archived-list" class="backups-list archived-list"></div>
+        </div>
+    </div>
+
+    <div id="delete-board-modal" class="modal" style="display: none">
+        <div class="modal-content delete-confirmation">
+            <div class="modal-header">
+                <h2>Delete Board</h2>
+                <button class="close-button" onclick="closeDeleteBoardModal()">×</button>
+            </div>
+            <div class="delete-warning">
+                <p>This will move the <strong id="delete-board-name"></strong> board and all of its tasks to the trash. You can restore it from Manage Boards until the trash is emptied.</p>
+                <p>Please type <strong id="delete-board-confirm-text"></strong> to confirm.</p>
+            </div>
+            <form id="delete-board-form" class="delete-confirmation-form">
+                <input type="text" id="delete-board-input" 
+                    placeholder="Type board name to confirm"
+                    class="delete-confirmation-input"
+                    required>
+                <div class="modal-buttons">
+                    <button type="button" class="cancel-button" onclick="closeDeleteBoardModal()">Cancel</button>
+                    <button type="submit" class="delete-button">Delete this board</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <div id="delete-column-modal" class="modal" style="display: none">
+        <div class="modal-content delete-confirmation">
+            <div class="modal-header">
+                <h2>Delete Column</h2>
+                <button class="close-button" onclick="closeDeleteColumnModal()">×</button>
+            </div>
+            <div class="delete-warning">
+                <p>Are you sure you want to remove this column and all its tasks?</p>
+                <p>The column is moved to the trash and can be restored from Manage Boards.</p>
+            </div>
+            <div class="modal-buttons">
+                <button class="cancel-button" onclick="closeDeleteColumnModal()">Cancel</button>
+                <button class="delete-button" onclick="confirmDeleteColumn()">Delete Column</button>
+            </div>
+        </div>
+    </div>
+
+    <div class="app">
+        <header>
+            <div class="header-left">
+                <h1>DumbKan</h1>
+                <div class="board-selector">
+                    <button id="current-board" class="board-button">Work</button>
+                    <div id="board-menu" class="board-menu" hidden>
+                        <div id="boards-list-menu"></div>
+                        <button class="manage-boards-btn" onclick="openManageBoardsModal()">
+                            <span class="icon">⚙️</span> Manage Boards
+                        </button>
+                        <button class="manage-boards-btn" onclick="exportMarkdown()">
+                            <span class="icon">⬇️</span> Export as Markdown
+                        </button>
+                        <button class="manage-boards-btn" onclick="chooseMarkdownFile('current')">
+                            <span class="icon">📝</span> Import Markdown into this board
+                        </button>
+                        <button class="manage-boards-btn" onclick="chooseMarkdownFile('new')">
+                            <span class="icon">➕</span> New board from Markdown
+                        </button>
+                        <input type="file" id="import-markdown-file" accept=".md,.markdown,text/markdown,text/plain" hidden>
+                    </div>
+                </div>
+                <button id="activity-button" class="header-button" title="Board activity" onclick="toggleActivityPanel()">Activity</button>
+                <button id="archived-button" class="header-button" title="Archived tasks" onclick="openArchivedModal()">Archived</button>
+                <span id="sync-status" class="sync-status" hidden></span>
+            </div>
+            <button id="theme-toggle" aria-label="Toggle dark mode">🌙</button>
+        </header>
+        <div class="filter-bar">
+            <input type="search" id="filter-text" placeholder="Search tasks" aria-label="Search tasks">
+            <select id="filter-label" aria-label="Filter by label">
+                <option value="">Any label</option>
+            </select>
+            <select id="filter-priority" aria-label="Filter by priority">
+                <option value="">Any priority</option>
+                <option value="urgent">Urgent</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+                <option value="none">No priority</option>
+            </select>
+            <select id="filter-due" aria-label="Filter by due date">
+                <option value="">Any due date</option>
+                <option value="overdue">Overdue</option>
+                <option value="soon">Due soon</option>
+                <option value="set">Has a due date</option>
+                <option value="none">No due date</option>
+            </select>
+            <button type="button" id="filter-clear" class="text-button" hidden>Clear filter</button>
+        </div>
+        <main>
+            <div class="board">
+                <div class="column" data-column="todo">
+                    <h2 contenteditable="true" class="column-name">To Do</h2>
+                    <div class="tasks" id="todo"></div>
+                    <button class="add-task" data-column="todo">+ Add Task</button>
+                </div>
+                <div class="column" data-column="doing">
+                    <h2 contenteditable="true" class="column-name">Doing</h2>
+                    <div class="tasks" id="doing"></div>
+                    <button class="add-task" data-column="doing">+ Add Task</button>
+                </div>
+                <div class="column" data-column="done">
+                    <h2 contenteditable="true" class="column-name">Done</h2>
+                    <div class="tasks" id="done"></div>
+                    <button class="add-task" data-column="done">+ Add Task</button>
+                </div>
+                <button id="add-column" class="add-column">+ Add Column</button>
+            </div>
+        </main>
+        <div id="toast" class="toast" hidden></div>
+    </div>
+
+    <aside id="activity-panel" class="side-panel" hidden>
+        <div class="side-panel-header">
+            <h2>Activity</h2>
+            <button class="close-button" onclick="toggleActivityPanel()">×</button>
+        </div>
+        <ul id="activity-list" class="activity-list"></ul>
+    </aside>
+
+    <script>
+        // DOM Elements
+        const board = document.querySelector('.board');
+        const columns = document.querySelectorAll('.column');
+        const columnNames = document.querySelectorAll('.column-name');
+        const addButtons = document.querySelectorAll('.add-task');
+        const themeToggle = document.getElementById('theme-toggle');
+        const toast = document.getElementById('toast');
+        const pinOverlay = document.getElementById('pin-overlay');
+        const pinForm = document.getElementById('pin-form');
+        const pinInput = document.getElementById('pin-input');
+
+        // State
+        let boardData = {
+            boards: {
+                work: {
+                    name: 'Work',
+                    columns: {
+                        todo: { name: 'To Do', tasks: [] },
+                        doing: { name: 'Doing', tasks: [] },
+                        done: { name: 'Done', tasks: [] }
+                    }
+                }
+            },
+            activeBoard: 'work'
+        };
+        let currentBoard = 'work';
+        let verifiedPin = null;
+        let dataRevision = null;
+        let pendingWrite = Promise.resolve();
+        let conflictNotice = null;
+        // Identifies this tab in change events, so it does not reload for its own writes
+        const clientId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+        // Board selector
+        const currentBoardBtn = document.getElementById('current-board');
+        const boardMenu = document.getElementById('board-menu');
+        const boardsListMenu = document.getElementById('boards-list-menu');
+
+        // Show/hide boards list on current board button click
+        currentBoardBtn.addEventListener('click', () => {
+            boardMenu.hidden = !boardMenu.hidden;
+        });
+
+        // Handle board selection
+        boardsListMenu.addEventListener('click', async (e) => {
+            const button = e.target;
+            if (!button.dataset.board) return;
+
+            const boardId = button.dataset.board;
+            if (boardId === currentBoard) return;
+
+            try {
+                // Update current board
+                currentBoard = boardId;
+                
+                // Update UI
+                currentBoardBtn.textContent = boardData.boards[boardId].name;
+                boardMenu.hidden = true;
+                
+                // Save active board
+                await apiRequest('PUT', '/api/active-board', { boardId });
+                
+                // Load tasks for the new board
+                await loadTasks();
+                showToast('Switched to ' + button.textContent + ' board');
+            } catch (error) {
+                console.error('Error switching board:', error);
+                showToast('Error switching board');
+            }
+        });
+
+        // Close board menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!currentBoardBtn.contains(e.target) && !boardMenu.contains(e.target)) {
+                boardMenu.hidden = true;
+            }
+        });
+
+        // Function to update board selector
+        async function updateBoardSelector() {
+            const headers = {
+                'Content-Type': 'application/json',
+                ...(verifiedPin && { 'X-Pin': verifiedPin })
+            };
+
+            try {
+                // Offline, the menu is built from the local copy
+                const data = isOffline ? boardData : await (await fetch('/data/tasks.json', { headers })).json();
+                
+                // Update current board button
+                const currentBoardData = data.boards[currentBoard];
+                if (currentBoardData) {
+                    currentBoardBtn.textContent = currentBoardData.name;
+                }
+                
+                // Populate dropdown menu
+                boardsListMenu.innerHTML = '';
+                Object.entries(data.boards).forEach(([id, board]) => {
+                    const button = document.createElement('button');
+                    button.dataset.board = id;
+                    button.textContent = board.name;
+                    if (id === currentBoard) {
+                        button.classList.add('active');
+                    }
+                    boardsListMenu.appendChild(button);
+                });
+
+                // Update boardData
+                boardData = data;
+                dataRevision = data.revision || 0;
+            } catch (error) {
+                console.error('Error updating board selector:', error);
+            }
+        }
+
+        // Initial board selector update
+        document.addEventListener('DOMContentLoaded', () => {
+            updateBoardSelector();
+        });
+
+        // Load tasks from JSON file
+        async function loadTasks() {
+            try {
+                const headers = verifiedPin ? { 'X-Pin': verifiedPin } : {};
+                let response;
+                try {
+                    response = await fetch('/data/tasks.json', { headers });
+                } catch (error) {
+                    // Offline: show the copy kept on this device
+                    setOffline(true);
+                    const localCopy = await readLocalCopy();
+                    if (!localCopy) throw error;
+                    showBoardData(localCopy);
+                    return;
+                }
+                setOffline(false);
+                
+                if (response.status === 401) {
+                    localStorage.removeItem('DUMBKAN_PIN');
+                    location.reload();
+                    return;
+                }
+                
+                if (!response.ok) throw new Error('Failed to load tasks');
+                const data = await response.json();
+                
+                // Only initialize default structure if data is empty
+                if (!data || !Object.keys(data).length) {
+                    data.boards = {
+                        work: {
+                            name: 'Work',
+                            columns: {
+                                todo: { name: 'To Do', tasks: [] },
+                                doing: { name: 'Doing', tasks: [] },
+                                done: { name: 'Done', tasks: [] }
+                            }
+                        }
+                    };
+                    data.activeBoard = 'work';
+                }
+                
+                showBoardData(data);
+                saveLocalCopy();
+            } catch (error) {
+                console.error('Error loading tasks:', error);
+                showToast('Error loading tasks');
+            }
+        }
+
+        function showBoardData(data) {
+            // Update the global boardData
+            boardData = data;
+            dataRevision = data.revision || 0;
+            currentBoard = data.activeBoard || Object.keys(data.boards)[0];
+            
+            // Update UI
+            currentBoardBtn.textContent = data.boards[currentBoard].name;
+            renderTasks();
+            updateBoardSelector();
+            if (!activityPanel.hidden && !isOffline) renderActivity();
+        }
+
+        // Column name editing
+        columnNames.forEach(nameEl => {
+            nameEl.addEventListener('blur', () => {
+                const column = nameEl.closest('.column').dataset.column;
+                renameColumn(column, nameEl.textContent);
+            });
+
+            nameEl.addEventListener('keydown', e => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    nameEl.blur();
+                }
+            });
+        });
+
+        // Wrap fetch to include PIN header
+        const fetchWithPin = async (url, options = {}) => {
+            if (verifiedPin) {
+                options.headers = {
+                    ...options.headers,
+                    'X-Pin': verifiedPin
+                };
+            }
+            return fetch(url, options);
+        };
+
+        // Check if PIN is required and get length
+        async function checkPinRequired() {
+            const response = await fetch('/api/pin-required');
+            const { required, length } = await response.json();
+            if (required && !verifiedPin) {
+                const container = document.querySelector('.pin-input-container');
+                container.innerHTML = ''; // Clear existing inputs
+                
+                // Create inputs based on PIN length
+                for (let i = 0; i < length; i++) {
+                    const input = document.createElement('input');
+                    input.type = 'password';
+                    input.className = 'pin-input';
+                    input.maxLength = 1;
+                    input.pattern = '[0-9]';
+                    input.inputMode = 'numeric';
+                    input.required = true;
+                    container.appendChild(input);
+                }
+                
+                setupPinInputs();
+                document.querySelector('.pin-input').focus();
+            }
+        }
+
+        // Separate function to set up PIN input event listeners
+        function setupPinInputs() {
+            document.querySelectorAll('.pin-input').forEach((input, index, inputs) => {
+                input.addEventListener('input', (e) => {
+                    if (e.target.value) {
+                        e.target.classList.add('has-value');
+                        if (index < inputs.length - 1) {
+                            inputs[index + 1].focus();
+                        } else {
+                            document.getElementById('pin-form').requestSubmit();
+                        }
+                    } else {
+                        e.target.classList.remove('has-value');
+                    }
+                });
+
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Backspace' && !e.target.value && index > 0) {
+                        const prevInput = inputs[index - 1];
+                        prevInput.value = '';
+                        prevInput.classList.remove('has-value');
+                        prevInput.focus();
+                    }
+                });
+            });
+        }
+
+        // Handle PIN form submission
+        document.getElementById('pin-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const inputs = [...document.querySelectorAll('.pin-input')];
+            const pin = inputs.map(input => input.value).join('');
+            
+            try {
+                const response = await fetch('/api/verify-pin', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ pin })
+                });
+                
+                const data = await response.json();
+                
+                if (response.ok) {
+                    window.location.href = '/';
+                } else {
+                    const errorElement = document.getElementById('pin-error');
+                    if (response.status === 429) {
+                        errorElement.textContent = data.error;
+                    } else {
+                        const msg = 'Invalid PIN. ' + data.attemptsLeft + ' attempts remaining';
+                        errorElement.textContent = msg;
+                    }
+                    errorElement.style.display = 'block';
+                    
+                    // Reset all PIN input boxes
+                    const pinInputs = document.querySelectorAll('.pin-input');
+                    pinInputs.forEach(input => {
+                        input.value = '';
+                        input.classList.remove('has-value');
+                    });
+                    // Focus the first input box
+                    pinInputs[0].focus();
+                }
+            } catch (error) {
+                console.error('Error verifying PIN:', error);
+                document.getElementById('pin-error').style.display = 'block';
+            }
+        });
+
+        // Initialize PIN check
+        checkPinRequired().catch(error => console.error('Error checking PIN:', error));
+
+        // Task Modal
+        const taskModal = document.getElementById('task-modal');
+        const taskForm = document.getElementById('task-form');
+        const taskInput = document.getElementById('task-input');
+        const taskModalTitle = document.getElementById('task-modal-title');
+        const taskDueDate = document.getElementById('task-due-date');
+        const taskDueTime = document.getElementById('task-due-time');
+        const taskLabelPicker = document.getElementById('task-label-picker');
+        const taskPriority = document.getElementById('task-priority');
+        const taskDescription = document.getElementById('task-description');
+        const taskDescriptionView = document.getElementById('task-description-view');
+        const taskDescriptionToggle = document.getElementById('task-description-toggle');
+        const taskAttachments = document.getElementById('task-attachments');
+        const taskAttachmentsHeading = document.getElementById('task-attachments-heading');
+        const attachmentsList = document.getElementById('attachments-list');
+        const attachmentFile = document.getElementById('attachment-file');
+        const taskComments = document.getElementById('task-comments');
+        const taskCommentsHeading = document.getElementById('task-comments-heading');
+        const commentsList = document.getElementById('comments-list');
+        const commentForm = document.getElementById('comment-form');
+        const commentAuthor = document.getElementById('comment-author');
+        const commentBody = document.getElementById('comment-body');
+        const taskChecklist = document.getElementById('task-checklist');
+        const newChecklistItem = document.getElementById('new-checklist-item');
+        let currentTaskAction = { type: 'add', column: null, taskId: null };
+
+        // Handle Enter key in task input
+        taskInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                taskForm.requestSubmit();
+            }
+        });
+
+        // Locate a task in the current board by its id
+        function findTask(taskId) {
+            const boardColumns = boardData.boards[currentBoard].columns;
+            for (const [columnId, column] of Object.entries(boardColumns)) {
+                const index = column.tasks.findIndex(task => task.id === taskId);
+                if (index !== -1) {
+                    return { columnId, index, task: column.tasks[index] };
+                }
+            }
+            return null;
+        }
+
+        function getTaskElement(taskId) {
+            return document.querySelector('.task[data-task-id="' + taskId + '"]');
+        }
+
+        // Set task fields the way the server does: optional fields cleared with null are removed
+        function applyTaskFields(task, fields) {
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value === null) {
+                    delete task[key];
+                } else {
+                    task[key] = value;
+                }
+            });
+        }
+
+        // Redraw one card after its fields changed; a column sorted by due date is redrawn as a whole
+        function refreshTaskElement(taskId) {
+            const location = findTask(taskId);
+            const taskEl = getTaskElement(taskId);
+            if (!location || !taskEl) return;
+            if (isSortedByDue(location.columnId)) {
+                renderTasks();
+                return;
+            }
+            const replacement = createTask(location.columnId, location.task);
+            if (replacement) taskEl.replaceWith(replacement);
+            applyFilter();
+        }
+
+        // Due dates: a day ("2024-05-31", due by the end of it) or an ISO date-time
+        const DUE_SOON_HOURS = 48;
+        const DUE_DAY_PATTERN = /^\\d{4}-\\d{2}-\\d{2}$/;
+
+        function dueTime(dueDate) {
+            if (DUE_DAY_PATTERN.test(dueDate)) {
+                const [year, month, day] = dueDate.split('-').map(Number);
+                return new Date(year, month - 1, day, 23, 59, 59, 999).getTime();
+            }
+            return new Date(dueDate).getTime();
+        }
+
+        function dueState(dueDate) {
+            const remaining = dueTime(dueDate) - Date.now();
+            if (remaining < 0) return 'overdue';
+            if (remaining < DUE_SOON_HOURS * 60 * 60 * 1000) return 'soon';
+            return '';
+        }
+
+        function formatDueDate(dueDate) {
+            const date = new Date(dueTime(dueDate));
+            const options = { month: 'short', day: 'numeric' };
+            if (date.getFullYear() !== new Date().getFullYear()) options.year = 'numeric';
+            let text = date.toLocaleDateString(undefined, options);
+            if (!DUE_DAY_PATTERN.test(dueDate)) {
+                text += ' ' + date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+            }
+            return text;
+        }
+
+        function updateDueState(taskEl) {
+            const state = taskEl.dataset.due ? dueState(taskEl.dataset.due) : '';
+            taskEl.classList.toggle('due-soon', state === 'soon');
+            taskEl.classList.toggle('due-overdue', state === 'overdue');
+            const badge = taskEl.querySelector('.task-due');
+            if (badge) badge.title = state === 'overdue' ? 'Overdue' : state === 'soon' ? 'Due soon' : 'Due';
+        }
+
+        // Cards turn due-soon and overdue while the page stays open
+        setInterval(() => document.querySelectorAll('.task[data-due]').forEach(updateDueState), 60 * 1000);
+
+        function setDueInputs(dueDate) {
+            taskDueDate.value = '';
+            taskDueTime.value = '';
+            if (!dueDate) return;
+            if (DUE_DAY_PATTERN.test(dueDate)) {
+                taskDueDate.value = dueDate;
+                return;
+            }
+            const date = new Date(dueDate);
+            const pad = number => String(number).padStart(2, '0');
+            taskDueDate.value = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+            taskDueTime.value = pad(date.getHours()) + ':' + pad(date.getMinutes());
+        }
+
+        // The inputs hold local time; a due time is sent as a UTC date-time
+        function readDueInputs() {
+            if (!taskDueDate.value) return null;
+            if (!taskDueTime.value) return taskDueDate.value;
+            return new Date(taskDueDate.value + 'T' + taskDueTime.value).toISOString();
+        }
+
+        // Columns sorted by due date are a display preference of this browser
+        const dueSortedColumns = new Set(JSON.parse(localStorage.getItem('dueSortedColumns') || '[]'));
+
+        function isSortedByDue(columnId) {
+            return dueSortedColumns.has(columnId);
+        }
+
+        function toggleDueSort(columnId) {
+            if (dueSortedColumns.has(columnId)) {
+                dueSortedColumns.delete(columnId);
+            } else {
+                dueSortedColumns.add(columnId);
+            }
+            localStorage.setItem('dueSortedColumns', JSON.stringify([...dueSortedColumns]));
+            renderTasks();
+        }
+
+        // Labels belong to the board; tasks keep a list of label ids
+        function boardLabels() {
+            return boardData.boards[currentBoard].labels || [];
+        }
+
+        // Black or white text, whichever reads better on the label color
+        function labelTextColor(color) {
+            const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+            return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000000' : '#ffffff';
+        }
+
+        function createLabelChip(label, tag = 'span') {
+            const chip = document.createElement(tag);
+            chip.className = 'label-chip';
+            chip.textContent = label.name;
+            chip.style.setProperty('--chip-color', label.color);
+            chip.style.setProperty('--chip-text', labelTextColor(label.color));
+            if (tag === 'span') {
+                chip.style.background = label.color;
+                chip.style.color = labelTextColor(label.color);
+            }
+            return chip;
+        }
+
+        function renderLabelPicker(selectedIds) {
+            taskLabelPicker.innerHTML = '';
+            const labels = boardLabels();
+            if (!labels.length) {
+                const empty = document.createElement('p');
+                empty.className = 'empty-list';
+                empty.textContent = 'No labels yet, add them in Manage Boards';
+                taskLabelPicker.appendChild(empty);
+                return;
+            }
+            labels.forEach(label => {
+                const chip = createLabelChip(label, 'button');
+                chip.type = 'button';
+                chip.dataset.labelId = label.id;
+                chip.classList.toggle('selected', (selectedIds || []).includes(label.id));
+                chip.setAttribute('aria-pressed', chip.classList.contains('selected'));
+                chip.onclick = () => {
+                    chip.classList.toggle('selected');
+                    chip.setAttribute('aria-pressed', chip.classList.contains('selected'));
+                };
+                taskLabelPicker.appendChild(chip);
+            });
+        }
+
+        // Selected label ids in board order, or null for none
+        function readLabelPicker() {
+            const labels = Array.from(taskLabelPicker.querySelectorAll('.label-chip.selected')).map(chip => chip.dataset.labelId);
+            return labels.length ? labels : null;
+        }
+
+        // Checklist being edited in the task modal; saved with the rest of the task
+        let checklistDraft = [];
+
+        function renderChecklistEditor() {
+            taskChecklist.innerHTML = '';
+            checklistDraft.forEach((item, index) => {
+                const row = document.createElement('li');
+                row.className = 'checklist-item';
+                row.classList.toggle('done', item.done);
+
+                const done = document.createElement('input');
+                done.type = 'checkbox';
+                done.checked = item.done;
+                done.title = 'Done';
+                done.onchange = () => {
+                    item.done = done.checked;
+                    row.classList.toggle('done', item.done);
+                };
+
+                const text = document.createElement('input');
+                text.type = 'text';
+                text.value = item.text;
+                text.maxLength = 500;
+                text.oninput = () => {
+                    item.text = text.value;
+                };
+                // Enter should not submit the whole task form from inside the list
+                text.onkeydown = (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        newChecklistItem.focus();
+                    }
+                };
+
+                const up = document.createElement('button');
+                up.type = 'button';
+                up.className = 'text-button';
+                up.textContent = '↑';
+                up.title = 'Move up';
+                up.disabled = index === 0;
+                up.onclick = () => moveChecklistItem(index, -1);
+
+                const down = document.createElement('button');
+                down.type = 'button';
+                down.className = 'text-button';
+                down.textContent = '↓';
+                down.title = 'Move down';
+                down.disabled = index === checklistDraft.length - 1;
+                down.onclick = () => moveChecklistItem(index, 1);
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'text-button';
+                remove.textContent = '×';
+                remove.title = 'Delete item';
+                remove.onclick = () => {
+                    checklistDraft.splice(index, 1);
+                    renderChecklistEditor();
+                };
+
+                row.append(done, text, up, down, remove);
+                taskChecklist.appendChild(row);
+            });
+        }
+
+        function moveChecklistItem(index, offset) {
+            const [item] = checklistDraft.splice(index, 1);
+            checklistDraft.splice(index + offset, 0, item);
+            renderChecklistEditor();
+        }
+
+        function addChecklistItem() {
+            const text = newChecklistItem.value.trim();
+            if (!text) return;
+            checklistDraft.push({ id: createLocalId('item'), text, done: false });
+            newChecklistItem.value = '';
+            renderChecklistEditor();
+        }
+
+        newChecklistItem.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addChecklistItem();
+            }
+        });
+
+        // Items with text in their current order, or null for no checklist
+        function readChecklistEditor() {
+            addChecklistItem();
+            const checklist = checklistDraft
+                .map(item => ({ id: item.id, text: item.text.trim(), done: item.done }))
+                .filter(item => item.text);
+            return checklist.length ? checklist : null;
+        }
+
+        // Descriptions are Markdown, rendered by the server's own functions (copied in below): all
+        // text is escaped and links must be http(s), mailto or relative.
+        const SAFE_LINK_PATTERN = ${SAFE_LINK_PATTERN};
+        const MARKDOWN_INLINE_PATTERN = ${MARKDOWN_INLINE_PATTERN};
+        const MARKDOWN_LIST_PATTERN = ${MARKDOWN_LIST_PATTERN};
+        ${escapeHtml}
+        ${renderMarkdownInline}
+        ${renderMarkdown}
+
+        // Second line of defense before anything is shown: parse the HTML into an inert template
+        // and keep only the tags and attributes the renderer produces
+        const MARKDOWN_TAGS = ['P', 'BR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'CODE', 'HR', 'STRONG', 'EM', 'DEL', 'A'];
+
+        function sanitizeHtml(html) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            template.content.querySelectorAll('*').forEach(element => {
+                if (!MARKDOWN_TAGS.includes(element.tagName)) {
+                    element.replaceWith(document.createTextNode(element.textContent));
+                    return;
+                }
+                Array.from(element.attributes).forEach(attribute => {
+                    const allowed = (element.tagName === 'A' && attribute.name === 'href' && SAFE_LINK_PATTERN.test(attribute.value))
+                        || (element.tagName === 'OL' && attribute.name === 'start');
+                    if (!allowed) element.removeAttribute(attribute.name);
+                });
+                if (element.tagName === 'A') {
+                    element.target = '_blank';
+                    element.rel = 'noopener noreferrer';
+                }
+            });
+            return template.content;
+        }
+
+        // The task modal shows an existing description rendered; editing switches to the Markdown source
+        function showDescription(editing) {
+            taskDescription.hidden = !editing;
+            taskDescriptionView.hidden = editing;
+            taskDescriptionToggle.textContent = editing ? 'Preview' : 'Edit';
+            if (editing) return;
+            taskDescriptionView.innerHTML = '';
+            if (taskDescription.value.trim()) {
+                taskDescriptionView.appendChild(sanitizeHtml(renderMarkdown(taskDescription.value)));
+            } else {
+                const empty = document.createElement('p');
+                empty.className = 'empty-list';
+                empty.textContent = 'No description';
+                taskDescriptionView.appendChild(empty);
+            }
+        }
+
+        taskDescriptionToggle.addEventListener('click', () => {
+            showDescription(taskDescription.hidden);
+            if (!taskDescription.hidden) taskDescription.focus();
+        });
+
+        taskDescriptionView.addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+            showDescription(true);
+            taskDescription.focus();
+        });
+
+        // Ctrl+Enter saves from the description, where Enter starts a new line
+        taskDescription.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                taskForm.requestSubmit();
+            }
+        });
+
+        // Attachments of the task being edited. Files are uploaded right away, not with the Save button.
+        function formatFileSize(bytes) {
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        }
+
+        function renderAttachments(task) {
+            const attachments = task.attachments || [];
+            taskAttachmentsHeading.textContent = attachments.length ? 'Attachments (' + attachments.length + ')' : 'Attachments';
+            attachmentsList.innerHTML = '';
+            if (!attachments.length) {
+                const empty = document.createElement('li');
+                empty.className = 'empty-list';
+                empty.textContent = 'No attachments yet';
+                attachmentsList.appendChild(empty);
+                return;
+            }
+            attachments.forEach(attachment => {
+                const url = '/api/attachments/' + encodeURIComponent(attachment.id);
+                const item = document.createElement('li');
+                item.className = 'attachment-item';
+
+                const thumbnail = document.createElement('a');
+                thumbnail.className = 'attachment-thumbnail';
+                thumbnail.href = url;
+                thumbnail.target = '_blank';
+                thumbnail.rel = 'noopener';
+                if (attachment.type.startsWith('image/')) {
+                    const image = document.createElement('img');
+                    image.src = url;
+                    image.alt = '';
+                    image.loading = 'lazy';
+                    thumbnail.appendChild(image);
+                } else {
+                    thumbnail.textContent = '📄';
+                }
+
+                const name = document.createElement('a');
+                name.className = 'attachment-name';
+                name.href = url + '?download=true';
+                name.textContent = attachment.name;
+                name.title = 'Download ' + attachment.name;
+
+                const size = document.createElement('span');
+                size.className = 'attachment-size';
+                size.textContent = formatFileSize(attachment.size);
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'text-button';
+                remove.textContent = '×';
+                remove.title = 'Delete attachment';
+                remove.onclick = () => deleteAttachment(task.id, attachment);
+
+                item.append(thumbnail, name, size, remove);
+                attachmentsList.appendChild(item);
+            });
+        }
+
+        attachmentFile.addEventListener('change', async () => {
+            const taskId = currentTaskAction.taskId;
+            const files = Array.from(attachmentFile.files);
+            attachmentFile.value = '';
+            let uploaded = 0;
+            const messages = [];
+            for (const file of files) {
+                try {
+                    const attachment = await apiRequest('POST', '/api/tasks/' + taskId + '/attachments?name=' + encodeURIComponent(file.name), file);
+                    const location = findTask(taskId);
+                    if (location && !(location.task.attachments || []).some(existing => existing.id === attachment.id)) {
+                        location.task.attachments = [...(location.task.attachments || []), attachment];
+                    }
+                    uploaded++;
+                } catch (error) {
+                    console.error('Error uploading attachment:', error);
+                    messages.push(error.offline ? 'Attaching files needs a connection' : file.name + ': ' + error.message);
+                }
+            }
+            if (uploaded) messages.unshift(uploaded === 1 ? 'File attached' : uploaded + ' files attached');
+            if (messages.length) showToast(messages.join('. '));
+            const location = findTask(taskId);
+            if (!location) return;
+            if (currentTaskAction.taskId === taskId) renderAttachments(location.task);
+            refreshTaskElement(taskId);
+        });
+
+        async function deleteAttachment(taskId, attachment) {
+            if (!confirm('Delete "' + attachment.name + '"?')) return;
+            const deleted = await saveChange('DELETE', '/api/attachments/' + encodeURIComponent(attachment.id), null, 'Attachment deleted');
+            const location = findTask(taskId);
+            if (!deleted || !location) return;
+            location.task.attachments = (location.task.attachments || []).filter(existing => existing.id !== attachment.id);
+            if (!location.task.attachments.length) delete location.task.attachments;
+            if (currentTaskAction.taskId === taskId) renderAttachments(location.task);
+            refreshTaskElement(taskId);
+        }
+
+        // Comments on the task being edited, oldest first. The author name is remembered by the browser.
+        commentAuthor.value = localStorage.getItem('commentAuthor') || '';
+
+        function renderComments(task) {
+            const comments = task.comments || [];
+            taskCommentsHeading.textContent = comments.length ? 'Comments (' + comments.length + ')' : 'Comments';
+            commentsList.innerHTML = '';
+            if (!comments.length) {
+                const empty = document.createElement('li');
+                empty.className = 'empty-list';
+                empty.textContent = 'No comments yet';
+                commentsList.appendChild(empty);
+                return;
+            }
+            comments.forEach(comment => {
+                const item = document.createElement('li');
+                item.className = 'comment';
+
+                const header = document.createElement('div');
+                header.className = 'comment-header';
+                const author = document.createElement('strong');
+                author.textContent = comment.author;
+                const time = document.createElement('time');
+                time.dateTime = comment.createdAt;
+                time.textContent = new Date(comment.createdAt).toLocaleString();
+                header.append(author, time);
+
+                const body = document.createElement('div');
+                body.className = 'markdown-body';
+                body.appendChild(sanitizeHtml(renderMarkdown(comment.body)));
+
+                item.append(header, body);
+                commentsList.appendChild(item);
+            });
+        }
+
+        commentForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const taskId = currentTaskAction.taskId;
+            const author = commentAuthor.value.trim();
+            const body = commentBody.value.trim();
+            if (!taskId || !author || !body) return;
+            localStorage.setItem('commentAuthor', author);
+
+            // The id and time are chosen here so the comment can also be written while offline
+            const comment = { id: createLocalId('comment'), author, body, createdAt: new Date().toISOString() };
+            const saved = await saveChange('POST', '/api/tasks/' + taskId + '/comments', comment, 'Comment added');
+            if (!saved) return;
+            commentBody.value = '';
+
+            // A reload triggered by the change may already have brought the comment in
+            const location = findTask(taskId);
+            if (!location) return;
+            if (!(location.task.comments || []).some(existing => existing.id === comment.id)) {
+                location.task.comments = [...(location.task.comments || []), comment];
+            }
+            if (currentTaskAction.taskId === taskId) renderComments(location.task);
+            refreshTaskElement(taskId);
+        });
+
+        commentBody.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                commentForm.requestSubmit();
+            }
+        });
+
+        // Filter bar: cards that do not match are hidden (they stay in place so drag and drop keeps
+        // the column order intact), matches are highlighted and counted per column. The filter is
+        // kept in the URL as ?q=&label=&priority=&due= so it survives a reload.
+        const filterText = document.getElementById('filter-text');
+        const filterLabel = document.getElementById('filter-label');
+        const filterDue = document.getElementById('filter-due');
+        const filterPriority = document.getElementById('filter-priority');
+        const filterClear = document.getElementById('filter-clear');
+        const initialFilter = new URLSearchParams(location.search);
+        let filterLabelName = initialFilter.get('label') || '';
+        filterText.value = initialFilter.get('q') || '';
+        filterDue.value = initialFilter.get('due') || '';
+        filterPriority.value = initialFilter.get('priority') || '';
+
+        function readFilter() {
+            return {
+                words: filterText.value.toLowerCase().split(/\\s+/).filter(word => word),
+                label: filterLabelName,
+                due: filterDue.value,
+                priority: filterPriority.value
+            };
+        }
+
+        function isFiltering(filter) {
+            return Boolean(filter.words.length || filter.label || filter.due || filter.priority);
+        }
+
+        function taskMatchesFilter(task, filter) {
+            const labels = (task.labels || [])
+                .map(labelId => boardLabels().find(label => label.id === labelId))
+                .filter(label => label);
+            if (filter.label && !labels.some(label => label.name === filter.label)) return false;
+            if (filter.priority && (task.priority || 'none') !== filter.priority) return false;
+            if (filter.due) {
+                if ((filter.due === 'none') === Boolean(task.dueDate)) return false;
+                if ((filter.due === 'overdue' || filter.due === 'soon') && dueState(task.dueDate) !== filter.due) return false;
+            }
+            const checklistText = (task.checklist || []).map(item => item.text);
+            const text = [task.title, task.description || '', ...labels.map(label => label.name), ...checklistText].join('\\n').toLowerCase();
+            return filter.words.every(word => text.includes(word));
+        }
+
+        // Show text with every occurrence of the words wrapped in <mark>
+        function highlightText(element, text, words) {
+            element.textContent = '';
+            const lower = text.toLowerCase();
+            let position = 0;
+            while (position < text.length) {
+                let next = -1;
+                let length = 0;
+                words.forEach(word => {
+                    const index = lower.indexOf(word, position);
+                    if (index !== -1 && (next === -1 || index < next || (index === next && word.length > length))) {
+                        next = index;
+                        length = word.length;
+                    }
+                });
+                if (next === -1) break;
+                element.appendChild(document.createTextNode(text.slice(position, next)));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(next, next + length);
+                element.appendChild(mark);
+                position = next + length;
+            }
+            element.appendChild(document.createTextNode(text.slice(position)));
+        }
+
+        function applyFilter() {
+            const filter = readFilter();
+            const filtering = isFiltering(filter);
+            filterClear.hidden = !filtering;
+            document.querySelectorAll('.column').forEach(columnEl => {
+                let total = 0;
+                let matches = 0;
+                columnEl.querySelectorAll('.task').forEach(taskEl => {
+                    const location = findTask(taskEl.dataset.taskId);
+                    if (!location) return;
+                    const match = taskMatchesFilter(location.task, filter);
+                    taskEl.hidden = !match;
+                    highlightText(taskEl.querySelector('.task-text'), location.task.title, match ? filter.words : []);
+                    total++;
+                    if (match) matches++;
+                });
+
+                const count = columnEl.querySelector('.column-count');
+                if (count) {
+                    count.hidden = !filtering;
+                    count.textContent = matches + '/' + total;
+                    count.title = matches + ' of ' + total + ' tasks match the filter';
+                }
+            });
+        }
+
+        // Label choices follow the current board. A label from the URL that this board does
+        // not have stays selected, so switching boards does not silently drop the filter.
+        function updateFilterLabels() {
+            filterLabel.innerHTML = '';
+            filterLabel.appendChild(new Option('Any label', ''));
+            const names = boardLabels().map(label => label.name);
+            if (filterLabelName && !names.includes(filterLabelName)) names.push(filterLabelName);
+            names.forEach(name => filterLabel.appendChild(new Option(name, name)));
+            filterLabel.value = filterLabelName;
+        }
+
+        function updateFilter() {
+            filterLabelName = filterLabel.value;
+            const params = new URLSearchParams(location.search);
+            [['q', filterText.value.trim()], ['label', filterLabelName], ['priority', filterPriority.value], ['due', filterDue.value]].forEach(([key, value]) => {
+                if (value) {
+                    params.set(key, value);
+                } else {
+                    params.delete(key);
+                }
+            });
+            const query = params.toString();
+            history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+            applyFilter();
+        }
+
+        filterText.addEventListener('input', updateFilter);
+        filterLabel.addEventListener('change', updateFilter);
+        filterDue.addEventListener('change', updateFilter);
+        filterPriority.addEventListener('change', updateFilter);
+        filterClear.addEventListener('click', () => {
+            filterText.value = '';
+            filterLabel.value = '';
+            filterDue.value = '';
+            filterPriority.value = '';
+            updateFilter();
+        });
+
+        // Priorities from highest to lowest
+        const PRIORITY_NAMES = { urgent: 'Urgent', high: 'High', medium: 'Medium', low: 'Low' };
+        const PRIORITY_ORDER = Object.keys(PRIORITY_NAMES);
+
+        function priorityRank(task) {
+            return task.priority ? PRIORITY_ORDER.indexOf(task.priority) : PRIORITY_ORDER.length;
+        }
+
+        // Reorder the column's cards by priority, highest first, and save the new order like a
+        // drag and drop (so it can be undone). Tasks with the same priority keep their order.
+        async function sortColumnByPriority(columnId) {
+            if (isSortedByDue(columnId)) {
+                dueSortedColumns.delete(columnId);
+                localStorage.setItem('dueSortedColumns', JSON.stringify([...dueSortedColumns]));
+                renderTasks();
+            }
+            const tasks = boardData.boards[currentBoard].columns[columnId].tasks;
+            const sorted = tasks
+                .map((task, index) => ({ task, index }))
+                .sort((a, b) => (priorityRank(a.task) - priorityRank(b.task)) || (a.index - b.index))
+                .map(entry => entry.task);
+            if (sorted.every((task, index) => task === tasks[index])) {
+                showToast('Already sorted by priority');
+                return;
+            }
+
+            const container = document.getElementById(columnId);
+            sorted.forEach(task => {
+                const taskEl = getTaskElement(task.id);
+                if (taskEl) container.appendChild(taskEl);
+            });
+            await updateTasksArray();
+        }
+
+        // Earliest due first, tasks without a due date last; otherwise the column's own order
+        function sortByDue(tasks) {
+            return tasks
+                .map((task, index) => ({ task, index, due: task.dueDate ? dueTime(task.dueDate) : Infinity }))
+                .sort((a, b) => (a.due - b.due) || (a.index - b.index))
+                .map(entry => entry.task);
+        }
+
+        function openTaskModal(type, column, taskId = null) {
+            currentTaskAction = { type, column, taskId };
+            taskModalTitle.textContent = type === 'add' ? 'Add Task' : 'Edit Task';
+            const found = taskId ? findTask(taskId) : null;
+            taskInput.value = found ? found.task.title : '';
+            taskDescription.value = found ? found.task.description || '' : '';
+            showDescription(!taskDescription.value.trim());
+            setDueInputs(found ? found.task.dueDate : null);
+            renderLabelPicker(found ? found.task.labels : []);
+            taskPriority.value = found && found.task.priority ? found.task.priority : '';
+            checklistDraft = found && found.task.checklist ? found.task.checklist.map(item => ({ ...item })) : [];
+            renderChecklistEditor();
+            newChecklistItem.value = '';
+            taskAttachments.hidden = !found;
+            taskComments.hidden = !found;
+            commentBody.value = '';
+            if (found) {
+                renderAttachments(found.task);
+                renderComments(found.task);
+            }
+            
+            const deleteBtn = document.getElementById('delete-task-btn');
+            const archiveBtn = document.getElementById('archive-task-btn');
+            if (type === 'edit') {
+                archiveBtn.style.display = 'block';
+                archiveBtn.onclick = () => {
+                    closeTaskModal();
+                    archiveTask(taskId);
+                };
+                deleteBtn.style.display = 'block';
+                deleteBtn.onclick = async () => {
+                    const location = findTask(taskId);
+                    const hasAttachments = Boolean(location && location.task.attachments);
+                    if (confirm('Are you sure you want to delete this task?' + (hasAttachments ? ' Its attachments are deleted too.' : ''))) {
+                        if (location) {
+                            boardData.boards[currentBoard].columns[location.columnId].tasks.splice(location.index, 1);
+                        }
+                        const taskEl = getTaskElement(taskId);
+                        if (taskEl) taskEl.remove();
+                        closeTaskModal();
+                        const deleted = await saveChange('DELETE', '/api/tasks/' + taskId, null, 'Task deleted');
+                        if (deleted && location) {
+                            const boardId = currentBoard;
+                            const taskRecord = { ...location.task };
+                            recordCommand({
+                                label: 'Task deleted',
+                                undo: () => apiRequest('POST', '/api/boards/' + boardId + '/columns/' + location.columnId + '/tasks', { ...taskRecord, position: location.index }),
+                                redo: () => apiRequest('DELETE', '/api/tasks/' + taskId)
+                            });
+                        }
+                    }
+                };
+            } else {
+                archiveBtn.style.display = 'none';
+                deleteBtn.style.display = 'none';
+            }
+            
+            taskModal.style.display = 'flex';
+            taskInput.focus();
+        }
+
+        function closeTaskModal() {
+            taskModal.style.display = 'none';
+            taskInput.value = '';
+            taskDescription.value = '';
+            setDueInputs(null);
+        }
+
+        taskForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const text = taskInput.value.trim();
+            if (!text) return;
+            const description = taskDescription.value.trimEnd();
+            const dueDate = readDueInputs();
+            const labels = readLabelPicker();
+            const priority = taskPriority.value || null;
+            const checklist = readChecklistEditor();
+
+            if (currentTaskAction.type === 'add') {
+                const columnId = currentTaskAction.column;
+                const now = new Date().toISOString();
+                // The id is chosen here so the task can also be created while offline
+                const newFields = { id: createLocalId('task'), title: text, createdAt: now };
+                if (description) newFields.description = description;
+                if (dueDate) newFields.dueDate = dueDate;
+                if (labels) newFields.labels = labels;
+                if (priority) newFields.priority = priority;
+                if (checklist) newFields.checklist = checklist;
+                const saved = await saveChange(
+                    'POST',
+                    '/api/boards/' + currentBoard + '/columns/' + columnId + '/tasks',
+                    newFields
+                );
+                if (saved) {
+                    const newTask = { description: '', updatedAt: now, ...saved };
+                    delete newTask.boardId;
+                    delete newTask.columnId;
+                    delete newTask.queued;
+
+                    // A conflict reload may already have brought the new task in
+                    if (!findTask(newTask.id)) {
+                        // Add task to data structure
+                        boardData.boards[currentBoard].columns[columnId].tasks.push(newTask);
+                        
+                        // Create and append the task element
+                        const task = createTask(columnId, newTask);
+                        if (isSortedByDue(columnId)) {
+                            renderTasks();
+                        } else if (task) {
+                            document.getElementById(columnId).appendChild(task);
+                            applyFilter();
+                        }
+                    }
+
+                    const boardId = currentBoard;
+                    const taskRecord = { ...newTask };
+                    recordCommand({
+                        label: 'Task added',
+                        undo: () => apiRequest('DELETE', '/api/tasks/' + taskRecord.id),
+                        redo: () => apiRequest('POST', '/api/boards/' + boardId + '/columns/' + columnId + '/tasks', taskRecord)
+                    });
+                }
+            } else {
+                // Update existing task
+                const found = findTask(currentTaskAction.taskId);
+                if (!found) {
+                    showToast('Task no longer exists');
+                    closeTaskModal();
+                    return;
+                }
+                
+                // Update data structure
+                const taskId = found.task.id;
+                const previous = {
+                    title: found.task.title,
+                    description: found.task.description || '',
+                    dueDate: found.task.dueDate || null,
+                    labels: found.task.labels || null,
+                    priority: found.task.priority || null,
+                    checklist: found.task.checklist || null
+                };
+                const edited = { title: text, description, dueDate, labels, priority, checklist };
+                // Only the fields that changed are sent, so saving never overwrites
+                // what someone else changed in the other fields meanwhile
+                const changes = {};
+                const undoChanges = {};
+                Object.keys(edited).forEach(key => {
+                    if (JSON.stringify(edited[key]) === JSON.stringify(previous[key])) return;
+                    changes[key] = edited[key];
+                    undoChanges[key] = previous[key];
+                });
+                if (!Object.keys(changes).length) {
+                    closeTaskModal();
+                    return;
+                }
+                applyTaskFields(found.task, changes);
+                found.task.updatedAt = new Date().toISOString();
+                
+                // Update UI
+                refreshTaskElement(taskId);
+
+                const updated = await saveChange('PATCH', '/api/tasks/' + taskId, changes);
+                if (updated) {
+                    recordCommand({
+                        label: 'Task edited',
+                        undo: () => apiRequest('PATCH', '/api/tasks/' + taskId, undoChanges),
+                        redo: () => apiRequest('PATCH', '/api/tasks/' + taskId, changes)
+                    });
+                }
+            }
+
+            closeTaskModal();
+        });
+
+        // Task Management
+        function createTask(column, taskData) {
+            if (!boardData.boards[currentBoard].columns[column]) {
+                console.error('Invalid column:', column);
+                return null;
+            }
+
+            const task = document.createElement('div');
+            task.className = 'task';
+            task.draggable = true;
+            task.dataset.taskId = taskData.id;
+            
+            // Create move indicator for mobile (first)
+            const moveIndicator = document.createElement('div');
+            moveIndicator.className = 'move-indicator';
+            moveIndicator.innerHTML = '⋮⋮';
+            moveIndicator.title = 'Hold and drag to move';
+            task.appendChild(moveIndicator);
+            
+            // Create task content wrapper
+            const taskContent = document.createElement('div');
+            taskContent.className = 'task-content';
+            
+            // Create task text
+            const taskText = document.createElement('span');
+            taskText.className = 'task-text';
+            taskText.textContent = taskData.title;
+            taskContent.appendChild(taskText);
+
+            // Badges for optional fields
+            const meta = document.createElement('div');
+            meta.className = 'task-meta';
+            if (taskData.priority) {
+                const priority = document.createElement('span');
+                priority.className = 'task-priority';
+                priority.textContent = PRIORITY_NAMES[taskData.priority];
+                priority.title = PRIORITY_NAMES[taskData.priority] + ' priority';
+                meta.appendChild(priority);
+                task.dataset.priority = taskData.priority;
+            }
+            (taskData.labels || []).forEach(labelId => {
+                const label = boardLabels().find(candidate => candidate.id === labelId);
+                if (label) meta.appendChild(createLabelChip(label));
+            });
+            if (taskData.dueDate) {
+                const due = document.createElement('span');
+                due.className = 'task-due';
+                due.textContent = '📅 ' + formatDueDate(taskData.dueDate);
+                meta.appendChild(due);
+                task.dataset.due = taskData.dueDate;
+            }
+            if (taskData.description && taskData.description.trim()) {
+                const description = document.createElement('span');
+                description.className = 'task-description-indicator';
+                description.textContent = '☰';
+                description.title = 'Has a description';
+                meta.appendChild(description);
+            }
+            if (taskData.checklist && taskData.checklist.length) {
+                const doneCount = taskData.checklist.filter(item => item.done).length;
+                const progress = document.createElement('span');
+                progress.className = 'task-checklist-progress';
+                progress.classList.toggle('complete', doneCount === taskData.checklist.length);
+                progress.textContent = '☑ ' + doneCount + '/' + taskData.checklist.length;
+                progress.title = doneCount + ' of ' + taskData.checklist.length + ' checklist items done';
+                meta.appendChild(progress);
+            }
+            if (taskData.attachments && taskData.attachments.length) {
+                const attachments = document.createElement('span');
+                attachments.className = 'task-attachment-count';
+                attachments.textContent = '📎 ' + taskData.attachments.length;
+                attachments.title = taskData.attachments.length + (taskData.attachments.length === 1 ? ' attachment' : ' attachments');
+                meta.appendChild(attachments);
+            }
+            if (taskData.comments && taskData.comments.length) {
+                const comments = document.createElement('span');
+                comments.className = 'task-comment-count';
+                comments.textContent = '💬 ' + taskData.comments.length;
+                comments.title = taskData.comments.length + (taskData.comments.length === 1 ? ' comment' : ' comments');
+                meta.appendChild(comments);
+            }
+            if (meta.children.length) taskContent.appendChild(meta);
+            task.appendChild(taskContent);
+            updateDueState(task);
+
+            // Double tap/click detection
+            let lastTap = 0;
+            let tapTimeout;
+
+            task.addEventListener('touchstart', (e) => {
+                const currentTime = new Date().getTime();
+                const tapLength = currentTime - lastTap;
+                
+                clearTimeout(tapTimeout);
+                
+                if (tapLength < 500 && tapLength > 0) {
+                    // Double tap detected
+                    e.preventDefault();
+                    openTaskModal('edit', column, taskData.id);
+                } else {
+                    // Wait for potential second tap
+                    tapTimeout = setTimeout(() => {
+                        // Single tap - handle drag start
+                        touchStartY = e.touches[0].clientY;
+                        touchStartX = e.touches[0].clientX;
+                        originalColumn = task.parentElement;
+                        lastTouch = e.touches[0];
+                        
+                        feedbackTimeout = setTimeout(() => {
+                            task.classList.add('dragging');
+                            showToast('Move task to another column');
+                            isDragging = true;
+                        }, 200);
+                    }, 200);
+                }
+                lastTap = currentTime;
+            });
+
+            // Desktop double click
+            task.addEventListener('dblclick', () => openTaskModal('edit', column, taskData.id));
+
+            // Touch event handling
+            let touchStartY = 0;
+            let touchStartX = 0;
+            let originalColumn = null;
+            let isDragging = false;
+            let feedbackTimeout;
+            let lastTouch = null;
+
+            task.addEventListener('touchstart', (e) => {
+                e.preventDefault(); // Prevent default to work better on Android
+                touchStartY = e.touches[0].clientY;
+                touchStartX = e.touches[0].clientX;
+                originalColumn = task.parentElement;
+                lastTouch = e.touches[0];
+                
+                feedbackTimeout = setTimeout(() => {
+                    task.classList.add('dragging');
+                    showToast('Move task to another column');
+                    isDragging = true;
+                }, 200);
+            });
+
+            task.addEventListener('touchmove', (e) => {
+                e.preventDefault();
+                lastTouch = e.touches[0];
+
+                if (!isDragging) {
+                    if (Math.abs(e.touches[0].clientY - touchStartY) > 5 || 
+                        Math.abs(e.touches[0].clientX - touchStartX) > 5) {
+                        clearTimeout(feedbackTimeout);
+                    }
+                    return;
+                }
+
+                const touch = e.touches[0];
+                
+                const elementsUnderTouch = document.elementsFromPoint(touch.clientX, touch.clientY);
+                const columnUnderTouch = elementsUnderTouch.find(el => el.classList.contains('tasks'));
+                
+                if (columnUnderTouch) {
+                    columnUnderTouch.classList.add('drag-over');
+                    const tasks = [...columnUnderTouch.querySelectorAll('.task:not(.dragging)')];
+                    const closestTask = tasks.reduce((closest, child) => {
+                        const box = child.getBoundingClientRect();
+                        const offset = touch.clientY - box.top - box.height / 2;
+                        if (offset < 0 && offset > closest.offset) {
+                            return { offset, element: child };
+                        } else {
+                            return closest;
+                        }
+                    }, { offset: Number.NEGATIVE_INFINITY }).element;
+
+                    if (closestTask) {
+                        columnUnderTouch.insertBefore(task, closestTask);
+                    } else {
+                        columnUnderTouch.appendChild(task);
+                    }
+                    
+                    document.querySelectorAll('.tasks').forEach(col => {
+                        if (col !== columnUnderTouch) col.classList.remove('drag-over');
+                    });
+                }
+            });
+
+            task.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                clearTimeout(feedbackTimeout);
+                if (isDragging) {
+                    task.classList.remove('dragging');
+                    document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
+                    updateTasksArray();
+                    showToast('Task moved');
+                }
+                isDragging = false;
+                lastTouch = null;
+            });
+
+            task.addEventListener('touchcancel', (e) => {
+                e.preventDefault();
+                clearTimeout(feedbackTimeout);
+                task.classList.remove('dragging');
+                document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
+                isDragging = false;
+                lastTouch = null;
+                if (originalColumn) {
+                    originalColumn.appendChild(task);
+                }
+            });
+
+            // Desktop drag events
+            task.addEventListener('dragstart', () => {
+                task.classList.add('dragging');
+                showToast('Drop in another column to move');
+            });
+            
+            task.addEventListener('dragend', () => {
+                task.classList.remove('dragging');
+                document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
+                updateTasksArray();
+                showToast('Task moved');
+            });
+
+            return task;
+        }
+
+        // Close move buttons when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.task')) {
+                const allMoveButtons = document.querySelectorAll('.move-buttons');
+                allMoveButtons.forEach(btns => btns.style.display = 'none');
+            }
+        });
+
+        // Add task buttons
+        addButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const column = button.dataset.column;
+                openTaskModal('add', column);
+            });
+        });
+
+        // Close modal when clicking outside
+        taskModal.addEventListener('click', (e) => {
+            if (e.target === taskModal) {
+                closeTaskModal();
+            }
+        });
+
+        // Close modal with Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !taskModal.hidden) {
+                closeTaskModal();
+            }
+        });
+
+        // Drag and Drop
+        columns.forEach(column => {
+            const tasksContainer = column.querySelector('.tasks');
+            
+            tasksContainer.addEventListener('dragover', e => {
+                e.preventDefault();
+                const dragging = document.querySelector('.dragging');
+                if (!dragging) return;
+
+                const notDragging = [...tasksContainer.querySelectorAll('.task:not(.dragging)')];
+                const nextTask = notDragging.find(task => {
+                    const rect = task.getBoundingClientRect();
+                    return e.clientY < rect.top + rect.height / 2;
+                });
+                
+                if (nextTask) {
+                    tasksContainer.insertBefore(dragging, nextTask);
+                } else {
+                    tasksContainer.appendChild(dragging);
+                }
+            });
+        });
+
+        // Utilities
+        async function updateTasksArray() {
+            applyFilter(); // Match counts follow the moved cards
+            // Index every task on the board so the DOM order can be mapped back to records
+            const boardColumns = boardData.boards[currentBoard].columns;
+            const tasksById = new Map();
+            const previousOrder = {};
+            let hasDueSorted = false;
+            Object.entries(boardColumns).forEach(([columnId, column]) => {
+                previousOrder[columnId] = column.tasks.map(task => task.id);
+                column.tasks.forEach(task => tasksById.set(task.id, task));
+            });
+
+            // Get all columns
+            document.querySelectorAll('.column').forEach(column => {
+                const columnId = column.dataset.column;
+                const tasksContainer = column.querySelector('.tasks');
+                if (!tasksContainer) return;
+
+                const tasks = tasksContainer.querySelectorAll('.task');
+                
+                // Update the tasks array for the current board and column
+                if (boardColumns[columnId]) {
+                    let ids = Array.from(tasks)
+                        .map(task => task.dataset.taskId)
+                        .filter(id => tasksById.has(id)); // Drop elements without a matching record
+                    // A column sorted by due date does not show its manual order, so its own tasks
+                    // keep their places in it and tasks dropped into it go to the end
+                    if (isSortedByDue(columnId)) {
+                        const kept = previousOrder[columnId].filter(id => ids.includes(id));
+                        ids = kept.concat(ids.filter(id => !kept.includes(id)));
+                        hasDueSorted = true;
+                    }
+                    boardColumns[columnId].tasks = ids.map(id => tasksById.get(id));
+                }
+            });
+            // Put the dropped card back where the due date order says it belongs
+            if (hasDueSorted) renderTasks();
+
+            // Persist only the tasks that actually moved. Each move is replayed on a copy of
+            // the previous order so its position matches what the server will hold at that point.
+            const moves = [];
+            Object.entries(boardColumns).forEach(([columnId, column]) => {
+                const currentIds = column.tasks.map(task => task.id);
+                const stable = findStableTaskIds(previousOrder[columnId], currentIds);
+                currentIds.forEach((taskId, i) => {
+                    if (stable.has(taskId)) return;
+                    let from = null;
+                    Object.entries(previousOrder).forEach(([sourceColumnId, ids]) => {
+                        const index = ids.indexOf(taskId);
+                        if (index !== -1) {
+                            from = { columnId: sourceColumnId, position: index };
+                            ids.splice(index, 1);
+                        }
+                    });
+                    const order = previousOrder[columnId];
+                    const position = i === 0 ? 0 : order.indexOf(currentIds[i - 1]) + 1;
+                    order.splice(position, 0, taskId);
+                    moves.push({ taskId, columnId, position, from });
+                });
+            });
+
+            const completed = [];
+            for (const move of moves) {
+                const moved = await saveChange('POST', '/api/tasks/' + move.taskId + '/move', {
+                    columnId: move.columnId,
+                    position: move.position
+                }, 'Task moved');
+                if (!moved) break;
+                completed.push(move);
+            }
+
+            if (completed.length) {
+                recordCommand({
+                    label: 'Task moved',
+                    // Moving back in reverse order restores the exact previous arrangement
+                    undo: async () => {
+                        for (const move of [...completed].reverse()) {
+                            await apiRequest('POST', '/api/tasks/' + move.taskId + '/move', move.from);
+                        }
+                    },
+                    redo: async () => {
+                        for (const move of completed) {
+                            await apiRequest('POST', '/api/tasks/' + move.taskId + '/move', {
+                                columnId: move.columnId,
+                                position: move.position
+                            });
+                        }
+                    }
+                });
+            }
+        }
+
+        // Longest sequence of tasks that kept their relative order within a column
+        function findStableTaskIds(previousIds, currentIds) {
+            const indices = currentIds.map(id => previousIds.indexOf(id));
+            const lengths = [];
+            const links = [];
+            let best = -1;
+            indices.forEach((value, i) => {
+                lengths[i] = 0;
+                links[i] = -1;
+                if (value === -1) return;
+                lengths[i] = 1;
+                for (let j = 0; j < i; j++) {
+                    if (indices[j] !== -1 && indices[j] < value && lengths[j] + 1 > lengths[i]) {
+                        lengths[i] = lengths[j] + 1;
+                        links[i] = j;
+                    }
+                }
+                if (best === -1 || lengths[i] > lengths[best]) best = i;
+            });
+
+            const stable = new Set();
+            for (let i = best; i !== -1; i = links[i]) {
+                stable.add(currentIds[i]);
+            }
+            return stable;
+        }
+
+        // Send a request to the board API, returning the parsed JSON response.
+        // Writes are sent one at a time so each carries the revision left by the previous one.
+        function apiRequest(method, url, body) {
+            // Uploads are not kept for later, files can be too large for the offline queue
+            const queueable = method !== 'GET' && OFFLINE_QUEUEABLE.test(url) && !(body instanceof Blob);
+            const request = pendingWrite.then(async () => {
+                // Changes made offline go first, so the server sees everything in the order it happened
+                if (method !== 'GET' && pendingMutations) await replayQueue();
+                if (queueable && pendingMutations) return queueMutation(method, url, body);
+                try {
+                    return await sendApiRequest(method, url, body);
+                } catch (error) {
+                    if (error.offline && queueable) return queueMutation(method, url, body);
+                    throw error;
+                }
+            });
+            pendingWrite = request.catch(() => {});
+            return request;
+        }
+
+        async function sendApiRequest(method, url, body, isRetry = false) {
+            if (!isRetry) conflictNotice = null;
+            // String bodies are file contents (e.g. CSV), files (e.g. attachments) are sent as they are,
+            // everything else is sent as JSON
+            const isText = typeof body === 'string';
+            const isFile = body instanceof Blob;
+            const headers = {
+                'Content-Type': isFile ? 'application/octet-stream' : isText ? 'text/plain; charset=utf-8' : 'application/json',
+                'X-Client-Id': clientId,
+                ...(verifiedPin && { 'X-Pin': verifiedPin }),
+                ...(method !== 'GET' && dataRevision !== null && { 'If-Match': '"' + dataRevision + '"' })
+            };
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers,
+                    ...(body && { body: isText || isFile ? body : JSON.stringify(body) })
+                });
+            } catch (error) {
+                // fetch only rejects when the server cannot be reached
+                setOffline(true);
+                error.offline = true;
+                throw error;
+            }
+            setOffline(false);
+
+            if (response.status === 401) {
+                localStorage.removeItem('DUMBKAN_PIN');
+                location.reload();
+                throw new Error('PIN required');
+            }
+
+            const result = await response.json().catch(() => ({}));
+
+            // Someone else saved first: load their changes before deciding whether to resend.
+            // Edits carry only the fields they change, so they are resent on top of the new
+            // revision. A move position was worked out against the old order, so it is not.
+            if (response.status === 409 && !isRetry) {
+                await loadTasks();
+                if (/\\/move$/.test(url)) {
+                    showToast('Board was changed elsewhere. The task was not moved.');
+                    const error = new Error(result.error || 'Conflict');
+                    error.status = 409;
+                    error.handled = true;
+                    throw error;
+                }
+                try {
+                    const retried = await sendApiRequest(method, url, body, true);
+                    conflictNotice = 'Board was changed elsewhere. Your change was saved on top of it.';
+                    return retried;
+                } catch (error) {
+                    showToast('Board was changed elsewhere. Your change could not be applied.');
+                    error.handled = true;
+                    throw error;
+                } finally {
+                    await loadTasks();
+                }
+            }
+
+            if (!response.ok) {
+                const error = new Error(result.error || 'Request failed');
+                error.status = response.status;
+                throw error;
+            }
+
+            const etag = response.headers.get('ETag');
+            if (etag) dataRevision = Number(etag.replace(/"/g, ''));
+            return result;
+        }
+
+        // Offline support: a copy of the data and a queue of unsent changes live in IndexedDB
+        const OFFLINE_QUEUEABLE = /^\\/api\\/(tasks|columns|boards\\/[^/]+\\/columns)(\\/|$)/;
+        const syncStatus = document.getElementById('sync-status');
+        let isOffline = false;
+        let pendingMutations = 0;
+        let localDbPromise = null;
+        let localCopyTimeout;
+
+        // Same shape as server generated ids: prefix, base36 time, random hex
+        function createLocalId(prefix) {
+            return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(16).slice(2, 10).padEnd(8, '0');
+        }
+
+        function openLocalDb() {
+            if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+            if (!localDbPromise) {
+                localDbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open('dumbkan', 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore('data');
+                        request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return localDbPromise;
+        }
+
+        // Run one request against an object store and resolve with its result
+        async function localStore(storeName, mode, operation) {
+            const db = await openLocalDb();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+
+        function saveLocalCopy() {
+            if (!window.indexedDB) return;
+            clearTimeout(localCopyTimeout);
+            localCopyTimeout = setTimeout(() => {
+                localStore('data', 'readwrite', store => store.put(boardData, 'boardData'))
+                    .catch(error => console.error('Error saving local copy:', error));
+            }, 200);
+        }
+
+        async function readLocalCopy() {
+            try {
+                return await localStore('data', 'readonly', store => store.get('boardData'));
+            } catch (error) {
+                console.error('Error reading local copy:', error);
+                return null;
+            }
+        }
+
+        async function queueMutation(method, url, body) {
+            await localStore('queue', 'readwrite', store => store.add({
+                method,
+                url,
+                body: body || null,
+                queuedAt: new Date().toISOString()
+            }));
+            pendingMutations++;
+            updateSyncStatus();
+            return { ...(body || {}), queued: true };
+        }
+
+        // Send queued changes in order. Stops at the first one that cannot reach the server;
+        // changes the server rejects (e.g. the task was deleted elsewhere) are dropped.
+        async function replayQueue() {
+            let items;
+            try {
+                items = await localStore('queue', 'readonly', store => store.getAll());
+            } catch (error) {
+                console.error('Error reading offline changes:', error);
+                return;
+            }
+
+            let sent = 0;
+            let failed = 0;
+            for (const item of items) {
+                try {
+                    await sendApiRequest(item.method, item.url, item.body);
+                    sent++;
+                } catch (error) {
+                    if (error.offline) break;
+                    console.error('Dropping offline change ' + item.method + ' ' + item.url + ':', error);
+                    failed++;
+                }
+                await localStore('queue', 'readwrite', store => store.delete(item.id));
+            }
+
+            pendingMutations = await localStore('queue', 'readonly', store => store.count());
+            updateSyncStatus();
+            if (!sent && !failed) return;
+
+            await loadTasks();
+            if (failed) {
+                showToast(failed + (failed === 1 ? ' offline change' : ' offline changes') + ' could not be applied');
+            } else if (!pendingMutations) {
+                showToast('Offline changes synced');
+            }
+        }
+
+        function syncPendingChanges() {
+            const run = pendingWrite.then(replayQueue);
+            pendingWrite = run.catch(() => {});
+            return run;
+        }
+
+        function setOffline(offline) {
+            if (isOffline === offline) return;
+            isOffline = offline;
+            updateSyncStatus();
+            if (!offline && pendingMutations) syncPendingChanges();
+        }
+
+        function updateSyncStatus() {
+            if (!isOffline && !pendingMutations) {
+                syncStatus.hidden = true;
+                return;
+            }
+            const pending = pendingMutations ? pendingMutations + (pendingMutations === 1 ? ' change' : ' changes') + ' pending' : '';
+            syncStatus.textContent = isOffline ? 'Offline' + (pending ? ' · ' + pending : '') : pending;
+            syncStatus.title = isOffline
+                ? 'Changes are kept on this device and sent when the connection is back'
+                : 'Sending changes made while offline';
+            syncStatus.classList.toggle('offline', isOffline);
+            syncStatus.hidden = false;
+        }
+
+        window.addEventListener('online', () => {
+            if (pendingMutations) syncPendingChanges();
+        });
+        window.addEventListener('offline', () => setOffline(true));
+
+        // The online event is not reliable everywhere, so keep trying while changes are waiting
+        setInterval(() => {
+            if (pendingMutations) syncPendingChanges();
+        }, 30000);
+
+        // Persist a single change. On failure the board is reloaded so the UI
+        // matches what the server actually stored.
+        async function saveChange(method, url, body, message = 'Changes saved') {
+            try {
+                const result = await apiRequest(method, url, body);
+                showToast(result && result.queued ? message + ' (offline)' : conflictNotice || message);
+                conflictNotice = null;
+                if (!activityPanel.hidden && !isOffline) renderActivity();
+                saveLocalCopy();
+                return result;
+            } catch (error) {
+                console.error('Error saving changes:', error);
+                if (error.offline) {
+                    showToast('You are offline. Try again when the connection is back.');
+                } else if (!error.handled) {
+                    showToast('Error saving changes');
+                    await loadTasks();
+                }
+                return null;
+            }
+        }
+
+        async function renameColumn(columnId, name) {
+            const column = boardData.boards[currentBoard].columns[columnId];
+            const trimmed = name.trim();
+            if (!column || !trimmed || column.name === trimmed) return;
+            const previousName = column.name;
+            column.name = trimmed;
+            const updated = await saveChange('PATCH', '/api/columns/' + columnId, { name: trimmed });
+            if (updated) {
+                recordCommand({
+                    label: 'Column renamed',
+                    undo: () => apiRequest('PATCH', '/api/columns/' + columnId, { name: previousName }),
+                    redo: () => apiRequest('PATCH', '/api/columns/' + columnId, { name: trimmed })
+                });
+            }
+        }
+
+        let toastTimeout;
+
+        // Show a short message, optionally with an action button (e.g. Undo)
+        function showToast(message, action = null) {
+            clearTimeout(toastTimeout);
+            toast.textContent = message;
+            if (action) {
+                const button = document.createElement('button');
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.onclick = () => {
+                    toast.hidden = true;
+                    action.onClick();
+                };
+                toast.appendChild(button);
+            }
+            toast.hidden = false;
+            toastTimeout = setTimeout(() => toast.hidden = true, action ? 5000 : 2000);
+        }
+
+        // Undo/redo history. Each command knows how to revert and reapply itself through the API.
+        const MAX_HISTORY = 50;
+        const undoStack = [];
+        const redoStack = [];
+
+        function recordCommand(command) {
+            undoStack.push(command);
+            if (undoStack.length > MAX_HISTORY) undoStack.shift();
+            redoStack.length = 0;
+            showToast(command.label + (isOffline ? ' (offline)' : ''), { label: 'Undo', onClick: undo });
+        }
+
+        async function runHistory(from, to, direction) {
+            if (isOffline) {
+                showToast('Undo and redo need a connection');
+                return;
+            }
+            const command = from.pop();
+            if (!command) {
+                showToast(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+                return;
+            }
+
+            try {
+                await command[direction]();
+                to.push(command);
+                showToast((direction === 'undo' ? 'Undone: ' : 'Redone: ') + command.label,
+                    direction === 'undo' ? { label: 'Redo', onClick: redo } : { label: 'Undo', onClick: undo });
+            } catch (error) {
+                console.error('Error during ' + direction + ':', error);
+                if (!error.handled) {
+                    showToast('Could not ' + direction + ' "' + command.label + '", the board has changed');
+                }
+            }
+            await loadTasks();
+        }
+
+        function undo() {
+            return runHistory(undoStack, redoStack, 'undo');
+        }
+
+        function redo() {
+            return runHistory(redoStack, undoStack, 'redo');
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave text fields to their own undo
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        });
+
+        function renderTasks() {
+            const board = document.querySelector('.board');
+            while (board.firstChild && board.firstChild !== addColumnBtn) {
+                board.removeChild(board.firstChild);
+            }
+
+            Object.entries(boardData.boards[currentBoard].columns).forEach(([columnId, column]) => {
+                const columnEl = document.createElement('div');
+                columnEl.className = 'column';
+                columnEl.dataset.column = columnId;
+
+                // Create column header container
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'column-header';
+
+                // Create column name
+                const h2 = document.createElement('h2');
+                h2.className = 'column-name';
+                h2.contentEditable = true;
+                h2.textContent = column.name;
+
+                // Create remove column button
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-column';
+                removeBtn.innerHTML = '×';
+                removeBtn.title = 'Remove column';
+                removeBtn.onclick = () => openDeleteColumnModal(columnId);
+
+                // Create sort by due date toggle
+                const sortBtn = document.createElement('button');
+                sortBtn.className = 'column-sort' + (isSortedByDue(columnId) ? ' active' : '');
+                sortBtn.textContent = '📅';
+                sortBtn.title = isSortedByDue(columnId) ? 'Show in manual order' : 'Sort by due date';
+                sortBtn.onclick = () => toggleDueSort(columnId);
+
+                // Create sort by priority action
+                const prioritySortBtn = document.createElement('button');
+                prioritySortBtn.className = 'column-sort';
+                prioritySortBtn.textContent = '⚑';
+                prioritySortBtn.title = 'Sort by priority';
+                prioritySortBtn.onclick = () => sortColumnByPriority(columnId);
+
+                // Create match count, shown while filtering
+                const countSpan = document.createElement('span');
+                countSpan.className = 'column-count';
+                countSpan.hidden = true;
+
+                // Append header elements
+                headerDiv.appendChild(h2);
+                headerDiv.appendChild(countSpan);
+                headerDiv.appendChild(prioritySortBtn);
+                headerDiv.appendChild(sortBtn);
+                headerDiv.appendChild(removeBtn);
+                columnEl.appendChild(headerDiv);
+
+                // Create tasks container
+                const tasksDiv = document.createElement('div');
+                tasksDiv.className = 'tasks';
+                tasksDiv.id = columnId;
+
+                // Create add task button
+                const addButton = document.createElement('button');
+                addButton.className = 'add-task';
+                addButton.dataset.column = columnId;
+                addButton.textContent = '+ Add Task';
+
+                // Add event listeners
+                h2.addEventListener('blur', () => {
+                    renameColumn(columnId, h2.textContent);
+                });
+
+                h2.addEventListener('keydown', e => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        h2.blur();
+                    }
+                });
+
+                addButton.addEventListener('click', () => {
+                    openTaskModal('add', columnId);
+                });
+
+                // Append remaining elements
+                columnEl.appendChild(tasksDiv);
+                columnEl.appendChild(addButton);
+
+                // Render tasks for this column
+                if (column.tasks && Array.isArray(column.tasks)) {
+                    const tasks = column.tasks.filter(task => task && task.id);
+                    (isSortedByDue(columnId) ? sortByDue(tasks) : tasks).forEach(taskData => {
+                        const task = createTask(columnId, taskData);
+                        if (task) {
+                            tasksDiv.appendChild(task);
+                        }
+                    });
+                }
+
+                // Insert before add column button
+                board.insertBefore(columnEl, addColumnBtn);
+            });
+
+            // Add drag and drop event listeners
+            addColumnEventListeners();
+            updateFilterLabels();
+            applyFilter();
+        }
+
+        // Initialize app
+        async function initializeApp() {
+            const storedPin = localStorage.getItem('DUMBKAN_PIN');
+            if (storedPin) {
+                // Override fetch to include PIN header
+                const originalFetch = window.fetch;
+                window.fetch = function(url, options = {}) {
+                    options.headers = {
+                        ...options.headers,
+                        'X-Pin': storedPin
+                    };
+                    return originalFetch(url, options);
+                };
+            }
+
+            try {
+                // Changes made offline in an earlier visit are sent before loading the board
+                await countPendingMutations();
+                if (pendingMutations) await syncPendingChanges();
+                await loadTasks();
+                connectEvents();
+                registerServiceWorker();
+            } catch (error) {
+                console.error('Failed to load tasks:', error);
+                // Clear PIN and redirect to login if unauthorized
+                if (error.status === 401) {
+                    localStorage.removeItem('DUMBKAN_PIN');
+                    window.location.replace('/login');
+                }
+            }
+        }
+
+        // Live updates from other clients
+        let remoteRefreshTimeout = null;
+
+        async function countPendingMutations() {
+            if (!window.indexedDB) return;
+            try {
+                pendingMutations = await localStore('queue', 'readonly', store => store.count());
+                updateSyncStatus();
+            } catch (error) {
+                console.error('Error reading offline changes:', error);
+            }
+        }
+
+        // Cache the app shell so the board opens without a connection
+        function registerServiceWorker() {
+            if (!('serviceWorker' in navigator)) return;
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.error('Error registering service worker:', error);
+            });
+        }
+
+        function connectEvents() {
+            if (!window.EventSource) return;
+            // EventSource reconnects by itself; the hello event then tells us if we missed anything
+            const source = new EventSource('/api/events');
+            const handleRevision = (e) => {
+                const change = JSON.parse(e.data);
+                if (change.clientId === clientId || change.revision <= dataRevision) return;
+                scheduleRemoteRefresh();
+            };
+            source.addEventListener('hello', (e) => {
+                // Reconnected: a good moment to send changes made while offline
+                if (pendingMutations) syncPendingChanges();
+                handleRevision(e);
+            });
+            source.addEventListener('change', handleRevision);
+        }
+
+        function scheduleRemoteRefresh(delay = 100) {
+            clearTimeout(remoteRefreshTimeout);
+            remoteRefreshTimeout = setTimeout(applyRemoteChanges, delay);
+        }
+
+        // Re-rendering now would drop a task being dragged or a column name being typed
+        function isInteracting() {
+            const active = document.activeElement;
+            return Boolean(document.querySelector('.task.dragging')) ||
+                Boolean(active && active.classList && active.classList.contains('column-name'));
+        }
+
+        async function applyRemoteChanges() {
+            if (isInteracting()) {
+                scheduleRemoteRefresh(500);
+                return;
+            }
+
+            // Let our own saves finish first so the refresh includes them
+            await pendingWrite;
+            await updateBoardSelector();
+            if (!boardData.boards[currentBoard]) {
+                currentBoard = boardData.activeBoard;
+                currentBoardBtn.textContent = boardData.boards[currentBoard].name;
+                showToast('This board was deleted elsewhere');
+            }
+            renderTasks();
+            if (!activityPanel.hidden) renderActivity();
+
+            // The task modal stays open; only close it if its task is gone
+            if (taskModal.style.display === 'flex' && currentTaskAction.type === 'edit' && !findTask(currentTaskAction.taskId)) {
+                closeTaskModal();
+                showToast('The task you were editing was removed elsewhere');
+            }
+        }
+
+        // Wait for DOM content to be loaded before initializing
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', initializeApp);
+        } else {
+            initializeApp();
+        }
+
+        // Theme handling
+        function setTheme(isDark, showToastMessage = false) {
+            if (isDark) {
+                document.body.classList.add('dark-theme');
+                themeToggle.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>';
+                if (showToastMessage) showToast('Dark mode enabled');
+            } else {
+                document.body.classList.remove('dark-theme');
+                themeToggle.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>';
+                if (showToastMessage) showToast('Light mode enabled');
+            }
+            localStorage.setItem('theme', isDark ? 'dark' : 'light');
+        }
+
+        // Initialize theme
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+        const savedTheme = localStorage.getItem('theme');
+        
+        if (savedTheme) {
+            setTheme(savedTheme === 'dark', false); // Don't show toast on initial load
+        } else {
+            setTheme(prefersDark.matches, false); // Don't show toast on initial load
+        }
+
+        // Theme toggle button
+        themeToggle.addEventListener('click', () => {
+            const isDark = !document.body.classList.contains('dark-theme');
+            setTheme(isDark, true); // Show toast when user clicks
+        });
+
+        // Listen for system theme changes
+        prefersDark.addEventListener('change', (e) => {
+            if (!localStorage.getItem('theme')) {
+                setTheme(e.matches, true); // Show toast when system theme changes
+            }
+        });
+
+        // Board Management
+        const manageBoardsModal = document.getElementById('manage-boards-modal');
+        const boardsList = document.getElementById('boards-list');
+        const addBoardForm = document.getElementById('add-board-form');
+        const newBoardInput = document.getElementById('new-board-name');
+
+        function openManageBoardsModal() {
+            boardMenu.hidden = true;
+            manageBoardsModal.style.display = 'flex';
+            renderBoardsList();
+            renderLabelsList();
+            renderBackupsList();
+            renderTrashList();
+            document.getElementById('export-csv-link').href = '/api/boards/' + encodeURIComponent(currentBoard) + '/export.csv';
+            closeCsvPreview();
+        }
+
+        function closeManageBoardsModal() {
+            manageBoardsModal.style.display = 'none';
+            newBoardInput.value = '';
+        }
+
+        function renderBoardsList() {
+            boardsList.innerHTML = '';
+            Object.entries(boardData.boards).forEach(([id, board]) => {
+                const item = document.createElement('div');
+                item.className = 'board-item';
                 
-                // Update UI
-                task.querySelector('.task-text').textContent = text;
+                const name = document.createElement('span');
+                name.className = 'board-name';
+                name.textContent = board.name;
+                item.appendChild(name);
+                
+                if (Object.keys(boardData.boards).length > 1) {
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.className = 'delete-board';
+                    deleteBtn.innerHTML = '×';
+                    deleteBtn.title = 'Delete board';
+                    deleteBtn.onclick = () => openDeleteBoardModal(id);
+                    item.appendChild(deleteBtn);
+                }
+                
+                boardsList.appendChild(item);
+            });
+        }
+
+        // Labels of the current board
+        const labelsList = document.getElementById('labels-list');
+        const addLabelForm = document.getElementById('add-label-form');
+
+        function renderLabelsList() {
+            document.getElementById('labels-heading').textContent = 'Labels of "' + boardData.boards[currentBoard].name + '"';
+            labelsList.innerHTML = '';
+            boardLabels().forEach(label => {
+                const item = document.createElement('div');
+                item.className = 'label-item';
+
+                const color = document.createElement('input');
+                color.type = 'color';
+                color.value = label.color;
+                color.title = 'Label color';
+                color.addEventListener('change', () => updateLabel(label, { color: color.value }));
+                item.appendChild(color);
+
+                const name = document.createElement('input');
+                name.type = 'text';
+                name.value = label.name;
+                name.maxLength = 50;
+                name.addEventListener('change', () => {
+                    if (name.value.trim()) {
+                        updateLabel(label, { name: name.value.trim() });
+                    } else {
+                        name.value = label.name;
+                    }
+                });
+                item.appendChild(name);
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'text-button danger';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.onclick = () => deleteLabel(label);
+                item.appendChild(deleteBtn);
+
+                labelsList.appendChild(item);
+            });
+        }
+
+        addLabelForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const nameInput = document.getElementById('new-label-name');
+            const name = nameInput.value.trim();
+            if (!name) return;
+
+            const boardId = currentBoard;
+            try {
+                const label = await apiRequest('POST', '/api/boards/' + encodeURIComponent(boardId) + '/labels', {
+                    name,
+                    color: document.getElementById('new-label-color').value
+                });
+                const board = boardData.boards[boardId];
+                board.labels = board.labels || [];
+                board.labels.push({ id: label.id, name: label.name, color: label.color });
+                nameInput.value = '';
+                renderLabelsList();
+                updateFilterLabels();
+                showToast('Label added');
+            } catch (error) {
+                console.error('Error adding label:', error);
+                showToast(error.offline ? 'Managing labels needs a connection' : error.message);
+            }
+        });
+
+        // Renaming or recolouring shows on every card with the label
+        async function updateLabel(label, changes) {
+            const updated = await saveChange('PATCH', '/api/labels/' + label.id, changes, 'Label updated');
+            if (updated) {
+                // A filter on the label follows the new name
+                if (filterLabelName === label.name) filterLabelName = updated.name;
+                label.name = updated.name;
+                label.color = updated.color;
+                renderTasks();
+                updateFilter();
+            }
+            renderLabelsList();
+        }
+
+        async function deleteLabel(label) {
+            const board = boardData.boards[currentBoard];
+            const tasks = Object.values(board.columns).flatMap(column => column.tasks);
+            const count = tasks.filter(task => (task.labels || []).includes(label.id)).length;
+            if (!confirm('Delete the label "' + label.name + '"?' + (count ? ' It is removed from ' + count + (count === 1 ? ' task.' : ' tasks.') : ''))) {
+                return;
+            }
+
+            const deleted = await saveChange('DELETE', '/api/labels/' + label.id, null, 'Label deleted');
+            if (deleted) {
+                board.labels = board.labels.filter(existing => existing.id !== label.id);
+                tasks.forEach(task => {
+                    if (!task.labels) return;
+                    const labels = task.labels.filter(labelId => labelId !== label.id);
+                    applyTaskFields(task, { labels: labels.length ? labels : null });
+                });
+                renderTasks();
+                renderLabelsList();
+            }
+        }
+
+        // Import
+        const importTrelloForm = document.getElementById('import-trello-form');
+
+        importTrelloForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = document.getElementById('import-trello-file').files[0];
+            if (!file) return;
+
+            let trello;
+            try {
+                trello = JSON.parse(await file.text());
+            } catch {
+                showToast('That file is not valid JSON');
+                return;
+            }
+
+            const includeClosed = document.getElementById('import-trello-closed').checked;
+            try {
+                const result = await apiRequest('POST', '/api/import/trello?includeClosed=' + includeClosed, trello);
+                await apiRequest('PUT', '/api/active-board', { boardId: result.board.id });
+                importTrelloForm.reset();
+                await loadTasks();
+                closeManageBoardsModal();
+
+                const summary = result.summary;
+                const skipped = summary.skippedLists + summary.skippedCards;
+                showToast('Imported "' + result.board.name + '": ' + summary.columns + ' columns, ' + summary.tasks + ' tasks' +
+                    (skipped ? ' (' + skipped + ' closed or empty items skipped)' : ''));
+            } catch (error) {
+                console.error('Error importing Trello board:', error);
+                showToast(error.offline ? 'Importing needs a connection' : 'Import failed: ' + error.message);
+            }
+        });
+
+        // Markdown export and import (board selector menu)
+        const markdownFileInput = document.getElementById('import-markdown-file');
+        let markdownImportTarget = 'current';
+
+        function exportMarkdown() {
+            boardMenu.hidden = true;
+            window.location.href = '/data/boards/' + encodeURIComponent(currentBoard) + '.md';
+        }
+
+        function chooseMarkdownFile(target) {
+            boardMenu.hidden = true;
+            markdownImportTarget = target;
+            markdownFileInput.value = '';
+            markdownFileInput.click();
+        }
+
+        markdownFileInput.addEventListener('change', async () => {
+            const file = markdownFileInput.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                let result;
+                if (markdownImportTarget === 'new') {
+                    const name = file.name.replace(/\\.(md|markdown|txt)$/i, '');
+                    result = await apiRequest('POST', '/data/boards.md?name=' + encodeURIComponent(name), text);
+                    await apiRequest('PUT', '/api/active-board', { boardId: result.board.id });
+                } else {
+                    result = await apiRequest('POST', '/data/boards/' + encodeURIComponent(currentBoard) + '.md', text);
+                }
+                await loadTasks();
+
+                const summary = result.summary;
+                showToast('Imported ' + summary.tasksCreated + ' tasks into "' + result.board.name + '"' +
+                    (summary.columnsCreated ? ', ' + summary.columnsCreated + ' new columns' : '') +
+                    (summary.tasksSkipped ? ', ' + summary.tasksSkipped + ' already there' : ''));
+            } catch (error) {
+                console.error('Error importing Markdown:', error);
+                showToast(error.offline ? 'Importing needs a connection' : 'Import failed: ' + error.message);
+            }
+        });
+
+        // CSV import: preview the changes with a dry run, then apply the same file
+        const importCsvForm = document.getElementById('import-csv-form');
+        const csvPreview = document.getElementById('csv-preview');
+        let csvImport = null;
+
+        function describeCsvReport(report) {
+            const parts = [];
+            if (report.created) parts.push(report.created + ' new ' + (report.created === 1 ? 'task' : 'tasks'));
+            if (report.updated) parts.push(report.updated + ' updated');
+            if (report.unchanged) parts.push(report.unchanged + ' unchanged');
+            if (report.columnsCreated.length) parts.push('new columns: ' + report.columnsCreated.join(', '));
+            if (report.labelsCreated.length) parts.push('new labels: ' + report.labelsCreated.join(', '));
+            if (report.skipped) parts.push(report.skipped + ' rows skipped');
+            return parts.join(' · ') || 'Nothing to import';
+        }
+
+        function closeCsvPreview() {
+            csvImport = null;
+            csvPreview.hidden = true;
+            csvPreview.innerHTML = '';
+        }
+
+        function renderCsvPreview(report) {
+            csvPreview.innerHTML = '';
+            const summary = document.createElement('p');
+            summary.textContent = 'Importing into "' + boardData.boards[csvImport.boardId].name + '": ' + describeCsvReport(report);
+            csvPreview.appendChild(summary);
+
+            const list = document.createElement('ul');
+            report.rows.filter(row => row.action !== 'unchanged').forEach(row => {
+                const item = document.createElement('li');
+                if (row.action === 'skip') {
+                    item.className = 'csv-error';
+                    item.textContent = 'Row ' + row.row + ': ' + row.error;
+                } else if (row.action === 'create') {
+                    item.textContent = 'Add "' + row.title + '" to ' + row.column;
+                } else {
+                    item.textContent = 'Update "' + row.title + '" (' + row.changes.join(', ') + ')';
+                }
+                list.appendChild(item);
+            });
+            if (list.children.length) csvPreview.appendChild(list);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'import-actions';
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'text-button';
+            applyBtn.textContent = 'Apply';
+            applyBtn.disabled = !report.created && !report.updated;
+            applyBtn.onclick = applyCsvImport;
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'text-button';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.onclick = closeCsvPreview;
+            buttons.appendChild(applyBtn);
+            buttons.appendChild(cancelBtn);
+            csvPreview.appendChild(buttons);
+            csvPreview.hidden = false;
+        }
+
+        importCsvForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = document.getElementById('import-csv-file').files[0];
+            if (!file) return;
+
+            try {
+                csvImport = { boardId: currentBoard, text: await file.text() };
+                const report = await apiRequest('POST', '/api/boards/' + encodeURIComponent(csvImport.boardId) + '/import.csv?dryRun=true', csvImport.text);
+                renderCsvPreview(report);
+            } catch (error) {
+                console.error('Error previewing CSV import:', error);
+                closeCsvPreview();
+                showToast(error.offline ? 'Importing needs a connection' : 'Import failed: ' + error.message);
+            }
+        });
+
+        async function applyCsvImport() {
+            if (!csvImport) return;
+            try {
+                const report = await apiRequest('POST', '/api/boards/' + encodeURIComponent(csvImport.boardId) + '/import.csv', csvImport.text);
+                closeCsvPreview();
+                importCsvForm.reset();
+                await loadTasks();
+                showToast('CSV imported: ' + describeCsvReport(report));
+            } catch (error) {
+                console.error('Error importing CSV:', error);
+                showToast(error.offline ? 'Importing needs a connection' : 'Import failed: ' + error.message);
+            }
+        }
+
+        // Backups
+        const backupsList = document.getElementById('backups-list');
+
+        async function renderBackupsList() {
+            try {
+                const backups = await apiRequest('GET', '/api/backups');
+                backupsList.innerHTML = '';
+                if (!backups.length) {
+                    const empty = document.createElement('p');
+                    empty.className = 'empty-list';
+                    empty.textContent = 'No backups yet';
+                    backupsList.appendChild(empty);
+                    return;
+                }
+
+                backups.forEach(backup => {
+                    const item = document.createElement('div');
+                    item.className = 'backup-item';
+
+                    const label = document.createElement('span');
+                    label.className = 'backup-date';
+                    label.textContent = new Date(backup.createdAt).toLocaleString() + (backup.beforeRestore ? ' (before a restore)' : '');
+                    item.appendChild(label);
+
+                    const size = document.createElement('span');
+                    size.className = 'backup-size';
+                    size.textContent = (backup.size / 1024).toFixed(1) + ' KB';
+                    item.appendChild(size);
+
+                    const restoreBtn = document.createElement('button');
+                    restoreBtn.className = 'text-button';
+                    restoreBtn.textContent = 'Restore';
+                    restoreBtn.onclick = () => restoreBackup(backup);
+                    item.appendChild(restoreBtn);
+
+                    backupsList.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading backups:', error);
+                backupsList.textContent = 'Could not load backups';
+            }
+        }
+
+        async function createBackupNow() {
+            const backup = await saveChange('POST', '/api/backups', null, 'Backup created');
+            if (backup) renderBackupsList();
+        }
+
+        async function restoreBackup(backup) {
+            const date = new Date(backup.createdAt).toLocaleString();
+            if (!confirm('Restore the backup from ' + date + '? All boards will be replaced. A backup of the current state is taken first.')) {
+                return;
+            }
+
+            const result = await saveChange('POST', '/api/backups/' + backup.id + '/restore', null, 'Backup restored');
+            if (result) {
+                await loadTasks();
+                renderBoardsList();
+                renderBackupsList();
+            }
+        }
+
+        // Restoring a downloaded backup file: show what it contains, then replace or merge
+        const restoreBundleForm = document.getElementById('restore-bundle-form');
+        const bundlePreview = document.getElementById('bundle-preview');
+        let bundleUpload = null;
+
+        function closeBundlePreview() {
+            bundleUpload = null;
+            bundlePreview.hidden = true;
+            bundlePreview.innerHTML = '';
+        }
+
+        function renderBundlePreview(report) {
+            bundlePreview.innerHTML = '';
+            const summary = document.createElement('p');
+            summary.textContent = 'Backup' + (report.exportedAt ? ' from ' + new Date(report.exportedAt).toLocaleString() : '') +
+                ' with ' + report.boards.length + (report.boards.length === 1 ? ' board' : ' boards') +
+                ' and ' + report.tasks + (report.tasks === 1 ? ' task' : ' tasks') + ':';
+            bundlePreview.appendChild(summary);
+
+            const list = document.createElement('ul');
+            report.boards.forEach(board => {
+                const item = document.createElement('li');
+                item.textContent = board.name + ': ' + board.columns + ' columns, ' + board.tasks + ' tasks' +
+                    (board.archived ? ', ' + board.archived + ' archived' : '') + (board.exists ? '' : ' (new)');
+                list.appendChild(item);
+            });
+            bundlePreview.appendChild(list);
+
+            const merge = report.merge;
+            const note = document.createElement('p');
+            note.textContent = 'Replace swaps all boards for the backup. Merge keeps the current boards and adds ' +
+                merge.boardsAdded + ' boards, ' + merge.columnsAdded + ' columns and ' + merge.tasksAdded + ' tasks.';
+            bundlePreview.appendChild(note);
+
+            if (report.missingAttachments) {
+                const missing = document.createElement('p');
+                missing.textContent = report.missingAttachments + (report.missingAttachments === 1 ? ' attachment is' : ' attachments are') +
+                    ' not in this data directory. Backup files do not include attachments; copy the attachments folder to bring them along.';
+                bundlePreview.appendChild(missing);
+            }
+
+            const buttons = document.createElement('div');
+            buttons.className = 'import-actions';
+            const replaceBtn = document.createElement('button');
+            replaceBtn.className = 'text-button danger';
+            replaceBtn.textContent = 'Replace';
+            replaceBtn.onclick = () => applyBundleUpload('replace');
+            const mergeBtn = document.createElement('button');
+            mergeBtn.className = 'text-button';
+            mergeBtn.textContent = 'Merge';
+            mergeBtn.disabled = !merge.boardsAdded && !merge.columnsAdded && !merge.tasksAdded;
+            mergeBtn.onclick = () => applyBundleUpload('merge');
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'text-button';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.onclick = closeBundlePreview;
+            buttons.appendChild(replaceBtn);
+            buttons.appendChild(mergeBtn);
+            buttons.appendChild(cancelBtn);
+            bundlePreview.appendChild(buttons);
+            bundlePreview.hidden = false;
+        }
+
+        restoreBundleForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = document.getElementById('restore-bundle-file').files[0];
+            if (!file) return;
+
+            let bundle;
+            try {
+                bundle = JSON.parse(await file.text());
+            } catch {
+                closeBundlePreview();
+                showToast('Restore failed: the file is not a DumbKan backup');
+                return;
+            }
+
+            try {
+                const report = await apiRequest('POST', '/api/backups/upload?dryRun=true', bundle);
+                bundleUpload = bundle;
+                renderBundlePreview(report);
+            } catch (error) {
+                console.error('Error reading backup:', error);
+                closeBundlePreview();
+                showToast(error.offline ? 'Restoring needs a connection' : 'Restore failed: ' + error.message);
+            }
+        });
+
+        async function applyBundleUpload(mode) {
+            if (!bundleUpload) return;
+            if (mode === 'replace' && !confirm('Replace all boards with the backup? A backup of the current state is taken first.')) {
+                return;
+            }
+
+            const result = await saveChange('POST', '/api/backups/upload?mode=' + mode, bundleUpload,
+                mode === 'merge' ? 'Backup merged' : 'Backup restored');
+            if (result) {
+                closeBundlePreview();
+                restoreBundleForm.reset();
+                await loadTasks();
+                renderBoardsList();
+                renderBackupsList();
+            }
+        }
+
+        // Trash
+        const trashList = document.getElementById('trash-list');
+
+        async function renderTrashList() {
+            try {
+                const items = await apiRequest('GET', '/api/trash');
+                trashList.innerHTML = '';
+                if (!items.length) {
+                    const empty = document.createElement('p');
+                    empty.className = 'empty-list';
+                    empty.textContent = 'The trash is empty';
+                    trashList.appendChild(empty);
+                    return;
+                }
+
+                items.forEach(item => {
+                    const entry = document.createElement('div');
+                    entry.className = 'backup-item archived-item';
+
+                    const text = document.createElement('span');
+                    text.className = 'archived-text';
+                    text.textContent = item.type === 'board'
+                        ? 'Board "' + item.name + '"'
+                        : 'Column "' + item.name + '"' + (item.boardName ? ' on ' + item.boardName : '');
+                    text.textContent += ' · ' + item.tasks + (item.tasks === 1 ? ' task' : ' tasks');
+
+                    const meta = document.createElement('span');
+                    meta.className = 'archived-meta';
+                    meta.textContent = 'Deleted ' + new Date(item.deletedAt).toLocaleString() +
+                        (item.expiresAt ? ' · removed for good on ' + new Date(item.expiresAt).toLocaleDateString() : '');
+                    text.appendChild(meta);
+                    entry.appendChild(text);
+
+                    const restoreBtn = document.createElement('button');
+                    restoreBtn.className = 'text-button';
+                    restoreBtn.textContent = 'Restore';
+                    restoreBtn.onclick = () => restoreTrashItem(item);
+                    entry.appendChild(restoreBtn);
+
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.className = 'text-button danger';
+                    deleteBtn.textContent = 'Delete';
+                    deleteBtn.onclick = () => deleteTrashItem(item);
+                    entry.appendChild(deleteBtn);
+
+                    trashList.appendChild(entry);
+                });
+            } catch (error) {
+                console.error('Error loading trash:', error);
+                trashList.textContent = 'Could not load the trash';
+            }
+        }
+
+        async function restoreTrashItem(item) {
+            const restored = await saveChange('POST', '/api/trash/' + item.id + '/restore', null, (item.type === 'board' ? 'Board' : 'Column') + ' restored');
+            if (restored) {
+                await loadTasks();
+                renderBoardsList();
+                renderTrashList();
+            }
+        }
+
+        async function deleteTrashItem(item) {
+            if (!confirm('Permanently delete "' + item.name + '" and its ' + item.tasks + ' tasks? This cannot be undone.')) return;
+            const deleted = await saveChange('DELETE', '/api/trash/' + item.id, null, 'Deleted permanently');
+            if (deleted) renderTrashList();
+        }
+
+        // Activity panel
+        const activityPanel = document.getElementById('activity-panel');
+        const activityList = document.getElementById('activity-list');
+        const activityButton = document.getElementById('activity-button');
+
+        function toggleActivityPanel() {
+            activityPanel.hidden = !activityPanel.hidden;
+            activityButton.classList.toggle('active', !activityPanel.hidden);
+            if (!activityPanel.hidden) renderActivity();
+        }
+
+        async function renderActivity() {
+            try {
+                const events = await apiRequest('GET', '/api/activity?board=' + encodeURIComponent(currentBoard));
+                activityList.innerHTML = '';
+                if (!events.length) {
+                    const empty = document.createElement('li');
+                    empty.className = 'empty-list';
+                    empty.textContent = 'No activity on this board yet';
+                    activityList.appendChild(empty);
+                    return;
+                }
+
+                events.forEach(event => {
+                    const item = document.createElement('li');
+                    item.className = 'activity-item';
+                    item.textContent = event.summary;
+
+                    const meta = document.createElement('span');
+                    meta.className = 'activity-meta';
+                    meta.textContent = new Date(event.timestamp).toLocaleString() + (event.actor && event.actor.ip ? ' · ' + event.actor.ip : '');
+                    item.appendChild(meta);
+
+                    activityList.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading activity:', error);
+                activityList.textContent = 'Could not load activity';
+            }
+        }
+
+        // Archived tasks
+        const archivedModal = document.getElementById('archived-modal');
+        const archivedList = document.getElementById('archived-list');
+        const archivedSearch = document.getElementById('archived-search');
+
+        async function archiveTask(taskId) {
+            const location = findTask(taskId);
+            if (!location) return;
+            boardData.boards[currentBoard].columns[location.columnId].tasks.splice(location.index, 1);
+            const taskEl = getTaskElement(taskId);
+            if (taskEl) taskEl.remove();
+
+            const archived = await saveChange('POST', '/api/tasks/' + taskId + '/archive', null, 'Task archived');
+            if (archived) {
+                recordCommand({
+                    label: 'Task archived',
+                    undo: () => apiRequest('POST', '/api/archived/' + taskId + '/restore', {
+                        columnId: location.columnId,
+                        position: location.index
+                    }),
+                    redo: () => apiRequest('POST', '/api/tasks/' + taskId + '/archive')
+                });
+            }
+        }
+
+        function openArchivedModal() {
+            archivedSearch.value = '';
+            archivedModal.style.display = 'flex';
+            renderArchivedList();
+            archivedSearch.focus();
+        }
+
+        function closeArchivedModal() {
+            archivedModal.style.display = 'none';
+        }
+
+        async function renderArchivedList() {
+            const query = archivedSearch.value.trim();
+            try {
+                const tasks = await apiRequest('GET', '/api/boards/' + encodeURIComponent(currentBoard) + '/archived?q=' + encodeURIComponent(query));
+                archivedList.innerHTML = '';
+                if (!tasks.length) {
+                    const empty = document.createElement('p');
+                    empty.className = 'empty-list';
+                    empty.textContent = query ? 'No archived tasks match "' + query + '"' : 'No archived tasks on this board';
+                    archivedList.appendChild(empty);
+                    return;
+                }
+
+                tasks.forEach(task => {
+                    const item = document.createElement('div');
+                    item.className = 'backup-item archived-item';
+
+                    const text = document.createElement('span');
+                    text.className = 'archived-text';
+                    text.textContent = task.title;
+
+                    const meta = document.createElement('span');
+                    meta.className = 'archived-meta';
+                    meta.textContent = (task.columnName || 'Removed column') + ' · archived ' + new Date(task.archivedAt).toLocaleString();
+                    text.appendChild(meta);
+                    item.appendChild(text);
+
+                    const restoreBtn = document.createElement('button');
+                    restoreBtn.className = 'text-button';
+                    restoreBtn.textContent = 'Restore';
+                    restoreBtn.onclick = () => restoreArchivedTask(task);
+                    item.appendChild(restoreBtn);
+
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.className = 'text-button danger';
+                    deleteBtn.textContent = 'Delete';
+                    deleteBtn.onclick = () => deleteArchivedTask(task);
+                    item.appendChild(deleteBtn);
+
+                    archivedList.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading archived tasks:', error);
+                archivedList.textContent = 'Could not load archived tasks';
+            }
+        }
+
+        async function restoreArchivedTask(task) {
+            const restored = await saveChange('POST', '/api/archived/' + task.id + '/restore', {}, 'Task restored');
+            if (restored) {
+                await loadTasks();
+                renderArchivedList();
+                recordCommand({
+                    label: 'Task restored',
+                    undo: () => apiRequest('POST', '/api/tasks/' + task.id + '/archive'),
+                    redo: () => apiRequest('POST', '/api/archived/' + task.id + '/restore', { columnId: restored.columnId })
+                });
             }
+        }
 
-            // Save changes
-            await saveTasks();
-            closeTaskModal();
+        async function deleteArchivedTask(task) {
+            if (!confirm('Permanently delete "' + task.title + '"? This cannot be undone.')) return;
+            const deleted = await saveChange('DELETE', '/api/archived/' + task.id, null, 'Task deleted');
+            if (deleted) renderArchivedList();
+        }
+
+        let archivedSearchTimeout;
+        archivedSearch.addEventListener('input', () => {
+            clearTimeout(archivedSearchTimeout);
+            archivedSearchTimeout = setTimeout(renderArchivedList, 200);
         });
 
-        // Task Management
-        function createTask(column, text = '') {
-            if (!boardData.boards[currentBoard].columns[column]) {
-                console.error('Invalid column:', column);
-                return null;
+        archivedModal.addEventListener('click', (e) => {
+            if (e.target === archivedModal) {
+                closeArchivedModal();
             }
+        });
 
-            const task = document.createElement('div');
-            task.className = 'task';
-            task.draggable = true;
-            
-            // Create move indicator for mobile (first)
-            const moveIndicator = document.createElement('div');
-            moveIndicator.className = 'move-indicator';
-            moveIndicator.innerHTML = '⋮⋮';
-            moveIndicator.title = 'Hold and drag to move';
-            task.appendChild(moveIndicator);
-            
-            // Create task content wrapper
-            const taskContent = document.createElement('div');
-            taskContent.className = 'task-content';
-            
-            // Create task text
-            const taskText = document.createElement('span');
-            taskText.className = 'task-text';
-            taskText.textContent = text;
-            taskContent.appendChild(taskText);
-            task.appendChild(taskContent);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && archivedModal.style.display === 'flex') {
+                closeArchivedModal();
+            }
+        });
 
-            // Double tap/click detection
-            let lastTap = 0;
-            let tapTimeout;
+        let boardToDelete = null;
+        const deleteConfirmForm = document.getElementById('delete-board-form');
+        const deleteConfirmInput = document.getElementById('delete-board-input');
 
-            task.addEventListener('touchstart', (e) => {
-                const currentTime = new Date().getTime();
-                const tapLength = currentTime - lastTap;
+        function openDeleteBoardModal(boardId) {
+            boardToDelete = boardId;
+            const boardName = boardData.boards[boardId].name;
+            document.getElementById('delete-board-name').textContent = boardName;
+            document.getElementById('delete-board-confirm-text').textContent = boardName;
+            deleteConfirmInput.value = '';
+            document.getElementById('delete-board-modal').style.display = 'flex';
+        }
+
+        function closeDeleteBoardModal() {
+            document.getElementById('delete-board-modal').style.display = 'none';
+            boardToDelete = null;
+        }
+
+        deleteConfirmForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const confirmText = deleteConfirmInput.value.trim();
+            const boardName = boardData.boards[boardToDelete].name;
+            
+            if (confirmText !== boardName) {
+                showToast('Board name does not match');
+                return;
+            }
+
+            try {
+                // Delete board
+                await apiRequest('DELETE', '/api/boards/' + boardToDelete);
+                const wasCurrent = boardToDelete === currentBoard;
+                delete boardData.boards[boardToDelete];
                 
-                clearTimeout(tapTimeout);
+                renderBoardsList();
+                updateBoardSelector();
+                showToast('Board moved to trash');
                 
-                if (tapLength < 500 && tapLength > 0) {
-                    // Double tap detected
-                    e.preventDefault();
-                    openTaskModal('edit', column, task);
-                } else {
-                    // Wait for potential second tap
-                    tapTimeout = setTimeout(() => {
-                        // Single tap - handle drag start
-                        touchStartY = e.touches[0].clientY;
-                        touchStartX = e.touches[0].clientX;
-                        originalColumn = task.parentElement;
-                        lastTouch = e.touches[0];
-                        
-                        feedbackTimeout = setTimeout(() => {
-                            task.classList.add('dragging');
-                            showToast('Move task to another column');
-                            isDragging = true;
-                        }, 200);
-                    }, 200);
+                // Switch to another board if deleting current
+                if (wasCurrent) {
+                    await loadTasks();
                 }
-                lastTap = currentTime;
-            });
-
-            // Desktop double click
-            task.addEventListener('dblclick', () => openTaskModal('edit', column, task));
+                
+                closeDeleteBoardModal();
+                closeManageBoardsModal();
+            } catch (error) {
+                console.error('Error deleting board:', error);
+                showToast('Error deleting board');
+            }
+        });
 
-            // Touch event handling
-            let touchStartY = 0;
-            let touchStartX = 0;
-            let originalColumn = null;
-            let isDragging = false;
-            let feedbackTimeout;
-            let lastTouch = null;
+        addBoardForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const boardName = newBoardInput.value.trim();
+            if (!boardName) return;
 
-            task.addEventListener('touchstart', (e) => {
-                e.preventDefault(); // Prevent default to work better on Android
-                touchStartY = e.touches[0].clientY;
-                touchStartX = e.touches[0].clientX;
-                originalColumn = task.parentElement;
-                lastTouch = e.touches[0];
+            try {
+                // Add new board and make it the active one
+                const newBoard = await apiRequest('POST', '/api/boards', { name: boardName });
+                await apiRequest('PUT', '/api/active-board', { boardId: newBoard.id });
                 
-                feedbackTimeout = setTimeout(() => {
-                    task.classList.add('dragging');
-                    showToast('Move task to another column');
-                    isDragging = true;
-                }, 200);
-            });
+                newBoardInput.value = '';
+                showToast('Board added');
+                
+                // Switch to the new board
+                await loadTasks();
+                closeManageBoardsModal();
+            } catch (error) {
+                console.error('Error adding board:', error);
+                showToast('Error adding board');
+            }
+        });
 
-            task.addEventListener('touchmove', (e) => {
-                e.preventDefault();
-                lastTouch = e.touches[0];
+        // Close modal when clicking outside
+        manageBoardsModal.addEventListener('click', (e) => {
+            if (e.target === manageBoardsModal) {
+                closeManageBoardsModal();
+            }
+        });
 
-                if (!isDragging) {
-                    if (Math.abs(e.touches[0].clientY - touchStartY) > 5 || 
-                        Math.abs(e.touches[0].clientX - touchStartX) > 5) {
-                        clearTimeout(feedbackTimeout);
-                    }
-                    return;
-                }
+        // Close modal with Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && manageBoardsModal.style.display === 'flex') {
+                closeManageBoardsModal();
+            }
+        });
 
-                const touch = e.touches[0];
-                
-                const elementsUnderTouch = document.elementsFromPoint(touch.clientX, touch.clientY);
-                const columnUnderTouch = elementsUnderTouch.find(el => el.classList.contains('tasks'));
-                
-                if (columnUnderTouch) {
-                    columnUnderTouch.classList.add('drag-over');
-                    const tasks = [...columnUnderTouch.querySelectorAll('.task:not(.dragging)')];
-                    const closestTask = tasks.reduce((closest, child) => {
-                        const box = child.getBoundingClientRect();
-                        const offset = touch.clientY - box.top - box.height / 2;
-                        if (offset < 0 && offset > closest.offset) {
-                            return { offset, element: child };
-                        } else {
-                            return closest;
-                        }
-                    }, { offset: Number.NEGATIVE_INFINITY }).element;
+        // Add Column functionality
+        const addColumnBtn = document.getElementById('add-column');
 
-                    if (closestTask) {
-                        columnUnderTouch.insertBefore(task, closestTask);
-                    } else {
-                        columnUnderTouch.appendChild(task);
-                    }
-                    
-                    document.querySelectorAll('.tasks').forEach(col => {
-                        if (col !== columnUnderTouch) col.classList.remove('drag-over');
-                    });
-                }
-            });
+        addColumnBtn.addEventListener('click', async () => {
+            const column = await saveChange(
+                'POST',
+                '/api/boards/' + currentBoard + '/columns',
+                { id: createLocalId('column'), name: 'New Column' },
+                'Column added'
+            );
+            if (!column) return;
+
+            boardData.boards[currentBoard].columns[column.id] = {
+                name: column.name,
+                tasks: column.tasks || []
+            };
 
-            task.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                clearTimeout(feedbackTimeout);
-                if (isDragging) {
-                    task.classList.remove('dragging');
-                    document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
-                    updateTasksArray();
-                    showToast('Task moved');
-                }
-                isDragging = false;
-                lastTouch = null;
-            });
+            // Re-render so the new column gets its header, buttons and drag listeners
+            renderTasks();
 
-            task.addEventListener('touchcancel', (e) => {
-                e.preventDefault();
-                clearTimeout(feedbackTimeout);
-                task.classList.remove('dragging');
-                document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
-                isDragging = false;
-                lastTouch = null;
-                if (originalColumn) {
-                    originalColumn.appendChild(task);
-                }
+            // Undo moves the column to the trash, which keeps its id reserved, so redo restores it from there
+            let trashId = null;
+            recordCommand({
+                label: 'Column added',
+                undo: async () => {
+                    const removed = await apiRequest('DELETE', '/api/columns/' + column.id);
+                    trashId = removed.trashId;
+                },
+                redo: () => apiRequest('POST', '/api/trash/' + trashId + '/restore')
             });
+        });
+
+        // Add drag and drop event listeners to columns
+        function addColumnEventListeners() {
+            document.querySelectorAll('.tasks').forEach(tasksContainer => {
+                tasksContainer.addEventListener('dragover', e => {
+                    e.preventDefault();
+                    const dragging = document.querySelector('.dragging');
+                    if (!dragging) return;
+
+                    const notDragging = [...tasksContainer.querySelectorAll('.task:not(.dragging)')];
+                    const nextTask = notDragging.find(task => {
+                        const rect = task.getBoundingClientRect();
+                        return e.clientY < rect.top + rect.height / 2;
+                    });
+                    
+                    if (nextTask) {
+                        tasksContainer.insertBefore(dragging, nextTask);
+                    } else {
+                        tasksContainer.appendChild(dragging);
+                    }
+                    
+                    tasksContainer.classList.add('drag-over');
+                    document.querySelectorAll('.tasks').forEach(col => {
+                        if (col !== tasksContainer) col.classList.remove('drag-over');
+                    });
+                });
 
-            // Desktop drag events
-            task.addEventListener('dragstart', () => {
-                task.classList.add('dragging');
-                showToast('Drop in another column to move');
-            });
-            
-            task.addEventListener('dragend', () => {
-                task.classList.remove('dragging');
-                document.querySelectorAll('.tasks').forEach(col => col.classList.remove('drag-over'));
-                updateTasksArray();
-                showToast('Task moved');
+                tasksContainer.addEventListener('dragleave', () => {
+                    tasksContainer.classList.remove('drag-over');
+                });
             });
+        }
 
-            return task;
+        let columnToDelete = null;
+
+        function openDeleteColumnModal(columnId) {
+            columnToDelete = columnId;
+            document.getElementById('delete-column-modal').style.display = 'flex';
         }
 
-        // Close move buttons when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.task')) {
-                const allMoveButtons = document.querySelectorAll('.move-buttons');
-                allMoveButtons.forEach(btns => btns.style.display = 'none');
-            }
-        });
+        function closeDeleteColumnModal() {
+            document.getElementById('delete-column-modal').style.display = 'none';
+            columnToDelete = null;
+        }
 
-        // Add task buttons
-        addButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const column = button.dataset.column;
-                openTaskModal('add', column);
-            });
-        });
+        async function confirmDeleteColumn() {
+            if (columnToDelete) {
+                const columnId = columnToDelete;
+                delete boardData.boards[currentBoard].columns[columnId];
+                renderTasks();
+                closeDeleteColumnModal();
 
-        // Close modal when clicking outside
-        taskModal.addEventListener('click', (e) => {
-            if (e.target === taskModal) {
-                closeTaskModal();
+                const removed = await saveChange('DELETE', '/api/columns/' + columnId, null, 'Column moved to trash');
+                if (removed && !removed.queued) {
+                    // Undo restores the column from the trash; redo trashes it again under a new trash id
+                    let trashId = removed.trashId;
+                    recordCommand({
+                        label: 'Column moved to trash',
+                        undo: () => apiRequest('POST', '/api/trash/' + trashId + '/restore'),
+                        redo: async () => {
+                            const again = await apiRequest('DELETE', '/api/columns/' + columnId);
+                            trashId = again.trashId;
+                        }
+                    });
+                }
             }
-        });
+        }
+    </script>
+</body>
+</html>`;
 
-        // Close modal with Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && !taskModal.hidden) {
-                closeTaskModal();
+// Service worker: keeps the app shell from GET / available offline. Board data is kept
+// by the page itself in IndexedDB, so API requests are left alone.
+const serviceWorker = `const CACHE_NAME = 'dumbkan-shell-v1';
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(async cache => {
+            const response = await fetch('/', { credentials: 'same-origin' });
+            // A redirect means the PIN is not entered yet; the shell is cached on the next visit
+            if (response.ok && !response.redirected) await cache.put('/', response);
+        })
+        .catch(() => {})
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first so updates show up right away, the cached shell when offline
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.mode !== 'navigate' || url.origin !== location.origin || url.pathname !== '/') return;
+
+    event.respondWith(fetch(event.request)
+        .then(response => {
+            if (response.ok && !response.redirected) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put('/', copy));
             }
+            return response;
+        })
+        .catch(() => caches.match('/').then(cached => cached || Response.error())));
+});
+`;
+
+// PIN middleware
+function requirePin(req, res, next) {
+    const pin = process.env.DUMBKAN_PIN;
+    if (!pin || pin.length < 4 || pin.length > 10) {
+        return next();
+    }
+
+    const providedPin = req.headers['x-pin'] || req.cookies.DUMBKAN_PIN;
+    if (providedPin !== pin) {
+        return res.status(401).json({ error: 'Invalid PIN' });
+    }
+    next();
+}
+
+// PIN endpoints
+app.get('/api/pin-required', (req, res) => {
+    const pin = process.env.DUMBKAN_PIN;
+    const required = pin && pin.length >= 4 && pin.length <= 10;
+    res.json({ 
+        required,
+        length: required ? pin.length : 0
+    });
+});
+
+app.post('/api/verify-pin', (req, res) => {
+    // If no PIN is set, authentication is successful
+    if (!process.env.DUMBKAN_PIN || process.env.DUMBKAN_PIN.trim() === '') {
+        return res.json({ success: true });
+    }
+
+    const ip = req.ip;
+    
+    // Check if IP is locked out
+    if (isLockedOut(ip)) {
+        const attempts = loginAttempts.get(ip);
+        const timeLeft = Math.ceil((LOCKOUT_TIME - (Date.now() - attempts.lastAttempt)) / 1000 / 60);
+        return res.status(429).json({ 
+            error: `Too many attempts. Please try again in ${timeLeft} minutes.`
         });
+    }
 
-        // Drag and Drop
-        columns.forEach(column => {
-            const tasksContainer = column.querySelector('.tasks');
-            
-            tasksContainer.addEventListener('dragover', e => {
-                e.preventDefault();
-                const dragging = document.querySelector('.dragging');
-                if (!dragging) return;
+    const { pin } = req.body;
+    
+    if (!pin || typeof pin !== 'string') {
+        return res.status(400).json({ error: 'Invalid PIN format' });
+    }
 
-                const notDragging = [...tasksContainer.querySelectorAll('.task:not(.dragging)')];
-                const nextTask = notDragging.find(task => {
-                    const rect = task.getBoundingClientRect();
-                    return e.clientY < rect.top + rect.height / 2;
-                });
-                
-                if (nextTask) {
-                    tasksContainer.insertBefore(dragging, nextTask);
-                } else {
-                    tasksContainer.appendChild(dragging);
-                }
-            });
+    if (pin === process.env.DUMBKAN_PIN) {
+        // Reset attempts on successful login
+        resetAttempts(ip);
+        
+        // Set cookie and return success
+        res.cookie('DUMBKAN_PIN', pin, { 
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict'
+        });
+        res.json({ success: true });
+    } else {
+        // Record failed attempt
+        recordAttempt(ip);
+        
+        const attempts = loginAttempts.get(ip);
+        const attemptsLeft = MAX_ATTEMPTS - attempts.count;
+        
+        res.status(401).json({ 
+            error: 'Invalid PIN',
+            attemptsLeft: Math.max(0, attemptsLeft)
         });
+    }
+});
 
-        // Utilities
-        function updateTasksArray() {
-            // Get all columns
-            document.querySelectorAll('.column').forEach(column => {
-                const columnId = column.dataset.column;
-                const tasksContainer = column.querySelector('.tasks');
-                if (!tasksContainer) return;
+// Routes
+app.get('/', (req, res) => {
+    const pin = process.env.DUMBKAN_PIN;
+    if (!pin || pin.length < 4 || pin.length > 10) {
+        return res.send(html);
+    }
 
-                const tasks = tasksContainer.querySelectorAll('.task');
-                
-                // Update the tasks array for the current board and column
-                if (boardData.boards[currentBoard].columns[columnId]) {
-                    boardData.boards[currentBoard].columns[columnId].tasks = Array.from(tasks)
-                        .map(task => {
-                            const taskText = task.querySelector('.task-text');
-                            return taskText ? taskText.textContent.trim() : '';
-                        })
-                        .filter(text => text); // Remove any empty tasks
-                }
-            });
+    const providedPin = req.headers['x-pin'] || req.cookies.DUMBKAN_PIN;
+    if (!providedPin || providedPin !== pin) {
+        return res.redirect('/login');
+    }
+    
+    res.send(html);
+});
 
-            // Save changes to the server
-            saveTasks();
-        }
+app.get('/sw.js', (req, res) => {
+    res.set({
+        'Content-Type': 'application/javascript',
+        'Cache-Control': 'no-cache'
+    });
+    res.send(serviceWorker);
+});
 
-        async function saveTasks() {
-            try {
-                const headers = {
-                    'Content-Type': 'application/json',
-                    ...(verifiedPin && { 'X-Pin': verifiedPin })
-                };
+app.get('/login', async (req, res) => {
+    const pin = process.env.DUMBKAN_PIN;
+    const isPinDisabled = !pin || pin.trim() === '';
+    
+    if (isPinDisabled) {
+        return res.redirect('/');
+    }
 
-                // Save the entire boardData object
-                const saveResponse = await fetch('/data/tasks.json', {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify(boardData, null, 2)
-                });
-                
-                if (saveResponse.status === 401) {
-                    localStorage.removeItem('DUMBKAN_PIN');
-                    location.reload();
-                    return;
+    const providedPin = req.headers['x-pin'];
+    if (providedPin === pin) {
+        return res.redirect('/');
+    }
+
+    // Send login page HTML
+    res.send(`<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>DumbKan</title>
+        <style>
+            :root {
+                --background: #ffffff;
+                --container: #f5f5f5;
+                --border: #e0e0e0;
+                --text: #333333;
+                --primary: #2196F3;
+                --primary-hover: #1976D2;
+                --shadow: 0 2px 4px rgba(0,0,0,0.1);
+                --border-radius: 8px;
+                --transition: 0.2s ease;
+            }
+            
+            @media (prefers-color-scheme: dark) {
+                :root {
+                    --background: #1a1a1a;
+                    --container: #2d2d2d;
+                    --border: #404040;
+                    --text: #ffffff;
                 }
-                
-                if (!saveResponse.ok) throw new Error('Failed to save tasks');
-                
-                showToast('Changes saved');
-            } catch (error) {
-                console.error('Error saving tasks:', error);
-                showToast('Error saving changes');
             }
-        }
-
-        function showToast(message) {
-            toast.textContent = message;
-            toast.hidden = false;
-            setTimeout(() => toast.hidden = true, 2000);
-        }
-
-        function renderTasks() {
-            const board = document.querySelector('.board');
-            while (board.firstChild && board.firstChild !== addColumnBtn) {
-                board.removeChild(board.firstChild);
+            
+            body {
+                margin: 0;
+                padding: 0;
+                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+                background: var(--background);
+                color: var(--text);
+                min-height: 100vh;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            }
+            
+            .login-container {
+                background: var(--container);
+                padding: 2rem;
+                border-radius: 16px;
+                box-shadow: var(--shadow);
+                text-align: center;
+            }
+            
+            h1 {
+                margin: 0 0 1.5rem 0;
+                color: var(--text);
+            }
+            
+            .pin-form {
+                display: flex;
+                flex-direction: column;
+                gap: 1rem;
+                align-items: center;
             }
-
-            Object.entries(boardData.boards[currentBoard].columns).forEach(([columnId, column]) => {
-                const columnEl = document.createElement('div');
-                columnEl.className = 'column';
-                columnEl.dataset.column = columnId;
-
-                // Create column header container
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'column-header';
-
-                // Create column name
-                const h2 = document.createElement('h2');
-                h2.className = 'column-name';
-                h2.contentEditable = true;
-                h2.textContent = column.name;
-
-                // Create remove column button
-                const removeBtn = document.createElement('button');
-                removeBtn.className = 'remove-column';
-                removeBtn.innerHTML = '×';
-                removeBtn.title = 'Remove column';
-                removeBtn.onclick = () => openDeleteColumnModal(columnId);
-
-                // Append header elements
-                headerDiv.appendChild(h2);
-                headerDiv.appendChild(removeBtn);
-                columnEl.appendChild(headerDiv);
-
-                // Create tasks container
-                const tasksDiv = document.createElement('div');
-                tasksDiv.className = 'tasks';
-                tasksDiv.id = columnId;
-
-                // Create add task button
-                const addButton = document.createElement('button');
-                addButton.className = 'add-task';
-                addButton.dataset.column = columnId;
-                addButton.textContent = '+ Add Task';
-
-                // Add event listeners
-                h2.addEventListener('blur', () => {
-                    boardData.boards[currentBoard].columns[columnId].name = h2.textContent;
-                    saveTasks();
-                });
-
-                h2.addEventListener('keydown', e => {
-                    if (e.key === 'Enter') {
-                        e.preventDefault();
-                        h2.blur();
+            
+            .pin-input-container {
+                display: flex;
+                gap: 0.75rem;
+                margin: 1rem 0;
+            }
+            
+            .pin-input {
+                width: 35px;
+                height: 45px;
+                text-align: center;
+                font-size: 1.25rem;
+                border: 2px solid var(--border);
+                border-radius: 8px;
+                background: var(--container);
+                color: var(--text);
+                transition: all var(--transition);
+            }
+            
+            .pin-input.has-value {
+                background: var(--primary);
+                border-color: var(--primary);
+                color: white;
+            }
+            
+            .pin-input:disabled {
+                background-color: var(--border);
+                border-color: var(--border);
+                color: var(--text);
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
+            .pin-error {
+                color: #f44336;
+                margin: 0;
+                font-size: 0.9rem;
+                display: none;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="login-container">
+            <h1>DumbKan</h1>
+            <form id="pin-form" class="pin-form">
+                <h2>Enter PIN</h2>
+                <div class="pin-input-container">
+                </div>
+                <p id="pin-error" class="pin-error">Invalid PIN. Please try again.</p>
+            </form>
+        </div>
+        <script>
+            // Check if PIN is required and get length
+            async function checkPinRequired() {
+                const response = await fetch('/api/pin-required');
+                const { required, length } = await response.json();
+                if (required) {
+                    const container = document.querySelector('.pin-input-container');
+                    container.innerHTML = ''; // Clear existing inputs
+                    
+                    // Create inputs based on PIN length
+                    for (let i = 0; i < length; i++) {
+                        const input = document.createElement('input');
+                        input.type = 'password';
+                        input.className = 'pin-input';
+                        input.maxLength = 1;
+                        input.pattern = '[0-9]';
+                        input.inputMode = 'numeric';
+                        input.required = true;
+                        container.appendChild(input);
                     }
-                });
-
-                addButton.addEventListener('click', () => {
-                    openTaskModal('add', columnId);
-                });
+                    
+                    setupPinInputs();
+                    document.querySelector('.pin-input').focus();
+                } else {
+                    window.location.href = '/';
+                }
+            }
 
-                // Append remaining elements
-                columnEl.appendChild(tasksDiv);
-                columnEl.appendChild(addButton);
+            function setupPinInputs() {
+                document.querySelectorAll('.pin-input').forEach((input, index, inputs) => {
+                    input.addEventListener('input', (e) => {
+                        if (e.target.value) {
+                            e.target.classList.add('has-value');
+                            if (index < inputs.length - 1) {
+                                inputs[index + 1].focus();
+                            } else {
+                                document.getElementById('pin-form').requestSubmit();
+                            }
+                        } else {
+                            e.target.classList.remove('has-value');
+                        }
+                    });
 
-                // Render tasks for this column
-                if (column.tasks && Array.isArray(column.tasks)) {
-                    const uniqueTasks = [...new Set(column.tasks)].filter(task => task && task.trim());
-                    uniqueTasks.forEach(taskText => {
-                        const task = createTask(columnId, taskText);
-                        if (task) {
-                            tasksDiv.appendChild(task);
+                    input.addEventListener('keydown', (e) => {
+                        if (e.key === 'Backspace' && !e.target.value && index > 0) {
+                            const prevInput = inputs[index - 1];
+                            prevInput.value = '';
+                            prevInput.classList.remove('has-value');
+                            prevInput.focus();
                         }
                     });
-                }
+                });
+            }
 
-                // Insert before add column button
-                board.insertBefore(columnEl, addColumnBtn);
-            });
+            document.getElementById('pin-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const inputs = [...document.querySelectorAll('.pin-input')];
+                const pin = inputs.map(input => input.value).join('');
 
-            // Add drag and drop event listeners
-            addColumnEventListeners();
-        }
+                            try {
+                                const response = await fetch('/api/verify-pin', {
+                                    method: 'POST',
+                                    headers: { 'Content-Type': 'application/json' },
+                                    body: JSON.stringify({ pin })
+                                });
+                                
+                                const data = await response.json();
+                                
+                                if (response.ok) {
+                                    window.location.href = '/';
+                                } else {
+                                    const errorElement = document.getElementById('pin-error');
+                                    if (response.status === 429) {
+                                        errorElement.textContent = data.error;
+                                    } else {
+                                        const msg = 'Invalid PIN. ' + data.attemptsLeft + ' attempts remaining';
+                                        errorElement.textContent = msg;
+                                    }
+                                    errorElement.style.display = 'block';
+                                    
+                                    // Reset all PIN input boxes
+                                    const pinInputs = document.querySelectorAll('.pin-input');
+                                    pinInputs.forEach(input => {
+                                        input.value = '';
+                                        input.classList.remove('has-value');
+                                    });
+                                    // Focus the first input box
+                                    pinInputs[0].focus();
+                                }
+                            } catch (error) {
+                                console.error('Error verifying PIN:', error);
+                                document.getElementById('pin-error').style.display = 'block';
+                            }
+                });
 
-        // Initialize app
-        async function initializeApp() {
-            const storedPin = localStorage.getItem('DUMBKAN_PIN');
-            if (storedPin) {
-                // Override fetch to include PIN header
-                const originalFetch = window.fetch;
-                window.fetch = function(url, options = {}) {
-                    options.headers = {
-                        ...options.headers,
-                        'X-Pin': storedPin
-                    };
-                    return originalFetch(url, options);
-                };
-            }
+            checkPinRequired();
+        </script>
+    </body>
+    </html>`);
+});
 
-            try {
-                await loadTasks();
-            } catch (error) {
-                console.error('Failed to load tasks:', error);
-                // Clear PIN and redirect to login if unauthorized
-                if (error.status === 401) {
-                    localStorage.removeItem('DUMBKAN_PIN');
-                    window.location.replace('/login');
-                }
-            }
-        }
+app.get('/data/tasks.json', requirePin, async (_, res) => {
+    try {
+        const data = await readData();
+        // The revision stays the same when only the active board changes, so no cached copy is reused
+        res.set('Cache-Control', 'no-store');
+        res.set('ETag', formatRevision(data.revision));
+        res.json(data);
+    } catch (error) {
+        console.error('Error reading tasks:', error);
+        res.status(500).json({ error: 'Failed to read tasks' });
+    }
+});
 
-        // Wait for DOM content to be loaded before initializing
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeApp);
-        } else {
-            initializeApp();
-        }
+// Markdown export and import of a single board
+app.get('/data/boards/:boardId.md', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const board = findBoard(data, req.params.boardId);
+        res.set('Content-Type', 'text/markdown; charset=utf-8');
+        res.attachment(req.params.boardId + '.md');
+        res.send(boardToMarkdown(board));
+    } catch (error) {
+        sendError(res, error, 'Failed to export Markdown');
+    }
+});
 
-        // Theme handling
-        function setTheme(isDark, showToastMessage = false) {
-            if (isDark) {
-                document.body.classList.add('dark-theme');
-                themeToggle.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>';
-                if (showToastMessage) showToast('Dark mode enabled');
-            } else {
-                document.body.classList.remove('dark-theme');
-                themeToggle.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>';
-                if (showToastMessage) showToast('Light mode enabled');
-            }
-            localStorage.setItem('theme', isDark ? 'dark' : 'light');
-        }
+const markdownBody = express.text({ type: () => true, limit: IMPORT_SIZE_LIMIT });
 
-        // Initialize theme
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
-        const savedTheme = localStorage.getItem('theme');
-        
-        if (savedTheme) {
-            setTheme(savedTheme === 'dark', false); // Don't show toast on initial load
-        } else {
-            setTheme(prefersDark.matches, false); // Don't show toast on initial load
-        }
+function parseMarkdownRequest(req) {
+    if (typeof req.body !== 'string') throw httpError(400, 'Send the Markdown file as the request body');
+    const parsed = parseMarkdownBoard(req.body);
+    if (!parsed.columns.length) throw httpError(400, 'No columns or tasks found in the Markdown file');
+    return parsed;
+}
 
-        // Theme toggle button
-        themeToggle.addEventListener('click', () => {
-            const isDark = !document.body.classList.contains('dark-theme');
-            setTheme(isDark, true); // Show toast when user clicks
+// Import into an existing board
+app.post('/data/boards/:boardId.md', requirePin, markdownBody, async (req, res) => {
+    try {
+        const parsed = parseMarkdownRequest(req);
+        const result = await updateData(req, res, data => {
+            const board = findBoard(data, req.params.boardId);
+            const summary = mergeMarkdownBoard(board, parsed);
+            return { board: boardResponse(req.params.boardId, board), summary };
         });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to import Markdown');
+    }
+});
 
-        // Listen for system theme changes
-        prefersDark.addEventListener('change', (e) => {
-            if (!localStorage.getItem('theme')) {
-                setTheme(e.matches, true); // Show toast when system theme changes
-            }
+// Create a new board, named by ?name=, the document's "# Heading" or "Imported board"
+app.post('/data/boards.md', requirePin, markdownBody, async (req, res) => {
+    try {
+        const parsed = parseMarkdownRequest(req);
+        const name = requireText(req.query.name || parsed.name || 'Imported board', 'Board name', 100);
+        const result = await updateData(req, res, data => {
+            const boardId = createBoardId(data, name);
+            const board = { name, columns: {} };
+            data.boards[boardId] = board;
+            const summary = mergeMarkdownBoard(board, parsed);
+            return { board: boardResponse(boardId, board), summary };
         });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to import Markdown');
+    }
+});
 
-        // Board Management
-        const manageBoardsModal = document.getElementById('manage-boards-modal');
-        const boardsList = document.getElementById('boards-list');
-        const addBoardForm = document.getElementById('add-board-form');
-        const newBoardInput = document.getElementById('new-board-name');
-
-        function openManageBoardsModal() {
-            boardMenu.hidden = true;
-            manageBoardsModal.style.display = 'flex';
-            renderBoardsList();
+app.post('/data/tasks.json', requirePin, async (req, res) => {
+    try {
+        // Replacing everything without a revision would silently undo whatever anyone else saved
+        if (!req.headers['if-match']) {
+            throw httpError(428, 'Saving the whole document requires the current revision in an If-Match header');
         }
+        await updateData(req, res, data => {
+            Object.keys(data).forEach(key => delete data[key]);
+            Object.assign(data, req.body);
+        });
+        res.json({ ok: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to save');
+    }
+});
 
-        function closeManageBoardsModal() {
-            manageBoardsModal.style.display = 'none';
-            newBoardInput.value = '';
-        }
+app.get('/api/schema', (req, res) => {
+    res.json(DATA_SCHEMA);
+});
 
-        function renderBoardsList() {
-            boardsList.innerHTML = '';
-            Object.entries(boardData.boards).forEach(([id, board]) => {
-                const item = document.createElement('div');
-                item.className = 'board-item';
-                
-                const name = document.createElement('span');
-                name.className = 'board-name';
-                name.textContent = board.name;
-                item.appendChild(name);
-                
-                if (Object.keys(boardData.boards).length > 1) {
-                    const deleteBtn = document.createElement('button');
-                    deleteBtn.className = 'delete-board';
-                    deleteBtn.innerHTML = '×';
-                    deleteBtn.title = 'Delete board';
-                    deleteBtn.onclick = () => openDeleteBoardModal(id);
-                    item.appendChild(deleteBtn);
-                }
-                
-                boardsList.appendChild(item);
-            });
-        }
+// Board API
+app.get('/api/boards', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(Object.entries(data.boards).map(([boardId, board]) => boardResponse(boardId, board)));
+    } catch (error) {
+        sendError(res, error, 'Failed to read boards');
+    }
+});
 
-        let boardToDelete = null;
-        const deleteConfirmForm = document.getElementById('delete-board-form');
-        const deleteConfirmInput = document.getElementById('delete-board-input');
+app.post('/api/boards', requirePin, async (req, res) => {
+    try {
+        const name = requireText(req.body.name, 'Board name', 100);
+        const board = await updateData(req, res, data => {
+            const boardId = createBoardId(data, name);
+            data.boards[boardId] = { name, columns: createDefaultColumns() };
+            return boardResponse(boardId, data.boards[boardId]);
+        });
+        res.status(201).json(board);
+    } catch (error) {
+        sendError(res, error, 'Failed to create board');
+    }
+});
 
-        function openDeleteBoardModal(boardId) {
-            boardToDelete = boardId;
-            const boardName = boardData.boards[boardId].name;
-            document.getElementById('delete-board-name').textContent = boardName;
-            document.getElementById('delete-board-confirm-text').textContent = boardName;
-            deleteConfirmInput.value = '';
-            document.getElementById('delete-board-modal').style.display = 'flex';
-        }
+app.get('/api/boards/:boardId', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(boardResponse(req.params.boardId, findBoard(data, req.params.boardId)));
+    } catch (error) {
+        sendError(res, error, 'Failed to read board');
+    }
+});
 
-        function closeDeleteBoardModal() {
-            document.getElementById('delete-board-modal').style.display = 'none';
-            boardToDelete = null;
-        }
+app.patch('/api/boards/:boardId', requirePin, async (req, res) => {
+    try {
+        const board = await updateData(req, res, data => {
+            const board = findBoard(data, req.params.boardId);
+            if (req.body.name !== undefined) {
+                board.name = requireText(req.body.name, 'Board name', 100);
+            }
+            return boardResponse(req.params.boardId, board);
+        });
+        res.json(board);
+    } catch (error) {
+        sendError(res, error, 'Failed to update board');
+    }
+});
 
-        deleteConfirmForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const confirmText = deleteConfirmInput.value.trim();
-            const boardName = boardData.boards[boardToDelete].name;
-            
-            if (confirmText !== boardName) {
-                showToast('Board name does not match');
-                return;
+app.delete('/api/boards/:boardId', requirePin, async (req, res) => {
+    try {
+        const { boardId } = req.params;
+        const board = await updateData(req, res, data => {
+            const board = findBoard(data, boardId);
+            if (Object.keys(data.boards).length === 1) {
+                throw httpError(400, 'Cannot delete the last board');
             }
 
-            const headers = {
-                'Content-Type': 'application/json',
-                ...(verifiedPin && { 'X-Pin': verifiedPin })
-            };
+            const position = Object.keys(data.boards).indexOf(boardId);
+            delete data.boards[boardId];
+            if (data.activeBoard === boardId) {
+                data.activeBoard = Object.keys(data.boards)[0];
+            }
+            const trashItem = moveToTrash(data, { type: 'board', boardId, position, board });
+            return { ...boardResponse(boardId, board), trashId: trashItem.id };
+        });
+        res.json(board);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete board');
+    }
+});
 
-            try {
-                // Get current data
-                const response = await fetch('/data/tasks.json', { headers });
-                const data = await response.json();
-                
-                // Delete board
-                delete data.boards[boardToDelete];
-                
-                // Switch to another board if deleting current
-                if (boardToDelete === currentBoard) {
-                    const newBoardId = Object.keys(data.boards)[0];
-                    currentBoard = newBoardId;
-                    currentBoardBtn.textContent = data.boards[newBoardId].name;
-                }
-                
-                // Save changes
-                const saveResponse = await fetch('/data/tasks.json', {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify(data, null, 2)
-                });
-                
-                if (!saveResponse.ok) throw new Error('Failed to delete board');
-                
-                boardData = data;
-                renderBoardsList();
-                updateBoardSelector();
-                showToast('Board deleted');
-                
-                if (boardToDelete === currentBoard) {
-                    loadTasks();
-                }
-                
-                closeDeleteBoardModal();
-                closeManageBoardsModal();
-            } catch (error) {
-                console.error('Error deleting board:', error);
-                showToast('Error deleting board');
+// Switching boards is a view setting, not a change to the boards: it is saved without a new
+// revision, so other browsers are not told about it and their next change does not conflict
+app.put('/api/active-board', requirePin, async (req, res) => {
+    try {
+        const result = await queueWrite(async () => {
+            const data = await readData();
+            findBoard(data, req.body.boardId);
+            data.activeBoard = req.body.boardId;
+            await writeData(data);
+            res.set('ETag', formatRevision(data.revision));
+            return { activeBoard: data.activeBoard };
+        });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to switch board');
+    }
+});
+
+// Column API
+app.post('/api/boards/:boardId/columns', requirePin, async (req, res) => {
+    try {
+        const name = requireText(req.body.name, 'Column name', 100);
+        const column = await updateData(req, res, data => {
+            const board = findBoard(data, req.params.boardId);
+            const columnId = claimId(data, req.body.id, 'column');
+            if (req.body.tasks !== undefined && !Array.isArray(req.body.tasks)) {
+                throw httpError(400, 'Column tasks must be an array');
             }
+
+            // Recreating a column (e.g. undo) can bring back its tasks and position
+            const entries = Object.entries(board.columns);
+            insertAt(entries, [columnId, { name, tasks: req.body.tasks || [] }], req.body.position);
+            board.columns = Object.fromEntries(entries);
+            return columnResponse(req.params.boardId, columnId, board.columns[columnId]);
         });
+        res.status(201).json(column);
+    } catch (error) {
+        sendError(res, error, 'Failed to create column');
+    }
+});
 
-        addBoardForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const boardName = newBoardInput.value.trim();
-            if (!boardName) return;
+app.patch('/api/columns/:columnId', requirePin, async (req, res) => {
+    try {
+        const column = await updateData(req, res, data => {
+            const { boardId, column } = findColumn(data, req.params.columnId);
+            if (req.body.name !== undefined) {
+                column.name = requireText(req.body.name, 'Column name', 100);
+            }
+            return columnResponse(boardId, req.params.columnId, column);
+        });
+        res.json(column);
+    } catch (error) {
+        sendError(res, error, 'Failed to update column');
+    }
+});
 
-            const boardId = boardName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-            
-            const headers = {
-                'Content-Type': 'application/json',
-                ...(verifiedPin && { 'X-Pin': verifiedPin })
+app.delete('/api/columns/:columnId', requirePin, async (req, res) => {
+    try {
+        const { columnId } = req.params;
+        const column = await updateData(req, res, data => {
+            const { boardId, board, column } = findColumn(data, columnId);
+            const position = Object.keys(board.columns).indexOf(columnId);
+            delete board.columns[columnId];
+            const trashItem = moveToTrash(data, { type: 'column', boardId, position, columnId, column });
+            return { ...columnResponse(boardId, columnId, column), trashId: trashItem.id };
+        });
+        res.json(column);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete column');
+    }
+});
+
+// Label API
+app.get('/api/boards/:boardId/labels', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(findBoard(data, req.params.boardId).labels || []);
+    } catch (error) {
+        sendError(res, error, 'Failed to read labels');
+    }
+});
+
+function requireUniqueLabelName(board, name, labelId = null) {
+    if ((board.labels || []).some(label => label.id !== labelId && label.name.toLowerCase() === name.toLowerCase())) {
+        throw httpError(400, 'The board already has a label named "' + name + '"');
+    }
+}
+
+app.post('/api/boards/:boardId/labels', requirePin, async (req, res) => {
+    try {
+        const name = requireText(req.body.name, 'Label name', 50);
+        const label = await updateData(req, res, data => {
+            const board = findBoard(data, req.params.boardId);
+            requireUniqueLabelName(board, name);
+            const label = {
+                id: generateId('label'),
+                name,
+                color: req.body.color === undefined ? nextLabelColor(board) : parseLabelColor(req.body.color)
             };
+            board.labels = board.labels || [];
+            board.labels.push(label);
+            return { ...label, boardId: req.params.boardId };
+        });
+        res.status(201).json(label);
+    } catch (error) {
+        sendError(res, error, 'Failed to create label');
+    }
+});
 
-            try {
-                // Get current data
-                const response = await fetch('/data/tasks.json', { headers });
-                const data = await response.json();
-                
-                // Add new board
-                data.boards[boardId] = {
-                    name: boardName,
-                    columns: {
-                        todo: { name: 'To Do', tasks: [] },
-                        doing: { name: 'Doing', tasks: [] },
-                        done: { name: 'Done', tasks: [] }
-                    }
-                };
-                
-                // Save changes
-                const saveResponse = await fetch('/data/tasks.json', {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify(data, null, 2)
-                });
-                
-                if (!saveResponse.ok) throw new Error('Failed to add board');
-                
-                // Update local data and UI
-                boardData = data;
-                renderBoardsList();
-                updateBoardSelector(); // Update the board selector dropdown
-                newBoardInput.value = '';
-                showToast('Board added');
-                
-                // Switch to the new board
-                currentBoard = boardId;
-                currentBoardBtn.textContent = boardName;
-                await loadTasks();
-                closeManageBoardsModal();
-            } catch (error) {
-                console.error('Error adding board:', error);
-                showToast('Error adding board');
+// Renaming or recolouring a label changes it on every task that has it
+app.patch('/api/labels/:labelId', requirePin, async (req, res) => {
+    try {
+        const label = await updateData(req, res, data => {
+            const { boardId, board, label } = findLabel(data, req.params.labelId);
+            if (req.body.name !== undefined) {
+                const name = requireText(req.body.name, 'Label name', 50);
+                requireUniqueLabelName(board, name, label.id);
+                label.name = name;
             }
+            if (req.body.color !== undefined) {
+                label.color = parseLabelColor(req.body.color);
+            }
+            return { ...label, boardId };
         });
+        res.json(label);
+    } catch (error) {
+        sendError(res, error, 'Failed to update label');
+    }
+});
 
-        // Close modal when clicking outside
-        manageBoardsModal.addEventListener('click', (e) => {
-            if (e.target === manageBoardsModal) {
-                closeManageBoardsModal();
-            }
+// Deleting a label removes it from all tasks of the board, archived ones included
+app.delete('/api/labels/:labelId', requirePin, async (req, res) => {
+    try {
+        const label = await updateData(req, res, data => {
+            const { boardId, board, index, label } = findLabel(data, req.params.labelId);
+            board.labels.splice(index, 1);
+            const tasks = [...Object.values(board.columns).flatMap(column => column.tasks), ...(board.archived || [])];
+            const labelled = tasks.filter(task => (task.labels || []).includes(label.id));
+            dropUnknownLabels(board, labelled);
+            return { ...label, boardId, tasks: labelled.length };
         });
+        res.json(label);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete label');
+    }
+});
 
-        // Close modal with Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && manageBoardsModal.style.display === 'flex') {
-                closeManageBoardsModal();
-            }
+// Task API
+app.post('/api/boards/:boardId/columns/:columnId/tasks', requirePin, async (req, res) => {
+    try {
+        const { boardId, columnId } = req.params;
+        const title = requireText(req.body.title, 'Task title', 500);
+        const dueDate = parseDueDate(req.body.dueDate);
+        const priority = parsePriority(req.body.priority);
+        const description = parseDescription(req.body.description);
+        const checklist = parseChecklist(req.body.checklist);
+        const comments = parseComments(req.body.comments);
+        const task = await updateData(req, res, async data => {
+            const board = findBoard(data, boardId);
+            if (!Object.hasOwn(board.columns, columnId)) throw httpError(404, 'Column not found');
+            const column = board.columns[columnId];
+
+            const now = new Date().toISOString();
+            const task = {
+                id: claimId(data, req.body.id, 'task'),
+                title,
+                description,
+                createdAt: typeof req.body.createdAt === 'string' && !Number.isNaN(Date.parse(req.body.createdAt)) ? req.body.createdAt : now,
+                updatedAt: now
+            };
+            const attachments = await parseAttachments(req.body.attachments, data);
+            assignTaskFields(task, { dueDate, labels: parseTaskLabels(req.body.labels, board), priority, checklist, comments, attachments });
+            insertAt(column.tasks, task, req.body.position);
+            return taskResponse(boardId, columnId, task);
         });
+        res.status(201).json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to create task');
+    }
+});
 
-        // Add Column functionality
-        const addColumnBtn = document.getElementById('add-column');
+app.get('/api/tasks/:taskId', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const { boardId, columnId, task } = findTask(data, req.params.taskId);
+        res.json(taskResponse(boardId, columnId, task));
+    } catch (error) {
+        sendError(res, error, 'Failed to read task');
+    }
+});
 
-        addColumnBtn.addEventListener('click', async () => {
-            const columnId = 'column-' + Date.now();
-            const columnName = 'New Column';
+// The description rendered as an HTML fragment, for showing it outside DumbKan
+app.get('/api/tasks/:taskId/description.html', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const { task } = findTask(data, req.params.taskId);
+        res.set('Content-Security-Policy', "default-src 'none'");
+        res.type('html').send(renderMarkdown(task.description));
+    } catch (error) {
+        sendError(res, error, 'Failed to render task description');
+    }
+});
 
-            boardData.boards[currentBoard].columns[columnId] = {
-                name: columnName,
-                tasks: []
-            };
+app.patch('/api/tasks/:taskId', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, task } = findTask(data, req.params.taskId);
+            if (req.body.title !== undefined) {
+                task.title = requireText(req.body.title, 'Task title', 500);
+            }
+            if (req.body.description !== undefined) {
+                task.description = parseDescription(req.body.description);
+            }
+            if (req.body.dueDate !== undefined) {
+                assignTaskFields(task, { dueDate: parseDueDate(req.body.dueDate) });
+            }
+            if (req.body.labels !== undefined) {
+                assignTaskFields(task, { labels: parseTaskLabels(req.body.labels, data.boards[boardId]) });
+            }
+            if (req.body.priority !== undefined) {
+                assignTaskFields(task, { priority: parsePriority(req.body.priority) });
+            }
+            if (req.body.checklist !== undefined) {
+                assignTaskFields(task, { checklist: parseChecklist(req.body.checklist) });
+            }
+            task.updatedAt = new Date().toISOString();
+            return taskResponse(boardId, columnId, task);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to update task');
+    }
+});
 
-            const column = document.createElement('div');
-            column.className = 'column';
-            column.dataset.column = columnId;
-
-            // Create elements individually
-            const h2 = document.createElement('h2');
-            h2.className = 'column-name';
-            h2.contentEditable = true;
-            h2.textContent = columnName;
-
-            const tasksDiv = document.createElement('div');
-            tasksDiv.className = 'tasks';
-            tasksDiv.id = columnId;
-
-            const addButton = document.createElement('button');
-            addButton.className = 'add-task';
-            addButton.dataset.column = columnId;
-            addButton.textContent = '+ Add Task';
-
-            // Append elements
-            column.appendChild(h2);
-            column.appendChild(tasksDiv);
-            column.appendChild(addButton);
-
-            // Add event listeners
-            h2.addEventListener('blur', () => {
-                boardData.boards[currentBoard].columns[columnId].name = h2.textContent;
-                saveTasks();
-            });
+app.post('/api/tasks/:taskId/move', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const source = findTask(data, req.params.taskId);
+            const targetColumnId = req.body.columnId || source.columnId;
+            const target = findColumn(data, targetColumnId);
+
+            source.column.tasks.splice(source.index, 1);
+            insertAt(target.column.tasks, source.task, req.body.position);
+            if (target.boardId !== source.boardId) dropUnknownLabels(target.board, [source.task]);
+            return taskResponse(target.boardId, targetColumnId, source.task);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to move task');
+    }
+});
 
-            h2.addEventListener('keydown', e => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    h2.blur();
-                }
-            });
+app.delete('/api/tasks/:taskId', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, column, index, task } = findTask(data, req.params.taskId);
+            column.tasks.splice(index, 1);
+            return taskResponse(boardId, columnId, task);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete task');
+    }
+});
 
-            addButton.addEventListener('click', () => {
-                openTaskModal('add', columnId);
-            });
+// Checklist API
+app.post('/api/tasks/:taskId/checklist', requirePin, async (req, res) => {
+    try {
+        const text = requireText(req.body.text, 'Checklist item text', 500);
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, task } = findTask(data, req.params.taskId);
+            task.checklist = task.checklist || [];
+            insertAt(task.checklist, { id: generateId('item'), text, done: req.body.done === true }, req.body.position);
+            task.updatedAt = new Date().toISOString();
+            return taskResponse(boardId, columnId, task);
+        });
+        res.status(201).json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to add checklist item');
+    }
+});
 
-            // Insert before the add column button
-            addColumnBtn.parentNode.insertBefore(column, addColumnBtn);
+app.patch('/api/tasks/:taskId/checklist/:itemId', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, task } = findTask(data, req.params.taskId);
+            const { index, item } = findChecklistItem(task, req.params.itemId);
+            if (req.body.text !== undefined) {
+                item.text = requireText(req.body.text, 'Checklist item text', 500);
+            }
+            if (req.body.done !== undefined) {
+                if (typeof req.body.done !== 'boolean') throw httpError(400, 'Checklist item done must be true or false');
+                item.done = req.body.done;
+            }
+            if (req.body.position !== undefined) {
+                task.checklist.splice(index, 1);
+                insertAt(task.checklist, item, req.body.position);
+            }
+            task.updatedAt = new Date().toISOString();
+            return taskResponse(boardId, columnId, task);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to update checklist item');
+    }
+});
 
-            // Save changes
-            await saveTasks();
-            showToast('Column added');
+// Flip an item between done and not done, for scripts that tick items off
+app.post('/api/tasks/:taskId/checklist/:itemId/toggle', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, task } = findTask(data, req.params.taskId);
+            const { item } = findChecklistItem(task, req.params.itemId);
+            item.done = !item.done;
+            task.updatedAt = new Date().toISOString();
+            return taskResponse(boardId, columnId, task);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to toggle checklist item');
+    }
+});
 
-            // Add drag and drop event listeners to the new column
-            addColumnEventListeners();
+app.delete('/api/tasks/:taskId/checklist/:itemId', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, columnId, task } = findTask(data, req.params.taskId);
+            const { index } = findChecklistItem(task, req.params.itemId);
+            task.checklist.splice(index, 1);
+            if (!task.checklist.length) delete task.checklist;
+            task.updatedAt = new Date().toISOString();
+            return taskResponse(boardId, columnId, task);
         });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete checklist item');
+    }
+});
 
-        // Add drag and drop event listeners to columns
-        function addColumnEventListeners() {
-            document.querySelectorAll('.tasks').forEach(tasksContainer => {
-                tasksContainer.addEventListener('dragover', e => {
-                    e.preventDefault();
-                    const dragging = document.querySelector('.dragging');
-                    if (!dragging) return;
+// Comment API
+app.get('/api/tasks/:taskId/comments', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const { task } = findTask(data, req.params.taskId);
+        res.json(task.comments || []);
+    } catch (error) {
+        sendError(res, error, 'Failed to read comments');
+    }
+});
 
-                    const notDragging = [...tasksContainer.querySelectorAll('.task:not(.dragging)')];
-                    const nextTask = notDragging.find(task => {
-                        const rect = task.getBoundingClientRect();
-                        return e.clientY < rect.top + rect.height / 2;
-                    });
-                    
-                    if (nextTask) {
-                        tasksContainer.insertBefore(dragging, nextTask);
-                    } else {
-                        tasksContainer.appendChild(dragging);
-                    }
-                    
-                    tasksContainer.classList.add('drag-over');
-                    document.querySelectorAll('.tasks').forEach(col => {
-                        if (col !== tasksContainer) col.classList.remove('drag-over');
-                    });
-                });
+app.post('/api/tasks/:taskId/comments', requirePin, async (req, res) => {
+    try {
+        const comment = await updateData(req, res, data => {
+            const { task } = findTask(data, req.params.taskId);
+            task.comments = task.comments || [];
+            const comment = parseComment(req.body, task.comments);
+            task.comments.push(comment);
+            return comment;
+        });
+        res.status(201).json(comment);
+    } catch (error) {
+        sendError(res, error, 'Failed to add comment');
+    }
+});
 
-                tasksContainer.addEventListener('dragleave', () => {
-                    tasksContainer.classList.remove('drag-over');
-                });
-            });
-        }
+// Attachment API
+app.get('/api/tasks/:taskId/attachments', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const { task } = findTask(data, req.params.taskId);
+        res.json(task.attachments || []);
+    } catch (error) {
+        sendError(res, error, 'Failed to read attachments');
+    }
+});
 
-        let columnToDelete = null;
+const attachmentBody = express.raw({ type: () => true, limit: ATTACHMENT_SIZE_LIMIT });
 
-        function openDeleteColumnModal(columnId) {
-            columnToDelete = columnId;
-            document.getElementById('delete-column-modal').style.display = 'flex';
+function readAttachmentBody(req, res, next) {
+    attachmentBody(req, res, error => {
+        if (!error) return next();
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: 'Attachments can be at most ' + ATTACHMENT_SIZE_LIMIT });
         }
+        res.status(400).json({ error: 'Could not read the upload' });
+    });
+}
 
-        function closeDeleteColumnModal() {
-            document.getElementById('delete-column-modal').style.display = 'none';
-            columnToDelete = null;
-        }
+// The request body is the file itself; ?name= gives its file name, whose extension decides the type
+// The file is written while the document is locked, so removing orphaned files cannot catch it
+// before the document refers to it. If the document is not saved, the file is removed again.
+app.post('/api/tasks/:taskId/attachments', requirePin, readAttachmentBody, async (req, res) => {
+    let file = null;
+    try {
+        const { name, type } = parseAttachmentName(req.query.name);
+        if (!Buffer.isBuffer(req.body) || !req.body.length) throw httpError(400, 'The file is empty');
+        const attachment = await updateData(req, res, async data => {
+            const { task } = findTask(data, req.params.taskId);
+            const attachment = { id: generateId('attachment'), name, type, size: req.body.length, createdAt: new Date().toISOString() };
+            await fs.mkdir(ATTACHMENT_DIR, { recursive: true });
+            file = attachmentFile(attachment.id);
+            await writeFileAtomic(file, req.body);
+            task.attachments = task.attachments || [];
+            task.attachments.push(attachment);
+            task.updatedAt = attachment.createdAt;
+            return attachment;
+        });
+        res.status(201).json(attachment);
+    } catch (error) {
+        if (file) await fs.rm(file, { force: true }).catch(() => {});
+        sendError(res, error, 'Failed to upload attachment');
+    }
+});
 
-        function confirmDeleteColumn() {
-            if (columnToDelete) {
-                delete boardData.boards[currentBoard].columns[columnToDelete];
-                saveTasks();
-                renderTasks();
-                showToast('Column removed');
-                closeDeleteColumnModal();
-            }
-        }
-    </script>
-</body>
-</html>`;
+// Images are shown inline (for thumbnails); other files, and anything with ?download=true, are downloaded
+app.get('/api/attachments/:attachmentId', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const { attachment } = findAttachment(data, req.params.attachmentId);
+        res.type(attachment.type);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'");
+        if (req.query.download === 'true' || !attachment.type.startsWith('image/')) res.attachment(attachment.name);
+        res.sendFile(path.resolve(attachmentFile(attachment.id)), error => {
+            if (error && !res.headersSent) sendError(res, httpError(404, 'The file of this attachment is missing'), 'Failed to send attachment');
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to send attachment');
+    }
+});
 
-// PIN middleware
-function requirePin(req, res, next) {
-    const pin = process.env.DUMBKAN_PIN;
-    if (!pin || pin.length < 4 || pin.length > 10) {
-        return next();
+// The file itself is removed once nothing refers to it any more
+app.delete('/api/attachments/:attachmentId', requirePin, async (req, res) => {
+    try {
+        const attachment = await updateData(req, res, data => {
+            const { task, index, attachment } = findAttachment(data, req.params.attachmentId);
+            task.attachments.splice(index, 1);
+            if (!task.attachments.length) delete task.attachments;
+            task.updatedAt = new Date().toISOString();
+            return attachment;
+        });
+        res.json(attachment);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete attachment');
     }
+});
 
-    const providedPin = req.headers['x-pin'] || req.cookies.DUMBKAN_PIN;
-    if (providedPin !== pin) {
-        return res.status(401).json({ error: 'Invalid PIN' });
+// Archive API
+app.post('/api/tasks/:taskId/archive', requirePin, async (req, res) => {
+    try {
+        const archived = await updateData(req, res, data => {
+            const { boardId, columnId, column, index, task } = findTask(data, req.params.taskId);
+            column.tasks.splice(index, 1);
+
+            const board = data.boards[boardId];
+            const archivedTask = { ...task, columnId, archivedAt: new Date().toISOString() };
+            board.archived = board.archived || [];
+            board.archived.push(archivedTask);
+            return { ...archivedTask, boardId, columnName: column.name };
+        });
+        res.json(archived);
+    } catch (error) {
+        sendError(res, error, 'Failed to archive task');
     }
-    next();
-}
+});
 
-// PIN endpoints
-app.get('/api/pin-required', (req, res) => {
-    const pin = process.env.DUMBKAN_PIN;
-    const required = pin && pin.length >= 4 && pin.length <= 10;
-    res.json({ 
-        required,
-        length: required ? pin.length : 0
-    });
+// Archived tasks of a board, most recently archived first. ?q= filters by title and description.
+app.get('/api/boards/:boardId/archived', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const board = findBoard(data, req.params.boardId);
+        const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+        const tasks = (board.archived || [])
+            .filter(task => !query || (task.title + ' ' + (task.description || '')).toLowerCase().includes(query))
+            .map(task => ({
+                ...task,
+                boardId: req.params.boardId,
+                columnName: Object.hasOwn(board.columns, task.columnId) ? board.columns[task.columnId].name : null
+            }))
+            .reverse();
+        res.json(tasks);
+    } catch (error) {
+        sendError(res, error, 'Failed to read archived tasks');
+    }
 });
 
-app.post('/api/verify-pin', (req, res) => {
-    // If no PIN is set, authentication is successful
-    if (!process.env.DUMBKAN_PIN || process.env.DUMBKAN_PIN.trim() === '') {
-        return res.json({ success: true });
+// Put an archived task back in its original column, or the first column if that one is gone
+app.post('/api/archived/:taskId/restore', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, board, index, task } = findArchivedTask(data, req.params.taskId);
+            const columnId = req.body.columnId || (Object.hasOwn(board.columns, task.columnId) ? task.columnId : Object.keys(board.columns)[0]);
+            if (!Object.hasOwn(board.columns, columnId)) throw httpError(400, 'The board has no column to restore the task to');
+            const column = board.columns[columnId];
+
+            board.archived.splice(index, 1);
+            const { columnId: archivedFrom, archivedAt, ...restored } = task;
+            insertAt(column.tasks, restored, req.body.position);
+            return taskResponse(boardId, columnId, restored);
+        });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to restore task');
     }
+});
 
-    const ip = req.ip;
-    
-    // Check if IP is locked out
-    if (isLockedOut(ip)) {
-        const attempts = loginAttempts.get(ip);
-        const timeLeft = Math.ceil((LOCKOUT_TIME - (Date.now() - attempts.lastAttempt)) / 1000 / 60);
-        return res.status(429).json({ 
-            error: `Too many attempts. Please try again in ${timeLeft} minutes.`
+app.delete('/api/archived/:taskId', requirePin, async (req, res) => {
+    try {
+        const task = await updateData(req, res, data => {
+            const { boardId, board, index, task } = findArchivedTask(data, req.params.taskId);
+            board.archived.splice(index, 1);
+            return { ...task, boardId };
         });
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete archived task');
     }
+});
 
-    const { pin } = req.body;
-    
-    if (!pin || typeof pin !== 'string') {
-        return res.status(400).json({ error: 'Invalid PIN format' });
+// Trash API
+function trashResponse(data, item) {
+    const content = item.type === 'board' ? item.board : item.column;
+    const columns = item.type === 'board' ? Object.values(item.board.columns) : [item.column];
+    const board = Object.hasOwn(data.boards, item.boardId) ? data.boards[item.boardId] : null;
+    return {
+        id: item.id,
+        type: item.type,
+        name: content.name,
+        boardId: item.boardId,
+        boardName: item.type === 'board' ? item.board.name : (board ? board.name : null),
+        columnId: item.columnId,
+        tasks: columns.reduce((total, column) => total + column.tasks.length, 0),
+        deletedAt: item.deletedAt,
+        expiresAt: trashExpiry(item)
+    };
+}
+
+function findTrashItem(data, trashId) {
+    const index = (data.trash || []).findIndex(item => item.id === trashId);
+    if (index === -1) throw httpError(404, 'Trash item not found');
+    return { index, item: data.trash[index] };
+}
+
+// Deleted boards and columns, most recently deleted first
+app.get('/api/trash', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        res.json((data.trash || []).map(item => trashResponse(data, item)).reverse());
+    } catch (error) {
+        sendError(res, error, 'Failed to read trash');
     }
+});
 
-    if (pin === process.env.DUMBKAN_PIN) {
-        // Reset attempts on successful login
-        resetAttempts(ip);
-        
-        // Set cookie and return success
-        res.cookie('DUMBKAN_PIN', pin, { 
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict'
+// Put a board or column back at its original position, with all of its tasks
+app.post('/api/trash/:trashId/restore', requirePin, async (req, res) => {
+    try {
+        const restored = await updateData(req, res, data => {
+            const { index, item } = findTrashItem(data, req.params.trashId);
+            const response = trashResponse(data, item);
+            data.trash.splice(index, 1);
+
+            if (item.type === 'board') {
+                const entries = Object.entries(data.boards);
+                insertAt(entries, [item.boardId, item.board], item.position);
+                data.boards = Object.fromEntries(entries);
+            } else {
+                const board = data.boards[item.boardId];
+                if (!board) throw httpError(400, 'Restore the board this column belonged to first');
+                // Labels deleted since the column was trashed are gone from its tasks too
+                dropUnknownLabels(board, item.column.tasks);
+                const entries = Object.entries(board.columns);
+                insertAt(entries, [item.columnId, item.column], item.position);
+                board.columns = Object.fromEntries(entries);
+            }
+            return response;
         });
-        res.json({ success: true });
-    } else {
-        // Record failed attempt
-        recordAttempt(ip);
-        
-        const attempts = loginAttempts.get(ip);
-        const attemptsLeft = MAX_ATTEMPTS - attempts.count;
-        
-        res.status(401).json({ 
-            error: 'Invalid PIN',
-            attemptsLeft: Math.max(0, attemptsLeft)
+        res.json(restored);
+    } catch (error) {
+        sendError(res, error, 'Failed to restore from trash');
+    }
+});
+
+app.delete('/api/trash/:trashId', requirePin, async (req, res) => {
+    try {
+        const removed = await updateData(req, res, data => {
+            const { index, item } = findTrashItem(data, req.params.trashId);
+            const response = trashResponse(data, item);
+            data.trash.splice(index, 1);
+            return response;
         });
+        res.json(removed);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete from trash');
     }
 });
 
-// Routes
-app.get('/', (req, res) => {
-    const pin = process.env.DUMBKAN_PIN;
-    if (!pin || pin.length < 4 || pin.length > 10) {
-        return res.send(html);
+// Live update stream. Sends the current revision on connect and a "change" event after every write.
+app.get('/api/events', requirePin, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let revision = 0;
+    try {
+        revision = (await readData()).revision || 0;
+    } catch (error) {
+        console.error('Error reading revision for event stream:', error);
     }
+    res.write('retry: 3000\nevent: hello\ndata: ' + JSON.stringify({ revision }) + '\n\n');
 
-    const providedPin = req.headers['x-pin'] || req.cookies.DUMBKAN_PIN;
-    if (!providedPin || providedPin !== pin) {
-        return res.redirect('/login');
+    eventClients.add(res);
+    req.on('close', () => eventClients.delete(res));
+});
+
+// CSV API
+app.get('/api/boards/:boardId/export.csv', requirePin, async (req, res) => {
+    try {
+        const data = await readData();
+        const board = findBoard(data, req.params.boardId);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(req.params.boardId + '.csv');
+        res.send(boardToCsv(board));
+    } catch (error) {
+        sendError(res, error, 'Failed to export CSV');
+    }
+});
+
+// Body: CSV text. ?dryRun=true reports what would change without saving anything.
+app.post('/api/boards/:boardId/import.csv', requirePin, express.text({ type: () => true, limit: IMPORT_SIZE_LIMIT }), async (req, res) => {
+    try {
+        if (typeof req.body !== 'string') throw httpError(400, 'Send the CSV file as the request body');
+        const csvRows = parseCsv(req.body);
+
+        if (req.query.dryRun === 'true') {
+            const data = await readData();
+            return res.json({ dryRun: true, ...importCsvRows(data, req.params.boardId, csvRows) });
+        }
+
+        const report = await updateData(req, res, data => importCsvRows(data, req.params.boardId, csvRows));
+        res.json({ dryRun: false, ...report });
+    } catch (error) {
+        sendError(res, error, 'Failed to import CSV');
     }
-    
-    res.send(html);
 });
 
-app.get('/login', async (req, res) => {
-    const pin = process.env.DUMBKAN_PIN;
-    const isPinDisabled = !pin || pin.trim() === '';
-    
-    if (isPinDisabled) {
-        return res.redirect('/');
+// Import API
+// Body: a Trello board export. ?includeClosed=true also imports closed lists and cards.
+app.post('/api/import/trello', requirePin, importBody, async (req, res) => {
+    try {
+        if (!isTrelloExport(req.body)) {
+            throw httpError(400, 'This is not a Trello board export');
+        }
+        const includeClosed = req.query.includeClosed === 'true';
+        const result = await updateData(req, res, data => {
+            const { boardId, board, summary } = importTrelloBoard(data, req.body, { includeClosed });
+            return { board: boardResponse(boardId, board), summary };
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to import Trello board');
     }
+});
 
-    const providedPin = req.headers['x-pin'];
-    if (providedPin === pin) {
-        return res.redirect('/');
+// Activity API
+app.get('/api/activity', requirePin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        res.json(await readActivity({ boardId: req.query.board, limit }));
+    } catch (error) {
+        sendError(res, error, 'Failed to read activity');
     }
+});
 
-    // Send login page HTML
-    res.send(`<!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>DumbKan</title>
-        <style>
-            :root {
-                --background: #ffffff;
-                --container: #f5f5f5;
-                --border: #e0e0e0;
-                --text: #333333;
-                --primary: #2196F3;
-                --primary-hover: #1976D2;
-                --shadow: 0 2px 4px rgba(0,0,0,0.1);
-                --border-radius: 8px;
-                --transition: 0.2s ease;
-            }
-            
-            @media (prefers-color-scheme: dark) {
-                :root {
-                    --background: #1a1a1a;
-                    --container: #2d2d2d;
-                    --border: #404040;
-                    --text: #ffffff;
-                }
-            }
-            
-            body {
-                margin: 0;
-                padding: 0;
-                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-                background: var(--background);
-                color: var(--text);
-                min-height: 100vh;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-            
-            .login-container {
-                background: var(--container);
-                padding: 2rem;
-                border-radius: 16px;
-                box-shadow: var(--shadow);
-                text-align: center;
-            }
-            
-            h1 {
-                margin: 0 0 1.5rem 0;
-                color: var(--text);
-            }
-            
-            .pin-form {
-                display: flex;
-                flex-direction: column;
-                gap: 1rem;
-                align-items: center;
-            }
-            
-            .pin-input-container {
-                display: flex;
-                gap: 0.75rem;
-                margin: 1rem 0;
-            }
-            
-            .pin-input {
-                width: 35px;
-                height: 45px;
-                text-align: center;
-                font-size: 1.25rem;
-                border: 2px solid var(--border);
-                border-radius: 8px;
-                background: var(--container);
-                color: var(--text);
-                transition: all var(--transition);
-            }
-            
-            .pin-input.has-value {
-                background: var(--primary);
-                border-color: var(--primary);
-                color: white;
-            }
-            
-            .pin-input:disabled {
-                background-color: var(--border);
-                border-color: var(--border);
-                color: var(--text);
-                opacity: 0.5;
-                cursor: not-allowed;
-            }
-            
-            .pin-error {
-                color: #f44336;
-                margin: 0;
-                font-size: 0.9rem;
-                display: none;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="login-container">
-            <h1>DumbKan</h1>
-            <form id="pin-form" class="pin-form">
-                <h2>Enter PIN</h2>
-                <div class="pin-input-container">
-                </div>
-                <p id="pin-error" class="pin-error">Invalid PIN. Please try again.</p>
-            </form>
-        </div>
-        <script>
-            // Check if PIN is required and get length
-            async function checkPinRequired() {
-                const response = await fetch('/api/pin-required');
-                const { required, length } = await response.json();
-                if (required) {
-                    const container = document.querySelector('.pin-input-container');
-                    container.innerHTML = ''; // Clear existing inputs
-                    
-                    // Create inputs based on PIN length
-                    for (let i = 0; i < length; i++) {
-                        const input = document.createElement('input');
-                        input.type = 'password';
-                        input.className = 'pin-input';
-                        input.maxLength = 1;
-                        input.pattern = '[0-9]';
-                        input.inputMode = 'numeric';
-                        input.required = true;
-                        container.appendChild(input);
-                    }
-                    
-                    setupPinInputs();
-                    document.querySelector('.pin-input').focus();
-                } else {
-                    window.location.href = '/';
-                }
-            }
-
-            function setupPinInputs() {
-                document.querySelectorAll('.pin-input').forEach((input, index, inputs) => {
-                    input.addEventListener('input', (e) => {
-                        if (e.target.value) {
-                            e.target.classList.add('has-value');
-                            if (index < inputs.length - 1) {
-                                inputs[index + 1].focus();
-                            } else {
-                                document.getElementById('pin-form').requestSubmit();
-                            }
-                        } else {
-                            e.target.classList.remove('has-value');
-                        }
-                    });
+// Backup API
+app.get('/api/backups', requirePin, async (req, res) => {
+    try {
+        res.json(await listBackups());
+    } catch (error) {
+        sendError(res, error, 'Failed to list backups');
+    }
+});
 
-                    input.addEventListener('keydown', (e) => {
-                        if (e.key === 'Backspace' && !e.target.value && index > 0) {
-                            const prevInput = inputs[index - 1];
-                            prevInput.value = '';
-                            prevInput.classList.remove('has-value');
-                            prevInput.focus();
-                        }
-                    });
-                });
-            }
+app.post('/api/backups', requirePin, async (req, res) => {
+    try {
+        res.status(201).json(await queueWrite(() => createBackup()));
+    } catch (error) {
+        sendError(res, error, 'Failed to create backup');
+    }
+});
 
-            document.getElementById('pin-form').addEventListener('submit', async (e) => {
-                e.preventDefault();
-                const inputs = [...document.querySelectorAll('.pin-input')];
-                const pin = inputs.map(input => input.value).join('');
+app.post('/api/backups/:backupId/restore', requirePin, async (req, res) => {
+    try {
+        const { backupId } = req.params;
+        if (!BACKUP_ID_PATTERN.test(backupId)) throw httpError(404, 'Backup not found');
 
-                            try {
-                                const response = await fetch('/api/verify-pin', {
-                                    method: 'POST',
-                                    headers: { 'Content-Type': 'application/json' },
-                                    body: JSON.stringify({ pin })
-                                });
-                                
-                                const data = await response.json();
-                                
-                                if (response.ok) {
-                                    window.location.href = '/';
-                                } else {
-                                    const errorElement = document.getElementById('pin-error');
-                                    if (response.status === 429) {
-                                        errorElement.textContent = data.error;
-                                    } else {
-                                        const msg = 'Invalid PIN. ' + data.attemptsLeft + ' attempts remaining';
-                                        errorElement.textContent = msg;
-                                    }
-                                    errorElement.style.display = 'block';
-                                    
-                                    // Reset all PIN input boxes
-                                    const pinInputs = document.querySelectorAll('.pin-input');
-                                    pinInputs.forEach(input => {
-                                        input.value = '';
-                                        input.classList.remove('has-value');
-                                    });
-                                    // Focus the first input box
-                                    pinInputs[0].focus();
-                                }
-                            } catch (error) {
-                                console.error('Error verifying PIN:', error);
-                                document.getElementById('pin-error').style.display = 'block';
-                            }
-                });
+        let backup;
+        try {
+            backup = await readJsonFile(backupFile(backupId));
+        } catch {
+            throw httpError(404, 'Backup not found');
+        }
+        migrateData(backup);
 
-            checkPinRequired();
-        </script>
-    </body>
-    </html>`);
+        // Snapshot the current state first so the restore itself can be undone
+        await queueWrite(() => createBackup({ beforeRestore: true }));
+        await updateData(req, res, data => {
+            Object.keys(data).forEach(key => delete data[key]);
+            Object.assign(data, backup);
+        });
+        res.json({ id: backupId, restored: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to restore backup');
+    }
 });
 
-app.get('/data/tasks.json', requirePin, async (_, res) => {
+// Workspace bundle download and upload
+app.get('/api/backups/download', requirePin, async (req, res) => {
     try {
-        const data = await fs.readFile('data/tasks.json', 'utf8');
-        res.json(JSON.parse(data));
+        const data = await readData();
+        res.attachment('dumbkan-backup-' + new Date().toISOString().slice(0, 10) + '.json');
+        res.json(createBundle(data));
     } catch (error) {
-        console.error('Error reading tasks:', error);
-        res.status(500).json({ error: 'Failed to read tasks' });
+        sendError(res, error, 'Failed to create backup');
     }
 });
 
-app.post('/data/tasks.json', requirePin, async (req, res) => {
+// ?mode=replace swaps in the backup, ?mode=merge adds what is missing; ?dryRun=true only describes it
+app.post('/api/backups/upload', requirePin, importBody, async (req, res) => {
     try {
-        await fs.writeFile('data/tasks.json', JSON.stringify(req.body, null, 2));
-        res.json({ ok: true });
+        const mode = req.query.mode || 'replace';
+        if (mode !== 'replace' && mode !== 'merge') throw httpError(400, 'mode must be "replace" or "merge"');
+        const document = readBundle(req.body);
+
+        if (req.query.dryRun === 'true') {
+            const data = await readData();
+            const exportedAt = req.body.format ? req.body.exportedAt : null;
+            return res.json({
+                exportedAt,
+                ...describeBundle(document, data),
+                merge: mergeWorkspace(structuredClone(data), document),
+                missingAttachments: await countMissingAttachments(document)
+            });
+        }
+
+        // Snapshot the current state first so the restore itself can be undone
+        await queueWrite(() => createBackup({ beforeRestore: true }));
+        const result = await updateData(req, res, async data => {
+            let summary = {};
+            if (mode === 'merge') {
+                summary = mergeWorkspace(data, document);
+            } else {
+                Object.keys(data).forEach(key => delete data[key]);
+                Object.assign(data, document);
+            }
+            return summary;
+        });
+        res.json({ mode, restored: true, ...result, missingAttachments: await countMissingAttachments(document) });
     } catch (error) {
-        console.error('Error saving tasks:', error);
-        res.status(500).json({ error: 'Failed to save' });
+        sendError(res, error, 'Failed to restore backup');
     }
 });
 
-// Start server
-app.listen(process.env.PORT || 3000, () => {
-    console.log(`Running on port ${process.env.PORT || 3000}`);
-    if (process.env.DUMBKAN_PIN) {
-        console.log('PIN protection enabled');
-    }
-}); 
\ No newline at end of file
+// Start server once storage is ready
+initializeStorage().then(() => {
+    scheduleBackups();
+    schedulePurge();
+    app.listen(process.env.PORT || 3000, () => {
+        console.log(`Running on port ${process.env.PORT || 3000}`);
+        if (process.env.DUMBKAN_PIN) {
+            console.log('PIN protection enabled');
+        }
+    });
+});
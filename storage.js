@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Storage adapters persist the whole board document. Every adapter implements:
+//   name          - label used in log messages
+//   load()        - prepare the storage and return the document, or null if there is none yet
+//   read()        - return the current document
+//   write(data)   - replace the document; must never leave a partially written state
+//   close()       - release any open handles
+
+// Write to a temp file, flush it to disk and rename it over the target, so a crash
+// leaves either the old or the new contents but never a truncated file
+async function writeFileAtomic(file, contents) {
+    const tempFile = file + '.tmp';
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempFile, file);
+
+    // Flush the directory entry too (not supported on every platform)
+    try {
+        const dir = await fs.open(path.dirname(file), 'r');
+        try {
+            await dir.sync();
+        } finally {
+            await dir.close();
+        }
+    } catch {}
+}
+
+async function readJsonFile(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// The default backend: a single JSON file, with the previous version kept as a last good copy
+function createJsonStorage(file) {
+    const lastGoodFile = file + '.bak';
+
+    // Replace a missing or unreadable file with the last good copy
+    async function recover(reason) {
+        console.error(file + ' ' + reason + ', restoring the last good copy from ' + lastGoodFile);
+        let data;
+        try {
+            data = await readJsonFile(lastGoodFile);
+        } catch {
+            console.error('No usable copy in ' + lastGoodFile + ', starting with the default boards');
+            return null;
+        }
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+        return data;
+    }
+
+    return {
+        name: 'JSON file ' + file,
+
+        async load() {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            // A leftover temp file means a crash mid-write; the real file is still intact
+            await fs.rm(file + '.tmp', { force: true });
+
+            try {
+                return await readJsonFile(file);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    try {
+                        await fs.access(lastGoodFile);
+                    } catch {
+                        return null;
+                    }
+                    return recover('is missing');
+                }
+
+                // Keep the damaged file around for inspection before replacing it
+                const corruptFile = file + '.corrupt-' + Date.now();
+                await fs.copyFile(file, corruptFile);
+                return recover('is corrupt (' + error.message + '), saved it as ' + corruptFile);
+            }
+        },
+
+        read() {
+            return readJsonFile(file);
+        },
+
+        async write(data) {
+            // The current file was read successfully before every write, so it becomes the last good copy
+            await fs.copyFile(file, lastGoodFile).catch(() => {});
+            await writeFileAtomic(file, JSON.stringify(data, null, 2));
+        },
+
+        async close() {}
+    };
+}
+
+// Embedded SQLite backend. Boards, columns and tasks are stored as rows so large
+// workspaces can be inspected and queried with regular SQLite tooling, and a save only
+// writes the rows that changed. Each row keeps its fields as JSON, which lets the
+// document grow new fields without schema changes.
+function createSqliteStorage(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch {
+        throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    let db = null;
+
+    // The rows as they were last read or written, keyed by table and primary key (null until then)
+    let storedRows = null;
+
+    function open() {
+        if (db) return db;
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.pragma('synchronous = FULL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS boards (
+                id TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS columns (
+                board_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (board_id, position)
+            );
+            CREATE TABLE IF NOT EXISTS tasks (
+                board_id TEXT NOT NULL,
+                column_position INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                id TEXT,
+                data TEXT NOT NULL,
+                PRIMARY KEY (board_id, column_position, position)
+            );
+            CREATE INDEX IF NOT EXISTS tasks_id ON tasks (id);
+        `);
+        return db;
+    }
+
+    // The rows that store a document: the primary key and the other values of each, by table
+    function documentRows(document) {
+        const rows = new Map();
+        const add = (table, key, values) => {
+            rows.set(table + ':' + JSON.stringify(key), { table, key, values, contents: JSON.stringify(values) });
+        };
+
+        const { boards, ...meta } = document;
+        Object.entries(meta).forEach(([key, value]) => {
+            if (value !== undefined) add('meta', [key], [JSON.stringify(value)]);
+        });
+
+        Object.entries(boards || {}).forEach(([boardId, board], boardPosition) => {
+            const { columns, ...boardFields } = board;
+            add('boards', [boardId], [boardPosition, JSON.stringify(boardFields)]);
+
+            Object.entries(columns || {}).forEach(([columnId, column], columnPosition) => {
+                const { tasks, ...columnFields } = column;
+                add('columns', [boardId, columnPosition], [columnId, JSON.stringify(columnFields)]);
+
+                (tasks || []).forEach((task, taskPosition) => {
+                    const taskId = task && typeof task === 'object' ? String(task.id) : null;
+                    add('tasks', [boardId, columnPosition, taskPosition], [taskId, JSON.stringify(task)]);
+                });
+            });
+        });
+        return rows;
+    }
+
+    function readDocument() {
+        const database = open();
+        const metaRows = database.prepare('SELECT key, value FROM meta').all();
+        if (!metaRows.length) {
+            storedRows = new Map();
+            return null;
+        }
+
+        const data = {};
+        metaRows.forEach(row => {
+            data[row.key] = JSON.parse(row.value);
+        });
+
+        // Columns by board id, then by position
+        const columnsByBoard = new Map();
+        database.prepare('SELECT board_id, position, id, data FROM columns ORDER BY board_id, position').all().forEach(row => {
+            if (!columnsByBoard.has(row.board_id)) columnsByBoard.set(row.board_id, new Map());
+            columnsByBoard.get(row.board_id).set(row.position, { id: row.id, column: { ...JSON.parse(row.data), tasks: [] } });
+        });
+
+        database.prepare('SELECT board_id, column_position, data FROM tasks ORDER BY board_id, column_position, position').all().forEach(row => {
+            const entry = columnsByBoard.has(row.board_id) && columnsByBoard.get(row.board_id).get(row.column_position);
+            if (entry) entry.column.tasks.push(JSON.parse(row.data));
+        });
+
+        data.boards = {};
+        database.prepare('SELECT id, data FROM boards ORDER BY position').all().forEach(row => {
+            const board = { ...JSON.parse(row.data), columns: {} };
+            (columnsByBoard.get(row.id) || new Map()).forEach(entry => {
+                board.columns[entry.id] = entry.column;
+            });
+            data.boards[row.id] = board;
+        });
+
+        storedRows = documentRows(data);
+        return data;
+    }
+
+    let writeRows = null;
+
+    function write(data) {
+        const database = open();
+        if (!storedRows) readDocument();
+        if (!writeRows) {
+            const statements = {
+                meta: ['INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', 'DELETE FROM meta WHERE key = ?'],
+                boards: ['INSERT OR REPLACE INTO boards (id, position, data) VALUES (?, ?, ?)', 'DELETE FROM boards WHERE id = ?'],
+                columns: [
+                    'INSERT OR REPLACE INTO columns (board_id, position, id, data) VALUES (?, ?, ?, ?)',
+                    'DELETE FROM columns WHERE board_id = ? AND position = ?'
+                ],
+                tasks: [
+                    'INSERT OR REPLACE INTO tasks (board_id, column_position, position, id, data) VALUES (?, ?, ?, ?, ?)',
+                    'DELETE FROM tasks WHERE board_id = ? AND column_position = ? AND position = ?'
+                ]
+            };
+            const save = {};
+            const remove = {};
+            Object.entries(statements).forEach(([table, [saveSql, removeSql]]) => {
+                save[table] = database.prepare(saveSql);
+                remove[table] = database.prepare(removeSql);
+            });
+
+            // Apply all changes in one transaction so readers never see a partial document
+            writeRows = database.transaction(rows => {
+                storedRows.forEach((row, rowKey) => {
+                    if (!rows.has(rowKey)) remove[row.table].run(...row.key);
+                });
+                rows.forEach((row, rowKey) => {
+                    const stored = storedRows.get(rowKey);
+                    if (!stored || stored.contents !== row.contents) save[row.table].run(...row.key, ...row.values);
+                });
+            });
+        }
+
+        const rows = documentRows(data);
+        writeRows(rows);
+        storedRows = rows;
+    }
+
+    return {
+        name: 'SQLite database ' + file,
+
+        async load() {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            return readDocument();
+        },
+
+        async read() {
+            const data = readDocument();
+            if (!data) throw new Error('SQLite database ' + file + ' is empty');
+            return data;
+        },
+
+        async write(data) {
+            write(data);
+        },
+
+        async close() {
+            if (db) {
+                db.close();
+                db = null;
+                writeRows = null;
+                storedRows = null;
+            }
+        }
+    };
+}
+
+// Pick the backend from DUMBKAN_STORAGE ("json" or "sqlite")
+function createStorage(dataDir, env = process.env) {
+    const type = (env.DUMBKAN_STORAGE || 'json').toLowerCase();
+    if (type === 'sqlite') {
+        return createSqliteStorage(env.DUMBKAN_SQLITE_FILE || path.join(dataDir, 'dumbkan.db'));
+    }
+    if (type !== 'json') {
+        throw new Error('Unknown DUMBKAN_STORAGE "' + env.DUMBKAN_STORAGE + '", expected "json" or "sqlite"');
+    }
+    return createJsonStorage(path.join(dataDir, 'tasks.json'));
+}
+
+module.exports = {
+    createStorage,
+    createJsonStorage,
+    createSqliteStorage,
+    writeFileAtomic,
+    readJsonFile
+};
@@ -0,0 +1,99 @@
+// The activity log: what each change to the document is recorded as
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body, headers) => send(server, method, url, body, headers);
+
+// A new board with columns of the given names; returns its id and the column ids by name
+async function createBoard(name, columnNames) {
+    const board = await request('POST', '/api/boards', { name });
+    assert.equal(board.status, 201);
+    const data = await request('GET', '/data/tasks.json');
+    for (const columnId of Object.keys(data.body.boards[board.body.id].columns)) {
+        await request('DELETE', '/api/columns/' + columnId);
+    }
+    const columns = {};
+    for (const columnName of columnNames) {
+        columns[columnName] = (await request('POST', '/api/boards/' + board.body.id + '/columns', { name: columnName })).body.id;
+    }
+    return { boardId: board.body.id, columns };
+}
+
+// The board's events since the given number of them, oldest first, as "type: summary"
+async function eventsOf(boardId, since = 0) {
+    const events = await request('GET', '/api/activity?board=' + encodeURIComponent(boardId) + '&limit=1000');
+    assert.equal(events.status, 200);
+    return events.body.reverse().slice(since).map(event => event.type + ': ' + event.summary);
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('editing, moving, commenting on and archiving a task are recorded as separate events', async () => {
+    const { boardId, columns } = await createBoard('Tasks', ['Doing', 'Done']);
+    const since = (await eventsOf(boardId)).length;
+
+    const task = (await request('POST', '/api/boards/' + boardId + '/columns/' + columns.Doing + '/tasks', { title: 'Write' })).body;
+    await request('PATCH', '/api/tasks/' + task.id, { title: 'Write tests' });
+    await request('POST', '/api/tasks/' + task.id + '/comments', { author: 'Sam', body: 'On it' });
+    await request('POST', '/api/tasks/' + task.id + '/move', { columnId: columns.Done, position: 0 });
+    await request('POST', '/api/tasks/' + task.id + '/archive');
+
+    assert.deepEqual(await eventsOf(boardId, since), [
+        'task.created: Created task "Write" in "Doing"',
+        'task.edited: Edited task "Write tests"',
+        'task.commented: Sam commented on task "Write tests"',
+        'task.moved: Moved task "Write tests" from "Doing" to "Done"',
+        'task.archived: Archived task "Write tests" from "Done"'
+    ]);
+
+    const [edited] = (await request('GET', '/api/activity?board=' + boardId)).body.filter(event => event.type === 'task.edited');
+    assert.equal(edited.before.title, 'Write');
+    assert.equal(edited.after.title, 'Write tests');
+});
+
+test('moving one task within a column records only that task', async () => {
+    const { boardId, columns } = await createBoard('Order', ['List']);
+    const url = '/api/boards/' + boardId + '/columns/' + columns.List + '/tasks';
+    const ids = [];
+    for (const title of ['One', 'Two', 'Three', 'Four']) {
+        ids.push((await request('POST', url, { title })).body.id);
+    }
+    const since = (await eventsOf(boardId)).length;
+
+    await request('POST', '/api/tasks/' + ids[3] + '/move', { columnId: columns.List, position: 0 });
+    assert.deepEqual(await eventsOf(boardId, since), ['task.moved: Moved task "Four" within "List"']);
+});
+
+test('columns moved to the trash and back are recorded', async () => {
+    const { boardId, columns } = await createBoard('Columns', ['Old name']);
+    const since = (await eventsOf(boardId)).length;
+
+    await request('PATCH', '/api/columns/' + columns['Old name'], { name: 'New name' });
+    const removed = await request('DELETE', '/api/columns/' + columns['Old name']);
+    await request('POST', '/api/trash/' + removed.body.trashId + '/restore');
+
+    assert.deepEqual(await eventsOf(boardId, since), [
+        'column.renamed: Renamed column "Old name" to "New name"',
+        'column.removed: Moved column "New name" to the trash',
+        'column.restored: Restored column "New name" from the trash'
+    ]);
+});
+
+test('a board whose id is also an Object.prototype name is recorded as added', async () => {
+    const data = (await request('GET', '/data/tasks.json')).body;
+    const time = new Date().toISOString();
+    data.boards.constructor = {
+        name: 'Builders',
+        columns: { 'column-builders': { name: 'To Do', tasks: [{ id: 'task-builders', title: 'Build', createdAt: time, updatedAt: time }] } }
+    };
+    const saved = await request('POST', '/data/tasks.json', data, { 'If-Match': '"' + data.revision + '"' });
+    assert.equal(saved.status, 200);
+
+    assert.deepEqual(await eventsOf('constructor'), ['board.added: Added board "Builders"']);
+});
@@ -0,0 +1,213 @@
+// API tests: the server runs in an empty temporary directory, one per suite.
+// Run with: npm test
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body, headers) => send(server, method, url, body, headers);
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('an added column can be removed with undo and brought back with redo', async () => {
+    const columnId = 'column-undo-redo';
+    const added = await request('POST', '/api/boards/work/columns', { id: columnId, name: 'New Column' });
+    assert.equal(added.status, 201);
+
+    // Undo: the column goes to the trash, which keeps its id reserved
+    const removed = await request('DELETE', '/api/columns/' + columnId);
+    assert.equal(removed.status, 200);
+    assert.ok(removed.body.trashId);
+    const recreated = await request('POST', '/api/boards/work/columns', { id: columnId, name: 'New Column' });
+    assert.equal(recreated.status, 400);
+
+    // Redo: restore it from the trash
+    const restored = await request('POST', '/api/trash/' + removed.body.trashId + '/restore');
+    assert.equal(restored.status, 200);
+    const data = await request('GET', '/data/tasks.json');
+    assert.equal(data.body.boards.work.columns[columnId].name, 'New Column');
+
+    // And undo again after the redo
+    const removedAgain = await request('DELETE', '/api/columns/' + columnId);
+    assert.equal(removedAgain.status, 200);
+    assert.notEqual(removedAgain.body.trashId, removed.body.trashId);
+});
+
+test('due dates must be days that exist', async () => {
+    const data = await request('GET', '/data/tasks.json');
+    const columnId = Object.keys(data.body.boards.work.columns)[0];
+    const url = '/api/boards/work/columns/' + columnId + '/tasks';
+    const nonexistent = await request('POST', url, { title: 'Leap', dueDate: '2023-02-29' });
+    assert.equal(nonexistent.status, 400);
+    const withTime = await request('POST', url, { title: 'Leap', dueDate: '2024-02-31T10:00:00Z' });
+    assert.equal(withTime.status, 400);
+    const leapDay = await request('POST', url, { title: 'Leap', dueDate: '2024-02-29' });
+    assert.equal(leapDay.status, 201);
+    assert.equal(leapDay.body.dueDate, '2024-02-29');
+});
+
+test('a Trello export with empty list and card entries is imported without them', async () => {
+    const trello = {
+        name: 'Trello',
+        lists: [null, { id: 'list-1', name: 'Doing', pos: 1 }],
+        cards: [{ id: 'card-1', idList: 'list-1', name: 'Card', pos: 1, idLabels: 'label-1' }, null, 'card'],
+        checklists: [null],
+        actions: [null]
+    };
+    const imported = await request('POST', '/api/import/trello', trello);
+    assert.equal(imported.status, 201);
+    assert.deepEqual(imported.body.summary, { columns: 1, tasks: 1, skippedLists: 1, skippedCards: 2 });
+});
+
+test('the activity log starts a new file once it is large and still reads across both', async () => {
+    const activityFile = path.join(server.dataDir, 'data', 'activity.jsonl');
+    const line = JSON.stringify({ id: 'activity-old', timestamp: new Date(0).toISOString(), boardId: 'old-board', type: 'task.created', padding: 'x'.repeat(1000) }) + '\n';
+    fs.writeFileSync(activityFile, line.repeat(5300));
+
+    await request('POST', '/api/boards', { name: 'Rotated' });
+    assert.ok(fs.existsSync(path.join(server.dataDir, 'data', 'activity.1.jsonl')));
+    assert.equal(fs.existsSync(activityFile), false);
+
+    await request('POST', '/api/boards', { name: 'After rotation' });
+    const events = await request('GET', '/api/activity?limit=3');
+    assert.equal(events.status, 200);
+    assert.equal(events.body.length, 3);
+    assert.notEqual(events.body[0].boardId, 'old-board');
+    assert.equal(events.body[2].boardId, 'old-board');
+});
+
+test('switching the active board does not make other clients conflict', async () => {
+    const before = await request('GET', '/data/tasks.json');
+    const revision = before.body.revision;
+    const otherBoard = Object.keys(before.body.boards).find(id => id !== before.body.activeBoard);
+
+    const switched = await request('PUT', '/api/active-board', { boardId: otherBoard });
+    assert.equal(switched.status, 200);
+    const after = await request('GET', '/data/tasks.json');
+    assert.equal(after.body.activeBoard, otherBoard);
+    assert.equal(after.body.revision, revision);
+
+    // Another browser that loaded the data before the switch can still save
+    const columnId = Object.keys(before.body.boards.work.columns)[0];
+    const saved = await request('POST', '/api/boards/work/columns/' + columnId + '/tasks', { title: 'Still fine' }, { 'If-Match': '"' + revision + '"' });
+    assert.equal(saved.status, 201);
+});
+
+test('replacing the whole document requires the revision it is based on', async () => {
+    const data = await request('GET', '/data/tasks.json');
+    const document = { ...data.body, activeBoard: 'work' };
+    const revision = '"' + data.body.revision + '"';
+
+    assert.equal((await request('POST', '/data/tasks.json', document)).status, 428);
+    assert.equal((await request('POST', '/data/tasks.json', document, { 'If-Match': '"' + (data.body.revision - 1) + '"' })).status, 409);
+    assert.equal((await request('POST', '/data/tasks.json', document, { 'If-Match': revision })).status, 200);
+    assert.equal((await request('GET', '/data/tasks.json')).body.revision, data.body.revision + 1);
+});
+
+test('names inherited from Object.prototype are not boards or columns', async () => {
+    assert.equal((await request('PUT', '/api/active-board', { boardId: 'constructor' })).status, 404);
+    assert.equal((await request('GET', '/api/boards/toString')).status, 404);
+    assert.equal((await request('POST', '/api/boards/constructor/columns/x/tasks', { title: 'No board' })).status, 404);
+    assert.equal((await request('POST', '/api/boards/work/columns/constructor/tasks', { title: 'No column' })).status, 404);
+
+    const data = await request('GET', '/data/tasks.json');
+    const columnId = Object.keys(data.body.boards.work.columns)[0];
+    const task = await request('POST', '/api/boards/work/columns/' + columnId + '/tasks', { title: 'Stays put' });
+    assert.equal((await request('POST', '/api/tasks/' + task.body.id + '/move', { columnId: 'constructor', position: 0 })).status, 404);
+    assert.equal((await request('GET', '/data/tasks.json')).body.activeBoard, data.body.activeBoard);
+});
+
+test('a downloaded backup leaves out attachment files and a restore counts the ones that are missing', async () => {
+    const data = await request('GET', '/data/tasks.json');
+    const columnId = Object.keys(data.body.boards.work.columns)[0];
+    const task = await request('POST', '/api/boards/work/columns/' + columnId + '/tasks', { title: 'With a file' });
+    const attachment = await request('POST', '/api/tasks/' + task.body.id + '/attachments?name=big.txt', Buffer.alloc(64 * 1024, 'a'));
+    assert.equal(attachment.status, 201);
+
+    const bundle = await request('GET', '/api/backups/download');
+    assert.equal(bundle.body.attachments, undefined);
+    assert.ok(bundle.text.length < 64 * 1024);
+    assert.equal((await request('POST', '/api/backups/upload?dryRun=true', bundle.body)).body.missingAttachments, 0);
+
+    fs.rmSync(path.join(server.dataDir, 'data', 'attachments', attachment.body.id));
+    assert.equal((await request('POST', '/api/backups/upload?dryRun=true', bundle.body)).body.missingAttachments, 1);
+});
+
+describe('with a PIN', () => {
+    let pinned;
+
+    before(async () => {
+        pinned = await startServer({ DUMBKAN_PIN: '1234', DUMBKAN_ATTACHMENT_LIMIT: '1kb' });
+    });
+
+    after(() => pinned.stop());
+
+    test('uploads are checked for the PIN before their body is read', async () => {
+        const pin = { 'X-Pin': '1234' };
+        const data = await send(pinned, 'GET', '/data/tasks.json', undefined, pin);
+        const columnId = Object.keys(data.body.boards.work.columns)[0];
+        const task = await send(pinned, 'POST', '/api/boards/work/columns/' + columnId + '/tasks', { title: 'Files' }, pin);
+        const url = '/api/tasks/' + task.body.id + '/attachments?name=notes.txt';
+
+        const tooLarge = Buffer.alloc(4096, 'a');
+        assert.equal((await send(pinned, 'POST', url, tooLarge)).status, 401);
+        assert.equal((await send(pinned, 'POST', url, tooLarge, pin)).status, 413);
+        const uploaded = await send(pinned, 'POST', url, Buffer.from('hello'), pin);
+        assert.equal(uploaded.status, 201);
+        assert.equal(uploaded.body.size, 5);
+    });
+
+    test('imports and uploaded backups are checked for the PIN before their body is read', async () => {
+        for (const url of ['/api/import/trello', '/api/backups/upload']) {
+            const response = await fetch(pinned.base + url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"name": "not json'
+            });
+            assert.equal(response.status, 401, url);
+        }
+    });
+});
+
+describe('backups', () => {
+    let backups;
+
+    before(async () => {
+        backups = await startServer({ DUMBKAN_BACKUP_RETENTION: '2' });
+    });
+
+    after(() => backups.stop());
+
+    test('an interval longer than a timer can wait does not back up continuously', async () => {
+        const monthly = await startServer({ DUMBKAN_BACKUP_INTERVAL_HOURS: '720' });
+        try {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            const list = (await send(monthly, 'GET', '/api/backups')).body;
+            assert.equal(list.length, 1); // Only the one taken at startup
+        } finally {
+            monthly.stop();
+        }
+    });
+
+    test('snapshots taken before a restore do not push out regular backups', async () => {
+        const created = [];
+        for (let i = 0; i < 2; i++) {
+            const backup = await send(backups, 'POST', '/api/backups');
+            assert.equal(backup.status, 201);
+            created.push(backup.body.id);
+        }
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await send(backups, 'POST', '/api/backups/' + created[0] + '/restore')).status, 200);
+        }
+
+        const list = (await send(backups, 'GET', '/api/backups')).body;
+        assert.deepEqual(list.filter(backup => !backup.beforeRestore).map(backup => backup.id).sort(), created.sort());
+        assert.equal(list.filter(backup => backup.beforeRestore).length, 2);
+    });
+});
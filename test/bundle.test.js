@@ -0,0 +1,113 @@
+// Workspace backup files: downloading them, and restoring them by replacing or merging
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body) => send(server, method, url, body);
+
+const time = '2024-01-01T09:00:00.000Z';
+const task = (id, title, fields) => ({ id, title, createdAt: time, updatedAt: time, ...fields });
+
+// A new board with one task in its first column
+async function createBoard(name, title) {
+    const board = (await request('POST', '/api/boards', { name })).body;
+    const columnId = Object.keys(board.columns)[0];
+    const created = (await request('POST', '/api/boards/' + board.id + '/columns/' + columnId + '/tasks', { title })).body;
+    return { boardId: board.id, columnId, taskId: created.id };
+}
+
+const revision = async () => (await request('GET', '/data/tasks.json')).body.revision;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('a dry run describes the backup and what a merge would add without changing anything', async () => {
+    await createBoard('Preview', 'Existing');
+    const bundle = (await request('GET', '/api/backups/download')).body;
+    bundle.data.boards.fresh = { name: 'Fresh', columns: { 'column-fresh': { name: 'Inbox', tasks: [task('task-fresh', 'New')] } } };
+    const before = await revision();
+
+    const report = await request('POST', '/api/backups/upload?dryRun=true', bundle);
+    assert.equal(report.status, 200);
+    assert.equal(report.body.exportedAt, bundle.exportedAt);
+    const fresh = report.body.boards.find(board => board.id === 'fresh');
+    assert.deepEqual(fresh, { id: 'fresh', name: 'Fresh', columns: 1, tasks: 1, archived: 0, exists: false });
+    assert.ok(report.body.boards.find(board => board.name === 'Preview').exists);
+    assert.deepEqual(report.body.merge, { boardsAdded: 1, columnsAdded: 1, tasksAdded: 1, tasksSkipped: report.body.tasks - 1 });
+    assert.equal(await revision(), before);
+});
+
+test('a merge adds what is missing and keeps what is already there', async () => {
+    const shared = await createBoard('Shared', 'Original');
+    await request('POST', '/api/boards/' + shared.boardId + '/labels', { name: 'Bug', color: '#e53935' });
+    const bundle = (await request('GET', '/api/backups/download')).body;
+    await request('PATCH', '/api/tasks/' + shared.taskId, { title: 'Changed here' });
+
+    // The backup has a task for the existing column, a new column and a label that differs only in case
+    const board = bundle.data.boards[shared.boardId];
+    board.labels = [{ id: 'label-other', name: 'bug', color: '#000000' }];
+    board.columns[shared.columnId].tasks.push(task('task-merged', 'From the backup', { labels: ['label-other'] }));
+    board.columns['column-merged'] = { name: 'Merged', tasks: [task('task-merged-2', 'Also from the backup')] };
+
+    const merged = await request('POST', '/api/backups/upload?mode=merge', bundle);
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.boardsAdded, 0);
+    assert.equal(merged.body.columnsAdded, 1);
+    assert.equal(merged.body.tasksAdded, 2);
+
+    const after = (await request('GET', '/api/boards/' + shared.boardId)).body;
+    assert.deepEqual(after.columns[shared.columnId].tasks.map(item => item.title), ['Changed here', 'From the backup']);
+    assert.deepEqual(after.columns['column-merged'].tasks.map(item => item.title), ['Also from the backup']);
+    assert.deepEqual(after.labels.map(label => label.name), ['Bug']);
+    assert.deepEqual(after.columns[shared.columnId].tasks[1].labels, [after.labels[0].id]);
+});
+
+test('ids that are taken elsewhere or kept by the trash are not reused by a merge', async () => {
+    const gone = await createBoard('Gone', 'In the trash');
+    const bundle = (await request('GET', '/api/backups/download')).body;
+    const trashed = await request('DELETE', '/api/boards/' + gone.boardId);
+    assert.equal(trashed.status, 200);
+
+    // A column of the backup's board that another board now uses
+    const other = await createBoard('Other', 'Elsewhere');
+    const otherColumns = Object.keys((await request('GET', '/api/boards/' + other.boardId)).body.columns);
+    bundle.data.boards.moved = { name: 'Moved', columns: { [otherColumns[0]]: { name: 'Taken', tasks: [] } } };
+
+    const merged = await request('POST', '/api/backups/upload?mode=merge', bundle);
+    assert.equal(merged.status, 200);
+    const data = (await request('GET', '/data/tasks.json')).body;
+    assert.equal(data.boards[gone.boardId], undefined);
+    assert.ok(Object.values(data.boards).some(board => board.name === 'Gone'));
+    assert.deepEqual(Object.values(data.boards.moved.columns).map(column => column.name), ['Taken']);
+    assert.notEqual(Object.keys(data.boards.moved.columns)[0], otherColumns[0]);
+
+    // The trashed board can still be put back
+    assert.equal((await request('POST', '/api/trash/' + trashed.body.trashId + '/restore')).status, 200);
+});
+
+test('replacing restores the backup and keeps a snapshot of what was there', async () => {
+    const bundle = (await request('GET', '/api/backups/download')).body;
+    await createBoard('After the download', 'Gone after the restore');
+
+    const restored = await request('POST', '/api/backups/upload?mode=replace', bundle);
+    assert.equal(restored.status, 200);
+    const data = (await request('GET', '/data/tasks.json')).body;
+    assert.deepEqual(Object.keys(data.boards), Object.keys(bundle.data.boards));
+    assert.ok((await request('GET', '/api/backups')).body.some(backup => backup.beforeRestore));
+});
+
+test('files that are not a valid backup are rejected', async () => {
+    const bundle = (await request('GET', '/api/backups/download')).body;
+    const upload = body => request('POST', '/api/backups/upload?dryRun=true', body);
+
+    assert.equal((await upload({ ...bundle, format: 'something-else' })).body.error, 'Not a DumbKan backup');
+    assert.equal((await upload({ ...bundle, version: 2 })).body.error, 'Unsupported backup version 2');
+    const invalid = await upload({ ...bundle, data: { ...bundle.data, activeBoard: 'nope' } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.violations, ['activeBoard: "nope" is not a board']);
+    assert.equal((await request('POST', '/api/backups/upload?mode=swap', bundle)).status, 400);
+});
@@ -0,0 +1,141 @@
+// CSV export and import of a board's tasks
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body) => send(server, method, url, body);
+
+// A new board; returns its id and the id of its first column
+async function createBoard(name) {
+    const board = (await request('POST', '/api/boards', { name })).body;
+    return { boardId: board.id, columnId: Object.keys(board.columns)[0] };
+}
+
+const importCsv = (boardId, csv, dryRun = false) =>
+    request('POST', '/api/boards/' + boardId + '/import.csv' + (dryRun ? '?dryRun=true' : ''), Buffer.from(csv));
+
+// The board's tasks as [column name, title, description]
+async function tasksOf(boardId) {
+    const board = (await request('GET', '/api/boards/' + boardId)).body;
+    return Object.values(board.columns).flatMap(column => column.tasks.map(task => [column.name, task.title, task.description]));
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('quoted fields keep their commas, doubled quotes and line breaks', async () => {
+    const { boardId } = await createBoard('Quoting');
+    const csv = '\uFEFFcolumn,title,description\r\n' +
+        'Inbox,"Call Ana, then Bo","Say ""hi""\r\nand ""bye"""\r\n' +
+        '\r\n' +
+        'Inbox,Plain,"one\ntwo"\n' +
+        'Later,Last,no line break at the end';
+
+    const imported = await importCsv(boardId, csv);
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.created, 3);
+    assert.deepEqual(imported.body.columnsCreated, ['Inbox', 'Later']);
+    assert.deepEqual(await tasksOf(boardId), [
+        ['Inbox', 'Call Ana, then Bo', 'Say "hi"\nand "bye"'],
+        ['Inbox', 'Plain', 'one\ntwo'],
+        ['Later', 'Last', 'no line break at the end']
+    ]);
+});
+
+test('a quote inside an unquoted field is read as it is', async () => {
+    const { boardId } = await createBoard('Inches');
+    const imported = await importCsv(boardId, 'column,title,description\nInbox,5" screen,fits\nInbox,Second,row\n');
+    assert.equal(imported.body.created, 2);
+    assert.deepEqual(await tasksOf(boardId), [
+        ['Inbox', '5" screen', 'fits'],
+        ['Inbox', 'Second', 'row']
+    ]);
+});
+
+test('rows with a known id update their task and a dry run only reports it', async () => {
+    const { boardId, columnId } = await createBoard('Updates');
+    const task = (await request('POST', '/api/boards/' + boardId + '/columns/' + columnId + '/tasks', { title: 'Old title', priority: 'low' })).body;
+    const csv = 'id,column,title,priority,dueDate\n' +
+        task.id + ',Done,New title,high,\n' +
+        ',Done,Bad date,,2023-02-30\n';
+
+    const report = await importCsv(boardId, csv, true);
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.body.rows, [
+        { row: 2, action: 'update', title: 'New title', column: 'Done', changes: ['title', 'priority', 'column'] },
+        { row: 3, action: 'skip', error: 'Due date must be a day (YYYY-MM-DD) or an ISO 8601 date-time' }
+    ]);
+    assert.deepEqual((await tasksOf(boardId)).map(([column, title]) => [column, title]), [['To Do', 'Old title']]);
+
+    await importCsv(boardId, csv);
+    const moved = (await request('GET', '/api/tasks/' + task.id)).body;
+    assert.equal(moved.title, 'New title');
+    assert.equal(moved.priority, 'high');
+    assert.deepEqual((await tasksOf(boardId)).map(([column, title]) => [column, title]), [['Done', 'New title']]);
+});
+
+test('an exported board imports back without changes', async () => {
+    const { boardId, columnId } = await createBoard('Round trip');
+    await request('POST', '/api/boards/' + boardId + '/labels', { name: 'bug', color: '#e53935' });
+    const url = '/api/boards/' + boardId + '/columns/' + columnId + '/tasks';
+    const labels = (await request('GET', '/api/boards/' + boardId + '/labels')).body.map(label => label.id);
+    await request('POST', url, {
+        title: 'Everything, "quoted"',
+        description: 'Line one\n\n- a list\n+ more',
+        dueDate: '2030-01-31',
+        priority: 'urgent',
+        labels
+    });
+    await request('POST', url, { title: '-1 for this idea' });
+
+    const exported = await request('GET', '/api/boards/' + boardId + '/export.csv');
+    const imported = await importCsv(boardId, exported.text);
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.unchanged, 2);
+    assert.equal(imported.body.created + imported.body.updated + imported.body.skipped, 0);
+});
+
+test('a file without a column and title header is rejected', async () => {
+    const { boardId } = await createBoard('Headers');
+    assert.equal((await importCsv(boardId, 'name,text\nInbox,Task\n')).status, 400);
+    assert.equal((await importCsv(boardId, '\n\n')).status, 400);
+});
+
+test('CSV cells that look like formulas are exported escaped and imported back unchanged', async () => {
+    await request('POST', '/api/boards', { name: 'Sheet' });
+    const data = await request('GET', '/data/tasks.json');
+    const boardId = Object.keys(data.body.boards).find(id => data.body.boards[id].name === 'Sheet');
+    const columnId = Object.keys(data.body.boards[boardId].columns)[0];
+    const task = await request('POST', '/api/boards/' + boardId + '/columns/' + columnId + '/tasks', { title: '=HYPERLINK("x")', description: '- one' });
+    assert.equal(task.status, 201);
+
+    const exported = await request('GET', '/api/boards/' + boardId + '/export.csv');
+    const row = exported.text.split('\r\n')[1];
+    assert.ok(row.includes(',"\'=HYPERLINK(""x"")",\'- one,'), row);
+
+    const imported = await request('POST', '/api/boards/' + boardId + '/import.csv', Buffer.from(exported.text));
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.unchanged, 1);
+});
+
+test('a title that already starts with a quote and a formula character keeps its quote through export and import', async () => {
+    await request('POST', '/api/boards', { name: 'Quoted' });
+    const data = await request('GET', '/data/tasks.json');
+    const boardId = Object.keys(data.body.boards).find(id => data.body.boards[id].name === 'Quoted');
+    const columnId = Object.keys(data.body.boards[boardId].columns)[0];
+    await request('POST', '/api/boards/' + boardId + '/columns/' + columnId + '/tasks', { title: "'=literal" });
+
+    const exported = await request('GET', '/api/boards/' + boardId + '/export.csv');
+    assert.ok(exported.text.split('\r\n')[1].includes(",''=literal,"));
+
+    const imported = await request('POST', '/api/boards/' + boardId + '/import.csv', Buffer.from(exported.text));
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.unchanged, 1);
+    const after = await request('GET', '/data/tasks.json');
+    const titles = Object.values(after.body.boards[boardId].columns).flatMap(column => column.tasks.map(task => task.title));
+    assert.deepEqual(titles, ["'=literal"]);
+});
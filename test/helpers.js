@@ -0,0 +1,61 @@
+// Test harness: starts server.js in an empty temporary directory and sends requests to it
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Start the server in an empty temporary directory; resolves once it accepts requests
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbkan-test-'));
+    const port = await freePort();
+    const serverEnv = { ...process.env, PORT: String(port), DUMBKAN_BACKUP_INTERVAL_HOURS: '0', ...env };
+    if (!env.DUMBKAN_PIN) delete serverEnv.DUMBKAN_PIN;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { cwd: dataDir, env: serverEnv, stdio: ['ignore', 'pipe', 'inherit'] });
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Server did not start')), 10000);
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('Running on port')) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        child.on('exit', code => reject(new Error('Server exited with code ' + code)));
+    });
+    return {
+        base: 'http://localhost:' + port,
+        dataDir,
+        stop() {
+            child.kill();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function send(server, method, url, body, headers = {}) {
+    const isFile = Buffer.isBuffer(body);
+    const response = await fetch(server.base + url, {
+        method,
+        headers: { 'Content-Type': isFile ? 'application/octet-stream' : 'application/json', ...headers },
+        ...(body !== undefined && { body: isFile ? body : JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {}
+    return { status: response.status, body: json, text };
+}
+
+module.exports = { startServer, send };
@@ -0,0 +1,88 @@
+// Markdown import and export (Obsidian Kanban format)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body) => send(server, method, url, body);
+
+// Import a Markdown file as a new board and return its columns as { name: [tasks] }
+async function importBoard(markdown, name) {
+    const imported = await request('POST', '/data/boards.md?name=' + encodeURIComponent(name), Buffer.from(markdown));
+    assert.equal(imported.status, 201, imported.text);
+    return Object.fromEntries(Object.values(imported.body.board.columns).map(column => [column.name, column.tasks]));
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('headings become columns and list items become tasks with tags, due dates and descriptions', async () => {
+    const markdown = [
+        '---',
+        '',
+        'kanban-plugin: basic',
+        '',
+        '---',
+        '',
+        '## Backlog',
+        '',
+        '- [ ] Write docs #docs @{2030-05-31}',
+        '    First line',
+        '    - a list in the description',
+        '- [x] Ship it @{2030-06-01} @@{14:30}',
+        '',
+        '## Done',
+        '',
+        '**Complete**',
+        '- Plain item',
+        '',
+        '%% kanban:settings',
+        '```',
+        '{"kanban-plugin":"basic"}',
+        '```',
+        '%%'
+    ].join('\n');
+    const columns = await importBoard(markdown, 'Parsed');
+
+    assert.deepEqual(Object.keys(columns), ['Backlog', 'Done']);
+    const [docs, ship] = columns.Backlog;
+    assert.equal(docs.title, 'Write docs');
+    assert.equal(docs.dueDate, '2030-05-31');
+    assert.equal(docs.description, 'First line\n- a list in the description');
+    assert.equal(docs.labels.length, 1);
+    assert.equal(ship.title, 'Ship it');
+    assert.equal(ship.dueDate, new Date('2030-06-01T14:30').toISOString());
+    assert.deepEqual(columns.Done.map(task => task.title), ['Plain item']);
+});
+
+test('due dates that do not exist are dropped instead of imported', async () => {
+    const markdown = '## To Do\n\n- [ ] Leap @{2023-02-30}\n- [ ] Late @{2030-01-01} @@{25:99}\n';
+    const columns = await importBoard(markdown, 'Bad dates');
+
+    assert.deepEqual(columns['To Do'].map(task => [task.title, task.dueDate]), [['Leap', undefined], ['Late', undefined]]);
+});
+
+test('a Markdown export imports back with the same descriptions', async () => {
+    const description = 'Intro line\n\n- one\n- two\n\n\n```\n  indented code\n```';
+    const data = await request('GET', '/data/tasks.json');
+    const columnId = Object.keys(data.body.boards.work.columns)[0];
+    const task = await request('POST', '/api/boards/work/columns/' + columnId + '/tasks', { title: 'Described', description });
+    assert.equal(task.status, 201);
+
+    const exported = await request('GET', '/data/boards/work.md');
+    assert.equal(exported.status, 200);
+    const imported = await request('POST', '/data/boards.md?name=Copy', Buffer.from(exported.text));
+    assert.equal(imported.status, 201);
+    const after = await request('GET', '/data/tasks.json');
+    const copy = Object.values(after.body.boards[imported.body.board.id].columns).flatMap(column => column.tasks);
+    assert.equal(copy.find(copied => copied.title === 'Described').description, description);
+});
+
+test('imported Markdown descriptions are held to the description limit', async () => {
+    const markdown = '## To Do\n\n- [ ] Long\n' + '    ' + 'x'.repeat(20001) + '\n';
+    const imported = await request('POST', '/data/boards.md?name=Long', Buffer.from(markdown));
+    assert.equal(imported.status, 400);
+});
@@ -0,0 +1,95 @@
+// The schema every saved document is checked against, and the cross references checked with it
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body, headers) => send(server, method, url, body, headers);
+
+// Save a whole document on top of the current revision
+async function save(document) {
+    const current = await request('GET', '/data/tasks.json');
+    return request('POST', '/data/tasks.json', document, { 'If-Match': '"' + (current.body.revision || 0) + '"' });
+}
+
+const time = '2024-01-01T09:00:00.000Z';
+const task = (id, fields) => ({ id, title: 'Task ' + id, createdAt: time, updatedAt: time, ...fields });
+
+function document() {
+    return {
+        activeBoard: 'work',
+        boards: {
+            work: {
+                name: 'Work',
+                labels: [{ id: 'label-bug', name: 'bug', color: '#e53935' }],
+                columns: {
+                    todo: { name: 'To Do', tasks: [task('task-1', { labels: ['label-bug'], dueDate: '2024-02-29' })] },
+                    done: { name: 'Done', tasks: [] }
+                }
+            },
+            home: { name: 'Home', columns: { later: { name: 'Later', tasks: [task('task-2')] } } }
+        }
+    };
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('the schema is served and a valid document is saved', async () => {
+    const schema = await request('GET', '/api/schema');
+    assert.equal(schema.status, 200);
+    assert.deepEqual(schema.body.required, ['boards', 'activeBoard']);
+
+    assert.equal((await save(document())).status, 200);
+    const saved = await request('GET', '/data/tasks.json');
+    assert.deepEqual(saved.body.boards.work.columns.todo.tasks[0].labels, ['label-bug']);
+});
+
+test('every schema violation is reported with its path and nothing is saved', async () => {
+    const before = await request('GET', '/data/tasks.json');
+    const invalid = document();
+    invalid.boards.work.name = '';
+    invalid.boards.work.labels[0].color = 'red';
+    invalid.boards.work.columns.todo.tasks[0].priority = 'someday';
+    delete invalid.boards.home.columns.later.tasks[0].createdAt;
+
+    const saved = await save(invalid);
+    assert.equal(saved.status, 400);
+    assert.deepEqual(saved.body.violations, [
+        'boards.work.name: must not be empty',
+        'boards.work.labels[0].color: must match ^#[0-9a-fA-F]{6}$',
+        'boards.work.columns.todo.tasks[0].priority: must be one of low, medium, high, urgent',
+        'boards.home.columns.later.tasks[0]: missing required property "createdAt"'
+    ]);
+    assert.deepEqual((await request('GET', '/data/tasks.json')).body, before.body);
+});
+
+test('ids and references that do not fit together are reported', async () => {
+    const invalid = document();
+    invalid.activeBoard = 'nope';
+    invalid.boards.home.columns.later.tasks[0].id = 'task-1';
+    invalid.boards.home.columns.todo = { name: 'Also To Do', tasks: [] };
+    invalid.boards.home.columns.later.tasks[0].labels = ['label-bug'];
+
+    const saved = await save(invalid);
+    assert.equal(saved.status, 400);
+    assert.deepEqual(saved.body.violations, [
+        'activeBoard: "nope" is not a board',
+        'boards.home.columns.later.tasks[0].id: duplicate task id "task-1"',
+        'boards.home.columns.later.tasks[0].labels: "label-bug" is not a label of the board',
+        'boards.home.columns.todo: column id is used on more than one board'
+    ]);
+});
+
+test('dates must be real days, not just text that Date.parse accepts', async () => {
+    for (const [field, value] of [['dueDate', '2023-02-30'], ['createdAt', '1'], ['updatedAt', '2024-13-01T10:00:00Z']]) {
+        const invalid = document();
+        invalid.boards.work.columns.todo.tasks[0][field] = value;
+        const saved = await save(invalid);
+        assert.equal(saved.status, 400, field);
+        assert.match(saved.body.violations[0], new RegExp('tasks\\[0\\]\\.' + field + ': must be an ISO 8601 date-time'));
+    }
+});
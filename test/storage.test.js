@@ -0,0 +1,88 @@
+// Storage backend tests: each test uses a database in a temporary directory.
+// Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteStorage } = require('../storage');
+
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch {}
+const skip = Database ? false : 'better-sqlite3 is not installed';
+
+const document = () => ({
+    activeBoard: 'work',
+    revision: 1,
+    boards: {
+        work: {
+            name: 'Work',
+            columns: {
+                todo: { name: 'To Do', tasks: [{ id: 'task-1', title: 'One' }, { id: 'task-2', title: 'Two' }] },
+                done: { name: 'Done', tasks: [] }
+            }
+        },
+        home: { name: 'Home', columns: {} }
+    }
+});
+
+async function withDatabase(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbkan-storage-'));
+    const file = path.join(dir, 'dumbkan.db');
+    const storage = createSqliteStorage(file);
+    try {
+        await run(storage, file);
+    } finally {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('SQLite storage only writes the rows that changed', { skip }, async () => {
+    await withDatabase(async (storage, file) => {
+        assert.equal(await storage.load(), null);
+        await storage.write(document());
+
+        // Log every row that is added or removed from here on
+        const db = new Database(file);
+        try {
+            db.exec('CREATE TABLE log (change TEXT)');
+            ['meta', 'boards', 'columns', 'tasks'].forEach(table => db.exec(`
+                CREATE TRIGGER ${table}_added AFTER INSERT ON ${table} BEGIN INSERT INTO log VALUES ('${table} added'); END;
+                CREATE TRIGGER ${table}_removed AFTER DELETE ON ${table} BEGIN INSERT INTO log VALUES ('${table} removed'); END;
+            `));
+            const changes = () => db.prepare('SELECT change FROM log').all().map(row => row.change).sort();
+
+            await storage.write(document());
+            assert.deepEqual(changes(), []);
+
+            const data = await storage.read();
+            data.revision = 2;
+            data.boards.work.columns.done.tasks.push(data.boards.work.columns.todo.tasks.pop());
+            delete data.boards.home;
+            await storage.write(data);
+            assert.deepEqual(changes(), ['boards removed', 'meta added', 'tasks added', 'tasks removed']);
+            assert.deepEqual(await storage.read(), data);
+        } finally {
+            db.close();
+        }
+    });
+});
+
+test('SQLite storage replaces rows it has not read yet', { skip }, async () => {
+    await withDatabase(async (storage, file) => {
+        await storage.write(document());
+        await storage.close();
+
+        const reopened = createSqliteStorage(file);
+        try {
+            const replacement = { activeBoard: 'other', boards: { other: { name: 'Other', columns: {} } } };
+            await reopened.write(replacement);
+            assert.deepEqual(await reopened.read(), replacement);
+        } finally {
+            await reopened.close();
+        }
+    });
+});
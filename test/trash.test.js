@@ -0,0 +1,88 @@
+// The trash: deleted boards and columns expire after DUMBKAN_TRASH_RETENTION_DAYS
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Move a new column to the trash and backdate it by the given number of days
+async function trashColumn(server, name, daysAgo) {
+    const column = await send(server, 'POST', '/api/boards/work/columns', { name });
+    assert.equal(column.status, 201);
+    const removed = await send(server, 'DELETE', '/api/columns/' + column.body.id);
+    assert.equal(removed.status, 200);
+
+    const data = (await send(server, 'GET', '/data/tasks.json')).body;
+    data.trash.find(item => item.id === removed.body.trashId).deletedAt = new Date(Date.now() - daysAgo * DAY).toISOString();
+    const saved = await send(server, 'POST', '/data/tasks.json', data, { 'If-Match': '"' + data.revision + '"' });
+    assert.equal(saved.status, 200);
+    return { columnId: column.body.id, trashId: removed.body.trashId };
+}
+
+// Any write purges expired items first
+const touch = server => send(server, 'POST', '/api/boards', { name: 'Touch' });
+
+const trashIds = async server => (await send(server, 'GET', '/api/trash')).body.map(item => item.id).sort();
+
+describe('with a retention of one day', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ DUMBKAN_TRASH_RETENTION_DAYS: '1' });
+    });
+
+    after(() => server.stop());
+
+    test('expired items are purged on the next write and their ids can be used again', async () => {
+        const recent = await trashColumn(server, 'Recent', 0.5);
+        const expired = await trashColumn(server, 'Expired', 2);
+        assert.deepEqual(await trashIds(server), [expired.trashId, recent.trashId].sort());
+
+        await touch(server);
+        assert.deepEqual(await trashIds(server), [recent.trashId]);
+        const reused = await send(server, 'POST', '/api/boards/work/columns', { id: expired.columnId, name: 'Again' });
+        assert.equal(reused.status, 201);
+        assert.equal((await send(server, 'POST', '/api/trash/' + expired.trashId + '/restore')).status, 404);
+    });
+
+    test('the trash says when each item expires', async () => {
+        const [item] = (await send(server, 'GET', '/api/trash')).body;
+        assert.equal(new Date(item.expiresAt).getTime() - new Date(item.deletedAt).getTime(), DAY);
+    });
+});
+
+describe('with a retention of 0', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ DUMBKAN_TRASH_RETENTION_DAYS: '0' });
+    });
+
+    after(() => server.stop());
+
+    test('items are kept for good', async () => {
+        const old = await trashColumn(server, 'Old', 3650);
+        await touch(server);
+        const [item] = (await send(server, 'GET', '/api/trash')).body;
+        assert.equal(item.id, old.trashId);
+        assert.equal(item.expiresAt, null);
+    });
+});
+
+describe('with a retention longer than dates reach', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ DUMBKAN_TRASH_RETENTION_DAYS: '100000000' });
+    });
+
+    after(() => server.stop());
+
+    test('items are kept and writes still work', async () => {
+        const old = await trashColumn(server, 'Old', 10);
+        assert.equal((await touch(server)).status, 201);
+        const [item] = (await send(server, 'GET', '/api/trash')).body;
+        assert.equal(item.id, old.trashId);
+        assert.equal(item.expiresAt, null);
+    });
+});
@@ -0,0 +1,108 @@
+// Trello import: how a board export is mapped onto a DumbKan board
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, send } = require('./helpers');
+
+let server;
+const request = (method, url, body) => send(server, method, url, body);
+
+// A small export with lists and cards out of order, a closed list and card, labels, checklists and comments
+function trelloExport(name = 'Launch') {
+    return {
+        name,
+        labels: [
+            { id: 'label-1', name: 'Urgent', color: 'red_dark' },
+            { id: 'label-2', name: '', color: 'green' },
+            { id: 'label-3', name: 'urgent', color: 'orange' }
+        ],
+        lists: [
+            { id: 'list-done', name: 'Done', pos: 3 },
+            { id: 'list-todo', name: 'To Do', pos: 1 },
+            { id: 'list-old', name: 'Old', pos: 2, closed: true }
+        ],
+        cards: [
+            { id: '5f5e1000aaaaaaaaaaaaaaaa', idList: 'list-todo', name: 'Second', pos: 20, desc: 'Line one\r\nLine two', idLabels: ['label-1', 'label-3'] },
+            { id: '5f5e1000bbbbbbbbbbbbbbbb', idList: 'list-todo', name: 'First', pos: 10, due: '2030-05-01T12:00:00.000Z', idLabels: ['label-2'] },
+            { id: '5f5e1000cccccccccccccccc', idList: 'list-done', name: 'Closed card', pos: 1, closed: true },
+            { id: '5f5e1000dddddddddddddddd', idList: 'list-old', name: 'In a closed list', pos: 1 },
+            { id: '5f5e1000eeeeeeeeeeeeeeee', idList: 'list-done', name: 'Not a day', pos: 2, due: '2023-02-30T10:00:00.000Z' }
+        ],
+        checklists: [
+            { idCard: '5f5e1000aaaaaaaaaaaaaaaa', pos: 2, checkItems: [{ name: 'Third', pos: 1, state: 'incomplete' }] },
+            { idCard: '5f5e1000aaaaaaaaaaaaaaaa', pos: 1, checkItems: [{ name: 'Second', pos: 2, state: 'complete' }, { name: 'First', pos: 1, state: 'incomplete' }] }
+        ],
+        actions: [
+            { type: 'commentCard', date: '2024-01-02T10:00:00.000Z', data: { card: { id: '5f5e1000aaaaaaaaaaaaaaaa' }, text: 'Newer' }, memberCreator: { fullName: 'Ana' } },
+            { type: 'updateCard', date: '2024-01-01T12:00:00.000Z', data: { card: { id: '5f5e1000aaaaaaaaaaaaaaaa' } } },
+            { type: 'commentCard', date: '2024-01-01T10:00:00.000Z', data: { card: { id: '5f5e1000aaaaaaaaaaaaaaaa' }, text: 'Older' }, memberCreator: { username: 'bo' } }
+        ]
+    };
+}
+
+// The imported board's columns as { name: [tasks] }
+const columnsOf = board => Object.fromEntries(Object.values(board.columns).map(column => [column.name, column.tasks]));
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('lists become columns and cards become tasks in their Trello order, without closed ones', async () => {
+    const imported = await request('POST', '/api/import/trello', trelloExport());
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.board.name, 'Launch');
+    assert.deepEqual(imported.body.summary, { columns: 2, tasks: 3, skippedLists: 1, skippedCards: 2 });
+
+    const columns = columnsOf(imported.body.board);
+    assert.deepEqual(Object.keys(columns), ['To Do', 'Done']);
+    assert.deepEqual(columns['To Do'].map(task => task.title), ['First', 'Second']);
+    assert.deepEqual(columns.Done.map(task => task.title), ['Not a day']);
+});
+
+test('labels, checklists, comments, descriptions and dates are carried over', async () => {
+    const { board } = (await request('POST', '/api/import/trello', trelloExport('Details'))).body;
+    const [first, second] = columnsOf(board)['To Do'];
+
+    // Labels with the same name are merged; one without a name is named after its color
+    assert.deepEqual(board.labels.map(label => [label.name, label.color]), [['Urgent', '#eb5a46'], ['Green', '#61bd4f']]);
+    const labelName = id => board.labels.find(label => label.id === id).name;
+    assert.deepEqual(second.labels.map(labelName), ['Urgent']);
+    assert.deepEqual(first.labels.map(labelName), ['Green']);
+
+    // Several checklists are joined into one, each in its Trello order
+    assert.deepEqual(second.checklist.map(item => [item.text, item.done]), [['First', false], ['Second', true], ['Third', false]]);
+    assert.deepEqual(second.comments.map(comment => [comment.author, comment.body, comment.createdAt]), [
+        ['bo', 'Older', '2024-01-01T10:00:00.000Z'],
+        ['Ana', 'Newer', '2024-01-02T10:00:00.000Z']
+    ]);
+
+    assert.equal(second.description, 'Line one\nLine two');
+    assert.equal(first.dueDate, '2030-05-01T12:00:00.000Z');
+    assert.equal(first.createdAt, new Date(0x5f5e1000 * 1000).toISOString());
+});
+
+test('a due date on a day that does not exist is dropped', async () => {
+    const { board } = (await request('POST', '/api/import/trello', trelloExport('Dates'))).body;
+    const [task] = columnsOf(board).Done;
+    assert.equal(task.title, 'Not a day');
+    assert.equal(task.dueDate, undefined);
+});
+
+test('closed lists and cards are imported when asked for', async () => {
+    const imported = await request('POST', '/api/import/trello?includeClosed=true', trelloExport('Everything'));
+    assert.deepEqual(imported.body.summary, { columns: 3, tasks: 5, skippedLists: 0, skippedCards: 0 });
+    assert.deepEqual(Object.keys(columnsOf(imported.body.board)), ['To Do', 'Old', 'Done']);
+});
+
+test('the board id is derived from its name and does not clash', async () => {
+    const imported = await request('POST', '/api/import/trello', trelloExport('Constructor'));
+    assert.equal(imported.body.board.id, 'constructor');
+    const again = await request('POST', '/api/import/trello', trelloExport('Constructor'));
+    assert.equal(again.body.board.id, 'constructor-2');
+});
+
+test('anything other than a Trello board export is rejected', async () => {
+    assert.equal((await request('POST', '/api/import/trello', { name: 'Launch', lists: [] })).status, 400);
+    assert.equal((await request('POST', '/api/import/trello', [])).status, 400);
+});